@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// Upload files and directories to a DropSite server from the command line, e.g. in CI jobs.
+//
+//   dropsite upload [options] <paths...>
+//
+// Uses the same tus endpoint, chunk size and metadata as the web client. Unfinished uploads are
+// remembered in a state file and continue where they stopped when the same command runs again.
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const tus = require('tus-js-client');
+const { collectFiles } = require('./lib/files');
+const { uploadFile } = require('./lib/upload');
+const { CHECKSUM_ALGORITHMS, createChecksumHttpStack } = require('./lib/checksum');
+
+const USAGE = `Usage: dropsite upload [options] <paths...>
+
+Uploads files and directories (with everything in them) and prints a download link for each file.
+
+Options:
+  -s, --server <url>             DropSite server, e.g. https://drop.example.com (DROPSITE_URL)
+  -t, --token <token>            API token (DROPSITE_TOKEN); prefer the variable, arguments show up in ps
+      --json                     Print the uploads as JSON instead of links
+      --state <file>             Unfinished uploads to resume (DROPSITE_STATE, default ~/.dropsite-uploads.json)
+      --chunk-size <bytes>       Size of each PATCH request (default 10485760)
+      --parallel <n>             Partial uploads per large file, 1 disables parallel uploads (default 4)
+      --parallel-min-size <bytes>  Smaller files are sent as a single upload (default 104857600)
+      --concurrency <n>          Files uploaded at the same time (default 3)
+      --checksum <algorithm>     Per-chunk checksum: sha256, sha1 or none (default sha256)
+  -q, --quiet                    No progress output
+  -h, --help                     Show this help
+
+Tokens are created on the server with: npm run auth add-token <username> <token name>`;
+
+const OPTIONS = {
+    server: { type: 'string', short: 's' },
+    token: { type: 'string', short: 't' },
+    json: { type: 'boolean' },
+    state: { type: 'string' },
+    'chunk-size': { type: 'string' },
+    parallel: { type: 'string' },
+    'parallel-min-size': { type: 'string' },
+    concurrency: { type: 'string' },
+    checksum: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+function fail(message) {
+    console.error(message);
+    process.exit(2);
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} bytes`;
+}
+
+function parsePositive(value, fallback, name) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        fail(`--${name} must be a positive whole number`);
+    }
+    return number;
+}
+
+// The server base URL without a trailing slash, DropSite may live below a path
+function parseServer(value) {
+    if (!value) {
+        fail('Which server? Pass --server <url> or set DROPSITE_URL');
+    }
+    try {
+        const url = new URL(value);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+        return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+    } catch (error) {
+        return fail(`Expected an http or https server URL, got '${value}'`);
+    }
+}
+
+function parseCommandLine() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        fail(`${error.message}\n\n${USAGE}`);
+    }
+    const { values, positionals } = parsed;
+    const [command, ...paths] = positionals;
+    if (values.help || !command) {
+        console.log(USAGE);
+        process.exit(values.help ? 0 : 2);
+    }
+    if (command !== 'upload') {
+        fail(`Unknown command '${command}'\n\n${USAGE}`);
+    }
+    if (paths.length === 0) {
+        fail('Nothing to upload, pass one or more files or directories');
+    }
+    const checksum = (values.checksum || 'sha256').toLowerCase();
+    if (checksum !== 'none' && !CHECKSUM_ALGORITHMS.includes(checksum)) {
+        fail(`--checksum must be one of ${[...CHECKSUM_ALGORITHMS, 'none'].join(', ')}`);
+    }
+    return {
+        paths,
+        server: parseServer(values.server || process.env.DROPSITE_URL),
+        token: values.token || process.env.DROPSITE_TOKEN || '',
+        json: !!values.json,
+        quiet: !!values.quiet,
+        statePath: path.resolve(values.state || process.env.DROPSITE_STATE || path.join(os.homedir(), '.dropsite-uploads.json')),
+        chunkSize: parsePositive(values['chunk-size'], 10 * 1024 * 1024, 'chunk-size'),
+        parallelUploads: parsePositive(values.parallel, 4, 'parallel'),
+        parallelMinSize: parsePositive(values['parallel-min-size'], 100 * 1024 * 1024, 'parallel-min-size'),
+        concurrency: parsePositive(values.concurrency, 3, 'concurrency'),
+        checksum,
+    };
+}
+
+/**
+ * Progress on stderr, so stdout only carries the links. A terminal gets one status line that is
+ * rewritten in place, anything else (CI logs) a line per finished file.
+ */
+function createProgress({ files, quiet }) {
+    const interactive = !quiet && process.stderr.isTTY;
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    const uploaded = new Map();
+    let finished = 0;
+    let lastDrawn = 0;
+
+    function draw(force = false) {
+        if (!interactive || (!force && Date.now() - lastDrawn < 200)) return;
+        lastDrawn = Date.now();
+        const bytes = [...uploaded.values()].reduce((sum, value) => sum + value, 0);
+        const percent = totalBytes > 0 ? Math.floor((bytes / totalBytes) * 100) : 100;
+        process.stderr.write(`\r\x1b[KUploading: ${finished}/${files.length} files, ${percent}% (${formatBytes(bytes)} of ${formatBytes(totalBytes)})`);
+    }
+
+    function log(message) {
+        if (quiet) return;
+        if (interactive) process.stderr.write('\r\x1b[K');
+        console.error(message);
+        draw(true);
+    }
+
+    return {
+        update(file, bytesUploaded) {
+            uploaded.set(file.path, bytesUploaded);
+            draw();
+        },
+        started(file, resumed) {
+            if (resumed) log(`Resuming ${file.relativePath}`);
+        },
+        done(file) {
+            finished += 1;
+            uploaded.set(file.path, file.size);
+            log(`Uploaded ${file.relativePath} (${formatBytes(file.size)})`);
+        },
+        failed(file, error) {
+            finished += 1;
+            // Failures are reported even with --quiet
+            if (interactive) process.stderr.write('\r\x1b[K');
+            console.error(`Failed ${file.relativePath}: ${error.message}`);
+            draw(true);
+        },
+        end() {
+            if (interactive) process.stderr.write('\r\x1b[K');
+        },
+    };
+}
+
+async function main() {
+    const options = parseCommandLine();
+
+    let files;
+    try {
+        files = await collectFiles(options.paths);
+    } catch (error) {
+        fail(error.code === 'ENOENT' ? `No such file or directory: ${error.path}` : error.message);
+    }
+    if (files.length === 0) {
+        fail('The given directories contain no files');
+    }
+
+    const uploadOptions = {
+        endpoint: `${options.server}/files/`,
+        headers: options.token ? { Authorization: `Bearer ${options.token}` } : {},
+        chunkSize: options.chunkSize,
+        parallelUploads: options.parallelUploads,
+        parallelMinSize: options.parallelMinSize,
+        urlStorage: new tus.FileUrlStorage(options.statePath),
+        httpStack: options.checksum === 'none' ? new tus.DefaultHttpStack() : createChecksumHttpStack(options.checksum),
+    };
+    const progress = createProgress({ files, quiet: options.quiet });
+
+    // Files in the order given, uploaded `concurrency` at a time
+    const results = new Array(files.length);
+    let next = 0;
+    async function worker() {
+        while (next < files.length) {
+            const index = next++;
+            const file = files[index];
+            const result = { path: file.path, relativePath: file.relativePath, size: file.size };
+            try {
+                const upload = await uploadFile(file, {
+                    ...uploadOptions,
+                    onStart: resumed => progress.started(file, resumed),
+                    onProgress: bytesUploaded => progress.update(file, bytesUploaded),
+                });
+                Object.assign(result, upload, { url: `${options.server}/d/${encodeURIComponent(upload.id)}` });
+                progress.done(file);
+            } catch (error) {
+                result.error = error.message;
+                progress.failed(file, error);
+            }
+            results[index] = result;
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, files.length) }, worker));
+    progress.end();
+
+    if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        for (const result of results.filter(entry => entry.url)) {
+            console.log(`${result.relativePath}  ${result.url}`);
+        }
+    }
+    process.exitCode = results.some(result => result.error) ? 1 : 0;
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const tus = require('tus-js-client');
+
+// The algorithms the server verifies in Upload-Checksum
+const CHECKSUM_ALGORITHMS = ['sha256', 'sha1'];
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * tus-js-client HTTP stack that adds an Upload-Checksum header to every PATCH, like the web client.
+ * A chunk is read into memory to hash it before it is sent, so it costs up to one chunk of memory per
+ * connection; the server answers 460 when the bytes it received don't match.
+ */
+function createChecksumHttpStack(algorithm) {
+    const stack = new tus.DefaultHttpStack();
+    return {
+        createRequest(method, url) {
+            const request = stack.createRequest(method, url);
+            const send = request.send.bind(request);
+            request.send = async (body) => {
+                if (method !== 'PATCH' || !body) {
+                    return send(body);
+                }
+                const buffer = body instanceof Readable ? await readAll(body) : Buffer.from(body);
+                request.setHeader('Upload-Checksum', `${algorithm} ${crypto.createHash(algorithm).update(buffer).digest('base64')}`);
+                return send(buffer);
+            };
+            return request;
+        },
+        getName() {
+            return 'ChecksumHttpStack';
+        },
+    };
+}
+
+module.exports = { CHECKSUM_ALGORITHMS, createChecksumHttpStack };
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+// What a browser reports as File.type for common extensions; anything else is sent without a type
+const MIME_TYPES = {
+    '7z': 'application/x-7z-compressed',
+    apk: 'application/vnd.android.package-archive',
+    bz2: 'application/x-bzip2',
+    css: 'text/css',
+    csv: 'text/csv',
+    deb: 'application/vnd.debian.binary-package',
+    dmg: 'application/x-apple-diskimage',
+    doc: 'application/msword',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    exe: 'application/x-msdownload',
+    flac: 'audio/flac',
+    gif: 'image/gif',
+    gz: 'application/gzip',
+    htm: 'text/html',
+    html: 'text/html',
+    ico: 'image/x-icon',
+    iso: 'application/x-iso9660-image',
+    jar: 'application/java-archive',
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    js: 'text/javascript',
+    json: 'application/json',
+    md: 'text/markdown',
+    mkv: 'video/x-matroska',
+    mov: 'video/quicktime',
+    mp3: 'audio/mpeg',
+    mp4: 'video/mp4',
+    msi: 'application/x-msi',
+    ogg: 'audio/ogg',
+    pdf: 'application/pdf',
+    png: 'image/png',
+    ppt: 'application/vnd.ms-powerpoint',
+    pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    rar: 'application/vnd.rar',
+    rpm: 'application/x-rpm',
+    svg: 'image/svg+xml',
+    tar: 'application/x-tar',
+    tgz: 'application/gzip',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    txt: 'text/plain',
+    wasm: 'application/wasm',
+    wav: 'audio/wav',
+    webm: 'video/webm',
+    webp: 'image/webp',
+    xls: 'application/vnd.ms-excel',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    xml: 'application/xml',
+    xz: 'application/x-xz',
+    zip: 'application/zip',
+};
+
+function getMimeType(filename) {
+    return MIME_TYPES[path.extname(filename).slice(1).toLowerCase()] || '';
+}
+
+async function walk(directory, relativeDirectory, results) {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const absolutePath = path.join(directory, entry.name);
+        const relativePath = `${relativeDirectory}/${entry.name}`;
+        const stats = await fs.promises.stat(absolutePath);
+        if (stats.isDirectory()) {
+            await walk(absolutePath, relativePath, results);
+        } else if (stats.isFile()) {
+            results.push(toEntry(absolutePath, relativePath, stats));
+        }
+    }
+}
+
+function toEntry(absolutePath, relativePath, stats) {
+    return {
+        path: absolutePath,
+        relativePath,
+        name: path.basename(absolutePath),
+        type: getMimeType(absolutePath),
+        size: stats.size,
+        lastModified: stats.mtimeMs,
+    };
+}
+
+/**
+ * The files behind the paths given on the command line. Directories are walked, their files keep the
+ * path below the parent of the directory as `relativePath` ("build/js/app.js" for the directory
+ * "build"), the same as folders dropped on the web page.
+ */
+async function collectFiles(paths) {
+    const results = [];
+    for (const given of paths) {
+        const absolutePath = path.resolve(given);
+        const stats = await fs.promises.stat(absolutePath);
+        if (stats.isDirectory()) {
+            await walk(absolutePath, path.basename(absolutePath), results);
+        } else {
+            results.push(toEntry(absolutePath, path.basename(absolutePath), stats));
+        }
+    }
+    return results;
+}
+
+module.exports = { collectFiles };
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const tus = require('tus-js-client');
+
+// Retry delays in milliseconds, the same as the web client
+const RETRY_DELAYS = [0, 3000, 5000, 10000, 20000];
+
+// tus-js-client gives up on 4xx responses; a checksum mismatch is worth resending like a network error,
+// and a rate limit (429) passes once the retry delays have given the server some time
+function shouldRetry(err) {
+    const status = err.originalResponse ? err.originalResponse.getStatus() : 0;
+    return status === 460 || status === 429 || status === 409 || status === 423 || status < 400 || status >= 500;
+}
+
+// Client errors a later run would run into again: the server turned the file down (415, 413, 403, ...).
+// Without credentials (401) the same upload can go on once a token is given.
+function isPermanentError(err) {
+    const status = err.originalResponse ? err.originalResponse.getStatus() : 0;
+    return status >= 400 && status < 500 && status !== 401 && !shouldRetry(err);
+}
+
+// Turn a tus-js-client error into one line for the terminal
+function describeUploadError(err) {
+    if (!err.originalResponse) {
+        return err.cause ? String(err.cause.message || err.cause) : err.message;
+    }
+    const status = err.originalResponse.getStatus();
+    const responseText = (err.originalResponse.getBody() || '').trim();
+    if (status === 401) {
+        return 'The server requires authentication, pass an API token with --token or DROPSITE_TOKEN';
+    }
+    if (status === 403) {
+        return responseText || 'Permission denied';
+    }
+    if (status === 460) {
+        return 'The data was corrupted in transit (checksum mismatch) and could not be resent';
+    }
+    return `${responseText || 'Upload failed'} (status ${status})`;
+}
+
+// The tus upload URL ends with the upload id, which is also what the download route expects
+function getUploadId(uploadUrl) {
+    return uploadUrl.split('/').filter(Boolean).pop();
+}
+
+// Bytes the server has of an upload URL, or null when the upload no longer exists there
+async function getUploadOffset(uploadUrl, headers) {
+    const response = await fetch(uploadUrl, { method: 'HEAD', headers: { ...headers, 'Tus-Resumable': '1.0.0' } });
+    if ([403, 404, 410].includes(response.status)) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`Checking ${uploadUrl} failed with status ${response.status}`);
+    }
+    return parseInt(response.headers.get('Upload-Offset'), 10);
+}
+
+/**
+ * Earlier uploads of the same file that can be continued, newest first. Uploads the server no longer has,
+ * and uploads it already has every byte of, are forgotten: a complete upload that is still stored was
+ * turned down when it finished (e.g. quarantined), resuming it would report success without sending
+ * anything. Parallel uploads can't be told apart that way, their parts are complete before the final
+ * upload is made.
+ */
+async function findResumableUploads(upload, urlStorage, headers) {
+    const resumable = [];
+    for (const stored of await upload.findPreviousUploads()) {
+        const urls = stored.parallelUploadUrls || (stored.uploadUrl ? [stored.uploadUrl] : []);
+        if (urls.length === 0) continue;
+        let offsets;
+        try {
+            offsets = await Promise.all(urls.map(url => getUploadOffset(url, headers)));
+        } catch (error) {
+            // The server may just be unreachable right now, tus retries it
+            resumable.push(stored);
+            continue;
+        }
+        const gone = offsets.includes(null);
+        if (gone || (!stored.parallelUploadUrls && offsets[0] >= stored.size)) {
+            await urlStorage.removeUpload(stored.urlStorageKey);
+        } else {
+            resumable.push(stored);
+        }
+    }
+    return resumable.sort((a, b) => new Date(b.creationTime) - new Date(a.creationTime));
+}
+
+/**
+ * Upload one file from `collectFiles` to the tus endpoint, with the metadata the web client sends
+ * (filename, filetype, relativePath). Files of `parallelMinSize` and up go up as `parallelUploads`
+ * partial uploads. The upload URL is kept in `urlStorage` until the upload finishes or the server refuses
+ * it for good, so a later run for the same file (same path, size and modification time) continues where
+ * this one stopped.
+ *
+ * `onStart(resumed)` is called once it is known whether an earlier upload is continued. Resolves with
+ * the upload id, whether it was resumed, and the SHA-256 and scan status the server
+ * reported for the finished file.
+ */
+function uploadFile(entry, { endpoint, headers, chunkSize, parallelUploads, parallelMinSize, urlStorage, httpStack, onStart = () => {}, onProgress = () => {} }) {
+    const metadata = {
+        filename: entry.name,
+        filetype: entry.type,
+        relativePath: entry.relativePath,
+    };
+    return new Promise((resolve, reject) => {
+        let resumed = false;
+        const upload = new tus.Upload(fs.createReadStream(entry.path), {
+            endpoint,
+            retryDelays: RETRY_DELAYS,
+            chunkSize,
+            metadata,
+            parallelUploads: entry.size >= parallelMinSize ? parallelUploads : 1,
+            metadataForPartialUploads: metadata,
+            fingerprint: () => Promise.resolve(
+                ['dropsite-cli', entry.path, entry.relativePath, entry.size, entry.lastModified, endpoint].join('-')
+            ),
+            urlStorage,
+            removeFingerprintOnSuccess: true,
+            headers,
+            httpStack,
+            onShouldRetry: shouldRetry,
+            onProgress: (bytesUploaded, bytesTotal) => onProgress(bytesUploaded, bytesTotal),
+            onSuccess: ({ lastResponse }) => {
+                resolve({
+                    id: getUploadId(upload.url),
+                    resumed,
+                    // Only the response that finished the upload carries them
+                    sha256: (lastResponse && lastResponse.getHeader('Upload-Sha256')) || null,
+                    scanStatus: (lastResponse && lastResponse.getHeader('Upload-Scan-Status')) || null,
+                });
+            },
+            onError: (err) => {
+                // A later run starts over instead of resuming an upload the server turned down
+                const forget = isPermanentError(err)
+                    ? upload.findPreviousUploads().then(previousUploads => Promise.all(
+                        previousUploads.map(stored => urlStorage.removeUpload(stored.urlStorageKey))
+                    ))
+                    : Promise.resolve();
+                forget
+                    .catch(() => {})
+                    .then(() => reject(new Error(describeUploadError(err))));
+            },
+        });
+
+        findResumableUploads(upload, urlStorage, headers)
+            .then((previousUploads) => {
+                if (previousUploads.length > 0) {
+                    upload.resumeFromPreviousUpload(previousUploads[0]);
+                    resumed = true;
+                }
+                onStart(resumed);
+                upload.start();
+            })
+            .catch(reject);
+    });
+}
+
+module.exports = { uploadFile };
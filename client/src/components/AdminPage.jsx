@@ -0,0 +1,356 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Layout from './Layout';
+import LoginPage from './LoginPage';
+import { apiRequest } from '../utils/api';
+import { formatBytes } from '../utils/formatters';
+import { DOWNLOAD_ENDPOINT } from '../config';
+
+const COLUMNS = [
+  { key: 'filename', label: 'File' },
+  { key: 'size', label: 'Size' },
+  { key: 'offset', label: 'Progress' },
+  { key: 'createdAt', label: 'Created' },
+  { key: 'uploader', label: 'Uploader' },
+  { key: 'downloadCount', label: 'Downloads' },
+];
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const SCAN_LABELS = {
+  scanning: { text: 'Scanning', className: 'text-slate-500' },
+  clean: { text: 'Clean', className: 'text-green-700' },
+  infected: { text: 'Infected', className: 'text-red-700' },
+  error: { text: 'Scan failed', className: 'text-red-700' },
+};
+
+const PROCESSING_LABELS = {
+  queued: { text: 'Processing queued', className: 'text-slate-500' },
+  running: { text: 'Processing', className: 'text-slate-500' },
+  retrying: { text: 'Processing failed, retrying', className: 'text-amber-700' },
+  done: { text: 'Processed', className: 'text-green-700' },
+  failed: { text: 'Processing failed', className: 'text-red-700' },
+};
+
+// Which post-upload step did what, for the tooltip
+const describeProcessing = (processing) => [
+  ...(processing.steps || []).map(step => `${step.step}: ${step.ok ? 'ok' : step.error}${step.output ? `\n${step.output}` : ''}`),
+  processing.nextAttemptAt ? `Next attempt ${new Date(processing.nextAttemptAt).toLocaleString()}` : null,
+].filter(Boolean).join('\n') || undefined;
+
+const SummaryCard = ({ label, value }) => (
+  <div className="p-3 bg-slate-50 rounded-lg">
+    <p className="text-xs text-slate-500">{label}</p>
+    <p className="text-lg font-medium text-slate-800">{value}</p>
+  </div>
+);
+
+// Lists every stored upload for admins, at /admin
+const AdminPage = () => {
+  const [session, setSession] = useState(null);
+  const [uploads, setUploads] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [sort, setSort] = useState({ key: 'createdAt', order: 'desc' });
+  const [selected, setSelected] = useState(new Set());
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [cleanup, setCleanup] = useState(null);
+  const [isCleaning, setIsCleaning] = useState(false);
+
+  const canView = session !== null && (!session.authRequired || (session.user && session.user.admin));
+
+  useEffect(() => {
+    apiRequest('/me').then(setSession).catch(err => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const loadUploads = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const params = new URLSearchParams({ q: debouncedQuery, sort: sort.key, order: sort.order });
+      const data = await apiRequest(`/admin/uploads?${params}`);
+      setUploads(data.uploads);
+      setSummary(data.summary);
+      // Drop selections that are no longer listed
+      setSelected(prevSelected => new Set(data.uploads.map(upload => upload.id).filter(id => prevSelected.has(id))));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [debouncedQuery, sort]);
+
+  useEffect(() => {
+    if (canView) {
+      loadUploads();
+    }
+  }, [canView, loadUploads]);
+
+  useEffect(() => {
+    if (canView) {
+      apiRequest('/admin/cleanup').then(setCleanup).catch(err => console.error('Failed to load cleanup status:', err));
+    }
+  }, [canView]);
+
+  const runCleanup = async () => {
+    setIsCleaning(true);
+    try {
+      const lastRun = await apiRequest('/admin/cleanup', { method: 'POST' });
+      setCleanup(prevCleanup => ({ ...prevCleanup, lastRun }));
+      loadUploads();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCleaning(false);
+    }
+  };
+
+  const toggleSort = (key) => {
+    setSort(prevSort => ({
+      key,
+      order: prevSort.key === key && prevSort.order === 'asc' ? 'desc' : 'asc',
+    }));
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prevSelected => {
+      const nextSelected = new Set(prevSelected);
+      if (nextSelected.has(id)) {
+        nextSelected.delete(id);
+      } else {
+        nextSelected.add(id);
+      }
+      return nextSelected;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(prevSelected => (
+      prevSelected.size === uploads.length ? new Set() : new Set(uploads.map(upload => upload.id))
+    ));
+  };
+
+  const deleteSelected = async () => {
+    if (!window.confirm(`Delete ${selected.size} ${selected.size === 1 ? 'upload' : 'uploads'}? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      const result = await apiRequest('/admin/uploads/delete', { method: 'POST', body: { ids: [...selected] } });
+      if (result.failed.length > 0) {
+        setError(`Could not delete ${result.failed.map(failure => `${failure.id} (${failure.error})`).join(', ')}`);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+    loadUploads();
+  };
+
+  const releaseUpload = async (upload) => {
+    if (!window.confirm(`Release ${upload.filename} from quarantine?\n\n${upload.quarantine.reason}`)) {
+      return;
+    }
+    try {
+      await apiRequest(`/admin/uploads/${encodeURIComponent(upload.id)}/release`, { method: 'POST' });
+    } catch (err) {
+      setError(err.message);
+    }
+    loadUploads();
+  };
+
+  const processUpload = async (upload) => {
+    try {
+      await apiRequest(`/admin/uploads/${encodeURIComponent(upload.id)}/process`, { method: 'POST' });
+    } catch (err) {
+      setError(err.message);
+    }
+    loadUploads();
+  };
+
+  const rescanUpload = async (upload) => {
+    try {
+      await apiRequest(`/admin/uploads/${encodeURIComponent(upload.id)}/rescan`, { method: 'POST' });
+    } catch (err) {
+      setError(err.message);
+    }
+    loadUploads();
+  };
+
+  if (session === null) {
+    return <Layout wide>{error ? <p className="text-red-700">{error}</p> : <p className="text-slate-500">Loading...</p>}</Layout>;
+  }
+
+  if (session.authRequired && !session.user) {
+    return <Layout><LoginPage onLogin={setSession} /></Layout>;
+  }
+
+  if (!canView) {
+    return <Layout><p className="text-slate-600">Administrator access required.</p></Layout>;
+  }
+
+  return (
+    <Layout wide>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium text-slate-800">Stored uploads</h2>
+        <div className="flex space-x-4 text-sm">
+          <a href="/admin/webhooks" className="text-sky-600 hover:text-sky-700">Webhooks</a>
+          <a href="/" className="text-sky-600 hover:text-sky-700">Back to uploads</a>
+        </div>
+      </div>
+
+      {summary && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-6 text-left">
+          <SummaryCard label="Uploads" value={summary.count} />
+          <SummaryCard label="Incomplete" value={summary.incompleteCount} />
+          <SummaryCard label="Stored" value={formatBytes(summary.storedBytes)} />
+          <SummaryCard
+            label="Disk free"
+            value={summary.disk ? `${formatBytes(summary.disk.freeBytes)} of ${formatBytes(summary.disk.totalBytes)}` : 'Unknown'}
+          />
+        </div>
+      )}
+
+      {cleanup && (
+        <div className="flex justify-between items-center mb-6 text-sm text-slate-600">
+          <p>
+            {cleanup.lastRun
+              ? `Last cleanup ${new Date(cleanup.lastRun.finishedAt || cleanup.lastRun.startedAt).toLocaleString()}: removed ${
+                cleanup.lastRun.removedIncomplete + cleanup.lastRun.removedExpired + cleanup.lastRun.removedOrphaned
+              }, reclaimed ${formatBytes(cleanup.lastRun.reclaimedBytes)}`
+              : 'Cleanup has not run yet.'}
+          </p>
+          <button
+            className="btn bg-slate-200 hover:bg-slate-300 text-slate-800 disabled:opacity-50"
+            disabled={isCleaning}
+            onClick={runCleanup}
+          >
+            {isCleaning ? 'Cleaning up...' : 'Run Cleanup'}
+          </button>
+        </div>
+      )}
+
+      <div className="flex justify-between items-center mb-3 space-x-3">
+        <input
+          type="search"
+          placeholder="Search by name, path or uploader"
+          className="flex-grow px-3 py-2 border border-slate-300 rounded-md"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <button
+          className="btn bg-red-500 hover:bg-red-600 text-white disabled:opacity-50"
+          disabled={selected.size === 0}
+          onClick={deleteSelected}
+        >
+          Delete{selected.size > 0 ? ` (${selected.size})` : ''}
+        </button>
+      </div>
+
+      {error && <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-slate-500 border-b border-slate-200">
+            <tr>
+              <th className="py-2 pr-2">
+                <input
+                  type="checkbox"
+                  aria-label="Select all"
+                  checked={uploads.length > 0 && selected.size === uploads.length}
+                  onChange={toggleAll}
+                />
+              </th>
+              {COLUMNS.map(column => (
+                <th key={column.key} className="py-2 pr-4 font-medium">
+                  <button className="hover:text-slate-800" onClick={() => toggleSort(column.key)}>
+                    {column.label}
+                    {sort.key === column.key && (sort.order === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {uploads.map(upload => (
+              <tr key={upload.id} className="border-b border-slate-100">
+                <td className="py-2 pr-2">
+                  <input
+                    type="checkbox"
+                    aria-label={`Select ${upload.filename}`}
+                    checked={selected.has(upload.id)}
+                    onChange={() => toggleSelected(upload.id)}
+                  />
+                </td>
+                <td className="py-2 pr-4 break-all">
+                  {upload.complete ? (
+                    <a href={`${DOWNLOAD_ENDPOINT}${upload.id}`} className="text-sky-600 hover:text-sky-700">
+                      {upload.relativePath || upload.filename}
+                    </a>
+                  ) : (
+                    upload.relativePath || upload.filename
+                  )}
+                </td>
+                <td className="py-2 pr-4 whitespace-nowrap">{upload.size === null ? 'Unknown' : formatBytes(upload.size)}</td>
+                <td className="py-2 pr-4 whitespace-nowrap">
+                  {upload.complete ? 'Complete' : `${upload.partial ? 'Part, ' : ''}${upload.size ? Math.floor((upload.offset / upload.size) * 100) : 0}%`}
+                  {upload.quarantine && (
+                    <span className="block text-xs text-red-700" title={upload.quarantine.reason}>
+                      Quarantined{' '}
+                      <button className="text-sky-600 hover:text-sky-700" onClick={() => releaseUpload(upload)}>Release</button>
+                    </span>
+                  )}
+                  {upload.scan && (
+                    <span
+                      className={`block text-xs ${SCAN_LABELS[upload.scan.status].className}`}
+                      title={upload.scan.signature || upload.scan.error || undefined}
+                    >
+                      {SCAN_LABELS[upload.scan.status].text}
+                      {upload.scan.signature && ` (${upload.scan.signature})`}
+                      {upload.scan.status !== 'scanning' && (
+                        <>
+                          {' '}
+                          <button className="text-sky-600 hover:text-sky-700" onClick={() => rescanUpload(upload)}>Rescan</button>
+                        </>
+                      )}
+                    </span>
+                  )}
+                  {upload.processing && (
+                    <span
+                      className={`block text-xs ${PROCESSING_LABELS[upload.processing.status].className}`}
+                      title={describeProcessing(upload.processing)}
+                    >
+                      {PROCESSING_LABELS[upload.processing.status].text}
+                      {upload.processing.attempts > 1 && ` (${upload.processing.attempts} attempts)`}
+                      {['done', 'failed', 'retrying'].includes(upload.processing.status) && (
+                        <>
+                          {' '}
+                          <button className="text-sky-600 hover:text-sky-700" onClick={() => processUpload(upload)}>Run again</button>
+                        </>
+                      )}
+                    </span>
+                  )}
+                </td>
+                <td className="py-2 pr-4 whitespace-nowrap">{upload.createdAt ? new Date(upload.createdAt).toLocaleString() : '-'}</td>
+                <td className="py-2 pr-4">
+                  {upload.uploader || '-'}
+                  {upload.fileRequest && <span className="block text-xs text-slate-500">via file request</span>}
+                </td>
+                <td className="py-2 pr-4">{upload.downloadCount}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!isLoading && uploads.length === 0 && (
+          <p className="py-6 text-center text-slate-500">{debouncedQuery ? 'No uploads match your search.' : 'No uploads stored.'}</p>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default AdminPage;
@@ -0,0 +1,135 @@
+import React, { useState, useRef } from 'react';
+import { openEncryptedStream } from '../utils/encryption';
+import { formatBytes } from '../utils/formatters';
+
+// With the File System Access API (Chromium browsers) the file is written to disk as it is decrypted,
+// elsewhere it is put together in memory and saved at the end
+const canSaveToDisk = () => typeof window.showSaveFilePicker === 'function';
+
+const countBytes = (onBytes) => new TransformStream({
+  transform(chunk, controller) {
+    onBytes(chunk.length);
+    controller.enqueue(chunk);
+  },
+});
+
+const saveFromMemory = async (stream, { name, type }) => {
+  const parts = [];
+  const reader = stream.getReader();
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    parts.push(result.value);
+  }
+  const url = URL.createObjectURL(new Blob(parts, { type: type || 'application/octet-stream' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+};
+
+// Downloads an end-to-end encrypted file from `url` and decrypts it in the browser with `encryptionKey`
+const EncryptedDownload = ({ url, encryptionKey }) => {
+  // idle -> opening -> (ready ->) decrypting -> done, or error on the way
+  const [state, setState] = useState('idle');
+  const [metadata, setMetadata] = useState(null);
+  const [received, setReceived] = useState(0);
+  const [error, setError] = useState(null);
+  const openedRef = useRef(null);
+
+  const fail = (err) => {
+    console.error('Failed to decrypt the download:', err);
+    setError(err.message);
+    setState('error');
+  };
+
+  const decrypt = async (opened, writeTo) => {
+    setState('decrypting');
+    setReceived(0);
+    const stream = opened.stream.pipeThrough(countBytes(count => setReceived(prev => prev + count)));
+    await writeTo(stream);
+    setState('done');
+  };
+
+  const start = async () => {
+    setState('opening');
+    setError(null);
+    try {
+      const response = await fetch(url, { credentials: 'same-origin' });
+      if (!response.ok) {
+        throw new Error((await response.text()) || `Download failed with status ${response.status}`);
+      }
+      const opened = await openEncryptedStream(response.body, encryptionKey);
+      openedRef.current = opened;
+      setMetadata(opened.metadata);
+      if (canSaveToDisk()) {
+        // The save dialog needs a click of its own, the first one was spent on the download
+        setState('ready');
+      } else {
+        await decrypt(opened, stream => saveFromMemory(stream, opened.metadata));
+      }
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const saveToDisk = async () => {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({ suggestedName: metadata.name });
+    } catch (err) {
+      // Closing the dialog leaves the download waiting for another try
+      if (err.name !== 'AbortError') fail(err);
+      return;
+    }
+    try {
+      await decrypt(openedRef.current, async stream => stream.pipeTo(await handle.createWritable()));
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  const percent = metadata && metadata.size > 0 ? Math.min(100, (received / metadata.size) * 100) : 0;
+
+  return (
+    <div className="mt-6 text-left">
+      {metadata && (
+        <p className="mb-3 text-slate-800">
+          <span className="font-medium break-all">{metadata.name}</span>
+          <span className="text-sm text-slate-600"> · {formatBytes(metadata.size)}</span>
+        </p>
+      )}
+
+      {['idle', 'error'].includes(state) && (
+        <button className="btn bg-sky-500 hover:bg-sky-600 text-white" onClick={start}>
+          {state === 'error' ? 'Try Again' : 'Download and Decrypt'}
+        </button>
+      )}
+      {state === 'opening' && <p className="text-slate-500">Starting the download...</p>}
+      {state === 'ready' && (
+        <button className="btn bg-sky-500 hover:bg-sky-600 text-white" onClick={saveToDisk}>
+          Save File
+        </button>
+      )}
+      {state === 'decrypting' && (
+        <div>
+          <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
+            <div className="h-full bg-sky-500" style={{ width: `${percent}%` }} />
+          </div>
+          <p className="mt-1 text-sm text-slate-600">
+            Decrypting {formatBytes(received)} of {formatBytes(metadata.size)}
+          </p>
+        </div>
+      )}
+      {state === 'done' && <p className="text-green-700">Saved and decrypted.</p>}
+      {error && <p className="mt-2 text-sm text-red-700">{error}</p>}
+
+      <p className="mt-4 text-xs text-slate-500">
+        This file is end-to-end encrypted. It is decrypted in your browser with the key in the link, which
+        never reaches the server.
+        {!canSaveToDisk() && ' This browser keeps the whole file in memory until it is saved, which limits the size it can handle.'}
+      </p>
+    </div>
+  );
+};
+
+export default EncryptedDownload;
@@ -0,0 +1,26 @@
+import React from 'react';
+import Layout from './Layout';
+import EncryptedDownload from './EncryptedDownload';
+
+// /e/:id#key - an end-to-end encrypted upload, downloaded through /d/:id and decrypted here
+const EncryptedFilePage = ({ uploadId }) => {
+  const encryptionKey = window.location.hash.slice(1);
+
+  return (
+    <Layout>
+      <div className="p-4 bg-slate-50 rounded-lg">
+        <p className="font-medium text-slate-800">Encrypted file</p>
+        {!encryptionKey && (
+          <p className="mt-2 text-sm text-red-700">
+            This link is missing its key, the part after #. Copy the whole link and open it again.
+          </p>
+        )}
+      </div>
+      {encryptionKey && (
+        <EncryptedDownload url={`/d/${encodeURIComponent(uploadId)}`} encryptionKey={encryptionKey} />
+      )}
+    </Layout>
+  );
+};
+
+export default EncryptedFilePage;
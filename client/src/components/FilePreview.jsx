@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react';
+
+// Syntax highlighting of a small text file. highlight.js is loaded when a text file is shown, not with the app.
+const TextPreview = ({ url, filename }) => {
+  const [html, setHtml] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([
+      fetch(url, { credentials: 'same-origin' }).then(response => {
+        if (!response.ok) throw new Error(`Loading the file failed with status ${response.status}`);
+        return response.text();
+      }),
+      import('highlight.js/lib/common').then(module => module.default),
+      import('highlight.js/styles/github.css'),
+    ])
+      .then(([text, hljs]) => {
+        const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+        const result = hljs.getLanguage(extension)
+          ? hljs.highlight(text, { language: extension, ignoreIllegals: true })
+          : hljs.highlightAuto(text);
+        if (!cancelled) setHtml(result.value);
+      })
+      .catch(err => {
+        console.error('Failed to show the text:', err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [url, filename]);
+
+  if (error) return <p className="text-sm text-red-700">{error}</p>;
+  if (html === null) return <p className="text-slate-500">Loading...</p>;
+  return (
+    <pre className="max-h-[70vh] overflow-auto p-4 bg-slate-50 border border-slate-200 rounded-lg text-left text-sm">
+      {/* highlight.js escapes the text, the markup is only its own spans */}
+      <code className="hljs" dangerouslySetInnerHTML={{ __html: html }} />
+    </pre>
+  );
+};
+
+// The browser plays what it can; formats it can't decode get a note instead of a broken player
+const MediaPreview = ({ kind, url }) => {
+  const [failed, setFailed] = useState(false);
+  if (failed) {
+    return <p className="text-sm text-slate-600">This browser can&apos;t play this file, download it instead.</p>;
+  }
+  const Player = kind === 'video' ? 'video' : 'audio';
+  return <Player controls preload="metadata" src={url} className="w-full rounded-lg" onError={() => setFailed(true)} />;
+};
+
+// The preview of a file as /api/uploads/:id/preview and the share API describe it: `preview` is the kind,
+// `contentUrl` the file to show inline and `thumbnailUrl` the image thumbnail, if there is one
+const FilePreview = ({ file }) => {
+  switch (file.preview) {
+    case 'image':
+      return (
+        <a href={file.contentUrl || file.downloadUrl} target="_blank" rel="noreferrer noopener">
+          <img
+            src={file.thumbnailUrl || file.contentUrl}
+            alt={file.filename}
+            className="mx-auto max-h-[70vh] rounded-lg border border-slate-200"
+          />
+        </a>
+      );
+    case 'video':
+    case 'audio':
+      return <MediaPreview kind={file.preview} url={file.contentUrl} />;
+    case 'pdf':
+      return <iframe src={file.contentUrl} title={file.filename} className="w-full h-[75vh] rounded-lg border border-slate-200" />;
+    case 'text':
+      return <TextPreview url={file.contentUrl} filename={file.filename} />;
+    default:
+      return null;
+  }
+};
+
+export default FilePreview;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+// Page chrome shared by the uploader and the public pages
+const Layout = ({ headerActions = null, wide = false, children }) => (
+  <div className="gradient-bg flex flex-col">
+    <header className="dark-gradient-bg">
+      <div className="max-w-6xl mx-auto px-4 py-5 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between">
+          <a href="/" className="flex items-center space-x-3">
+            <img src="/vite.svg" alt="DropSite Logo" className="w-10 h-10" />
+            <h1 className="text-2xl font-bold text-slate-500">DropSite</h1>
+          </a>
+          {headerActions}
+        </div>
+      </div>
+    </header>
+
+    <main className="flex-grow container mx-auto px-4 py-8 sm:px-6 lg:px-8">
+      <div className={`${wide ? 'max-w-6xl' : 'max-w-2xl'} mx-auto`}>
+        <div className="bg-white p-6">
+          {children}
+        </div>
+      </div>
+    </main>
+
+    <footer className="dark-gradient-bg mt-auto py-5">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
+        <p className="text-sm text-slate-400/80 text-center">
+          © {new Date().getFullYear()} DropSite
+        </p>
+        <a
+          href="https://github.com/ablomer/dropsite"
+          className="text-sm text-slate-400/80 hover:text-slate-500/80"
+          target="_blank"
+          rel="noreferrer"
+        >
+          GitHub
+        </a>
+      </div>
+    </footer>
+  </div>
+);
+
+export default Layout;
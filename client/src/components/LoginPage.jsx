@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { apiRequest } from '../utils/api';
+
+const LoginPage = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const session = await apiRequest('/login', { method: 'POST', body: { username, password } });
+      onLogin(session);
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="max-w-sm mx-auto space-y-4" onSubmit={handleSubmit}>
+      <h2 className="text-lg font-medium text-slate-800">Sign in to upload</h2>
+
+      {error && (
+        <div className="p-3 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+
+      <div className="text-left">
+        <label htmlFor="login-username" className="block text-sm text-slate-600 mb-1">Username</label>
+        <input
+          id="login-username"
+          type="text"
+          autoComplete="username"
+          className="w-full px-3 py-2 border border-slate-300 rounded-md"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          required
+        />
+      </div>
+
+      <div className="text-left">
+        <label htmlFor="login-password" className="block text-sm text-slate-600 mb-1">Password</label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          className="w-full px-3 py-2 border border-slate-300 rounded-md"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+      </div>
+
+      <button
+        type="submit"
+        className="btn w-full bg-sky-500 hover:bg-sky-600 text-white disabled:opacity-50"
+        disabled={isSubmitting}
+      >
+        {isSubmitting ? 'Signing in...' : 'Sign In'}
+      </button>
+    </form>
+  );
+};
+
+export default LoginPage;
@@ -39,6 +39,8 @@ const ProgressGraph = ({
   speedUpdateFrequency = 300, // How often to update the displayed speed in milliseconds
   eta = null,
   formatDuration = (seconds) => seconds ? `${seconds}s` : 'Calculating...',
+  paused = false, // Freezes the graph and readouts until the upload continues
+  rateLimit = null, // Bytes per second the server allows, when it throttles uploads
 }) => {
   // State for displayed speed value - updates more slowly
   const [displayedSpeed, setDisplayedSpeed] = useState(currentSpeed);
@@ -48,8 +50,26 @@ const ProgressGraph = ({
   // Maintain a state for the adapting max speed to ensure smooth transitions
   const [adaptiveMaxSpeed, setAdaptiveMaxSpeed] = useState(30 * 1024 * 1024); // Initial guess in B/s
   
+  // After a pause the smoothed speed starts over instead of blending in the rate from before the pause
+  const restartSpeedRef = useRef(false);
+  useEffect(() => {
+    if (paused) {
+      restartSpeedRef.current = true;
+    }
+  }, [paused]);
+
   // Update displayed speed at a slower rate for readability
   useEffect(() => {
+    if (paused) return;
+    if (restartSpeedRef.current) {
+      if (currentSpeed > 0) {
+        restartSpeedRef.current = false;
+        lastSpeedUpdateRef.current = Date.now();
+        setDisplayedSpeed(currentSpeed);
+      }
+      return;
+    }
+
     const now = Date.now();
     // Only update displayed speed value based on the provided frequency
     if (now - lastSpeedUpdateRef.current >= speedUpdateFrequency) {
@@ -61,7 +81,7 @@ const ProgressGraph = ({
         return (prev * 0.7 + currentSpeed * 0.3); // Keep as number (B/s), format on display
       });
     }
-  }, [currentSpeed, speedUpdateFrequency]);
+  }, [currentSpeed, speedUpdateFrequency, paused]);
   
   // Update the adaptive max speed whenever transfer rates or current speed changes
   useEffect(() => {
@@ -103,8 +123,8 @@ const ProgressGraph = ({
         fill: true,
         label: 'Transfer Rate',
         data: transferRates,
-        borderColor: 'rgba(0, 128, 0, 1)',
-        backgroundColor: 'rgba(0, 200, 0, 0.3)',
+        borderColor: paused ? 'rgba(100, 116, 139, 1)' : 'rgba(0, 128, 0, 1)',
+        backgroundColor: paused ? 'rgba(148, 163, 184, 0.3)' : 'rgba(0, 200, 0, 0.3)',
         borderWidth: 2,
         pointRadius: 0,
         tension: 0.3,
@@ -143,12 +163,22 @@ const ProgressGraph = ({
     },
   };
 
+  // Running at (close to) the server's limit: the flat line is the throttle, not the connection
+  const throttled = !paused && rateLimit !== null && displayedSpeed >= rateLimit * 0.8;
+
   return (
     <div className="w-full">
       {/* Speed and time remaining display above the graph */}
       <div className="flex justify-between text-xs text-gray-700 mb-1">
-        <div className="text-slate-500">{formatDuration(eta)} remaining</div>
-        <div>Speed: {formatSpeed(displayedSpeed, 1)}</div>
+        <div className="text-slate-500">{paused ? 'Paused' : `${formatDuration(eta)} remaining`}</div>
+        <div>
+          {throttled && (
+            <span className="text-amber-600 mr-2" title={`The server limits this upload to ${formatSpeed(rateLimit, 1)}`}>
+              Throttled
+            </span>
+          )}
+          Speed: {paused ? '-' : formatSpeed(displayedSpeed, 1)}
+        </div>
       </div>
       
       {/* Progress area with grid background */}
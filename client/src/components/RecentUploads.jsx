@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { getEncryptedFileURL, getViewURL } from '../hooks/useUploadQueue';
+import { formatBytes } from '../utils/formatters';
+
+// Entries shown before "Show all"
+const COLLAPSED_COUNT = 5;
+
+// A download link as a QR code, for fetching the file on a phone
+const LinkQrCode = ({ url }) => {
+  const [dataUrl, setDataUrl] = useState(null);
+
+  useEffect(() => {
+    QRCode.toDataURL(url, { margin: 1, width: 176 })
+      .then(setDataUrl)
+      .catch(err => console.error('Failed to draw the QR code:', err));
+  }, [url]);
+
+  if (!dataUrl) return null;
+  return <img src={dataUrl} alt={`QR code for ${url}`} className="mt-3 w-44 h-44 border border-slate-200 rounded" />;
+};
+
+const RecentUpload = ({ entry, onDelete }) => {
+  const [showQrCode, setShowQrCode] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState(null);
+  const url = entry.encryptionKey ? getEncryptedFileURL(entry.id, entry.encryptionKey) : getViewURL(entry.id);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(url)
+      .then(() => setCopied(true))
+      .catch(err => console.error('Failed to copy link:', err));
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${entry.filename} from the server? Its links and share links stop working.`)) return;
+    setDeleting(true);
+    setError(null);
+    try {
+      await onDelete(entry);
+    } catch (err) {
+      setError(err.message);
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <li className="p-3 bg-slate-50 rounded-lg text-sm">
+      <div className="flex justify-between items-start space-x-3">
+        <div className="min-w-0">
+          <p className="font-medium text-slate-800 break-all">{entry.relativePath || entry.filename}</p>
+          <p className="text-slate-500">
+            {formatBytes(entry.size)}
+            {entry.uploadedAt && ` · ${new Date(entry.uploadedAt).toLocaleString()}`}
+          </p>
+          <a href={url} className="text-sky-600 hover:text-sky-700 break-all" target="_blank" rel="noreferrer noopener">
+            {url}
+          </a>
+        </div>
+        <div className="flex flex-shrink-0 space-x-2">
+          <button className="btn bg-slate-200 hover:bg-slate-300 text-slate-800" onClick={copyLink}>
+            {copied ? 'Copied' : 'Copy'}
+          </button>
+          <button className="btn bg-slate-200 hover:bg-slate-300 text-slate-800" onClick={() => setShowQrCode(!showQrCode)}>
+            {showQrCode ? 'Hide QR' : 'QR'}
+          </button>
+          <button className="btn bg-red-500 hover:bg-red-600 text-white disabled:opacity-50" disabled={deleting} onClick={handleDelete}>
+            Delete
+          </button>
+        </div>
+      </div>
+      {showQrCode && <LinkQrCode url={url} />}
+      {error && <p className="mt-2 text-red-700">{error}</p>}
+    </li>
+  );
+};
+
+// Links of earlier uploads, so they aren't lost once the queue is cleared
+const RecentUploads = ({ entries, onDelete }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const shown = expanded ? entries : entries.slice(0, COLLAPSED_COUNT);
+  return (
+    <div className="mb-6 text-left">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-sm font-medium text-slate-700">Recent uploads</h2>
+        {entries.length > COLLAPSED_COUNT && (
+          <button className="text-sm text-sky-600 hover:text-sky-700" onClick={() => setExpanded(!expanded)}>
+            {expanded ? 'Show fewer' : `Show all ${entries.length}`}
+          </button>
+        )}
+      </div>
+      <ul className="space-y-2">
+        {shown.map(entry => <RecentUpload key={entry.id} entry={entry} onDelete={onDelete} />)}
+      </ul>
+    </div>
+  );
+};
+
+export default RecentUploads;
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Layout from './Layout';
+import UploadQueueItem from './UploadQueueItem';
+import useUploadQueue, { STATUS } from '../hooks/useUploadQueue';
+import { apiRequest } from '../utils/api';
+import { formatBytes } from '../utils/formatters';
+import { getDroppedFiles, getSelectedFiles } from '../utils/fileEntries';
+
+const UNAVAILABLE_TITLES = {
+  expired: 'Request expired',
+  full: 'Request complete',
+  missing: 'Request not found',
+};
+
+// "image/png" matches "image/png" and "image/*", like the server checks it
+const isTypeAllowed = (type, allowedTypes) => allowedTypes.length === 0 || allowedTypes.some(allowed => (
+  allowed.endsWith('/*') ? type.toLowerCase().startsWith(allowed.slice(0, -1)) : type.toLowerCase() === allowed
+));
+
+// Public uploader for /r/:slug file request links, everything goes into that one request
+const RequestUploadPage = ({ slug }) => {
+  const [request, setRequest] = useState(null);
+  const [unavailable, setUnavailable] = useState(null); // { state, message }
+  const [error, setError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  useEffect(() => {
+    apiRequest(`/requests/${encodeURIComponent(slug)}`)
+      .then(setRequest)
+      .catch(err => {
+        setUnavailable({ state: (err.data && err.data.state) || 'missing', message: err.message });
+      });
+  }, [slug]);
+
+  // Files the request would refuse anyway fail right away instead of after the upload starts
+  const validateFile = useCallback(({ file }) => {
+    if (!request) return null;
+    if (request.maxFileSize !== null && file.size > request.maxFileSize) {
+      return `File is too large. This request accepts files up to ${formatBytes(request.maxFileSize)}.`;
+    }
+    if (!isTypeAllowed(file.type, request.allowedTypes)) {
+      return `This request only accepts ${request.allowedTypes.join(', ')}.`;
+    }
+    return null;
+  }, [request]);
+
+  const {
+    items, addFiles, enqueue, enqueueAll, pause, resume, cancel, remove, discardPrevious,
+  } = useUploadQueue({ fileRequest: slug, validateFile });
+
+  const acceptedCount = items.filter(item => !item.rejected).length;
+  const pendingCount = items.filter(item => item.status === STATUS.PENDING).length;
+  const completeCount = items.filter(item => item.status === STATUS.COMPLETE).length;
+
+  const handleFileSelection = (entries) => {
+    if (entries.length === 0) {
+      setError('No files found in the selection.');
+      return;
+    }
+    setError(null);
+    const slots = request.remainingFiles === null ? entries.length : Math.max(request.remainingFiles - acceptedCount, 0);
+    if (entries.length > slots) {
+      setError(`This request accepts ${slots} more ${slots === 1 ? 'file' : 'files'}, the rest were left out.`);
+    }
+    addFiles(entries.slice(0, slots));
+  };
+
+  const handleDrag = (dragging) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(dragging);
+  };
+
+  const handleDrop = (e) => {
+    handleDrag(false)(e);
+    getDroppedFiles(e.dataTransfer)
+      .then(handleFileSelection)
+      .catch(err => {
+        console.error('Failed to read dropped files:', err);
+        setError('Could not read the dropped files. Try selecting them with the file browser instead.');
+      });
+  };
+
+  const handleFileChange = (e) => {
+    handleFileSelection(getSelectedFiles(e.target.files));
+    e.target.value = '';
+  };
+
+  if (unavailable) {
+    return (
+      <Layout>
+        <div className="p-6 bg-slate-50 rounded-lg text-center">
+          <p className="text-lg font-medium text-slate-800">{UNAVAILABLE_TITLES[unavailable.state] || UNAVAILABLE_TITLES.missing}</p>
+          <p className="mt-2 text-slate-600">{unavailable.message}</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (!request) {
+    return <Layout><p className="text-slate-500">Loading...</p></Layout>;
+  }
+
+  const limits = [
+    request.maxFileSize !== null && `files up to ${formatBytes(request.maxFileSize)}`,
+    request.remainingFiles !== null && `${request.remainingFiles} ${request.remainingFiles === 1 ? 'file' : 'files'} left`,
+    request.allowedTypes.length > 0 && request.allowedTypes.join(', '),
+    request.expiresAt && `open until ${new Date(request.expiresAt).toLocaleString()}`,
+  ].filter(Boolean);
+
+  return (
+    <Layout>
+      <div className="mb-6">
+        <p className="text-lg font-medium text-slate-800">{request.label || 'Upload files'}</p>
+        <p className="text-sm text-slate-600">
+          {request.requestedBy ? `${request.requestedBy} asked you to upload files.` : 'You were asked to upload files.'}
+          {limits.length > 0 && ` Accepts ${limits.join(' · ')}.`}
+        </p>
+      </div>
+
+      <div
+        className={`mb-6 transition-all duration-300 ${isDragging ? 'bg-sky-50' : 'bg-slate-50'}`}
+        style={{ borderRadius: '1rem' }}
+        onDragEnter={handleDrag(true)}
+        onDragOver={handleDrag(true)}
+        onDragLeave={handleDrag(false)}
+        onDrop={handleDrop}
+      >
+        <label htmlFor="request-upload" className="flex flex-col items-center justify-center p-8 cursor-pointer">
+          <svg className="w-14 h-14 text-sky-500 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5"
+              d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"/>
+          </svg>
+          <p className="text-slate-600 text-center font-medium">
+            {isDragging ? 'Drop to upload' : 'Drag & drop files, or click to browse'}
+          </p>
+        </label>
+        <input
+          id="request-upload"
+          type="file"
+          multiple
+          accept={request.allowedTypes.length > 0 ? request.allowedTypes.join(',') : undefined}
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <div className="mb-6">
+          <div className="flex justify-between items-center mb-3">
+            <p className="text-sm text-slate-600">
+              {items.length} {items.length === 1 ? 'file' : 'files'} · {completeCount} sent
+            </p>
+            {pendingCount > 0 && (
+              <button className="btn bg-sky-500 hover:bg-sky-600 text-white" onClick={enqueueAll}>
+                {pendingCount === 1 ? 'Send File' : `Send ${pendingCount} Files`}
+              </button>
+            )}
+          </div>
+          <ul className="space-y-3">
+            {items.map(item => (
+              <UploadQueueItem
+                key={item.id}
+                item={item}
+                onStart={enqueue}
+                onPause={pause}
+                onResume={resume}
+                onCancel={cancel}
+                onRemove={remove}
+                onDiscardPrevious={discardPrevious}
+                showLinks={false}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </Layout>
+  );
+};
+
+export default RequestUploadPage;
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Layout from './Layout';
+import LoginPage from './LoginPage';
+import { apiRequest } from '../utils/api';
+import { formatBytes } from '../utils/formatters';
+import { DOWNLOAD_ENDPOINT } from '../config';
+
+const EXPIRY_OPTIONS = [
+  { label: '1 day', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 },
+  { label: 'Never', hours: null },
+];
+
+const STATE_LABELS = {
+  open: 'Open',
+  expired: 'Expired',
+  full: 'Complete',
+};
+
+const describeFile = (file) => {
+  if (file.removed) return 'Deleted';
+  if (file.complete) return `Received ${new Date(file.finishedAt).toLocaleString()}`;
+  return file.size ? `Uploading, ${Math.round((file.offset / file.size) * 100)}%` : 'Uploading';
+};
+
+// Create "request a file" links and see what arrived through them, at /requests
+const RequestsPage = () => {
+  const [session, setSession] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [error, setError] = useState(null);
+  const [label, setLabel] = useState('');
+  const [expiresInHours, setExpiresInHours] = useState(24 * 7);
+  const [maxFiles, setMaxFiles] = useState('');
+  const [maxFileSizeMb, setMaxFileSizeMb] = useState('');
+  const [allowedTypes, setAllowedTypes] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const needsLogin = session !== null && session.authRequired && !session.user;
+
+  useEffect(() => {
+    apiRequest('/me').then(setSession).catch(err => setError(err.message));
+  }, []);
+
+  const loadRequests = useCallback(async () => {
+    try {
+      const data = await apiRequest('/requests');
+      setRequests(data.requests);
+      setError(null);
+      // Opening the page counts as having seen what arrived
+      await Promise.all(data.requests
+        .filter(request => request.unseenCount > 0)
+        .map(request => apiRequest(`/requests/${encodeURIComponent(request.slug)}/seen`, { method: 'POST' })));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (session && !needsLogin) {
+      loadRequests();
+    }
+  }, [session, needsLogin, loadRequests]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await apiRequest('/requests', {
+        method: 'POST',
+        body: {
+          label: label || null,
+          expiresInHours,
+          maxFiles: maxFiles === '' ? null : parseInt(maxFiles, 10),
+          maxFileSize: maxFileSizeMb === '' ? null : Math.round(Number(maxFileSizeMb) * 1024 * 1024),
+          allowedTypes: allowedTypes || null,
+        },
+      });
+      setLabel('');
+      await loadRequests();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (slug) => {
+    if (!window.confirm('Close this file request? The files already received are kept.')) return;
+    try {
+      await apiRequest(`/requests/${encodeURIComponent(slug)}`, { method: 'DELETE' });
+      setRequests(prevRequests => prevRequests.filter(request => request.slug !== slug));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const copyLink = (url) => {
+    navigator.clipboard.writeText(url).catch(err => console.error('Failed to copy link:', err));
+  };
+
+  return (
+    <Layout wide>
+      {needsLogin && <LoginPage onLogin={setSession} />}
+
+      {session && !needsLogin && (
+        <>
+          <h2 className="text-xl font-medium text-slate-800 mb-4">File Requests</h2>
+          <p className="text-sm text-slate-600 mb-4">
+            Anybody with the link of a file request can upload files to you, without an account.
+          </p>
+
+          <form className="mb-6 p-4 bg-slate-50 rounded-lg flex flex-wrap items-end gap-3 text-sm" onSubmit={handleCreate}>
+            <label className="flex flex-col text-slate-600 flex-grow">
+              Label
+              <input
+                type="text"
+                maxLength={200}
+                placeholder="What are you asking for?"
+                className="mt-1 px-2 py-1 border border-slate-300 rounded-md"
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+              />
+            </label>
+            <label className="flex flex-col text-slate-600">
+              Open for
+              <select
+                className="mt-1 px-2 py-1 border border-slate-300 rounded-md"
+                value={expiresInHours === null ? '' : expiresInHours}
+                onChange={(e) => setExpiresInHours(e.target.value === '' ? null : Number(e.target.value))}
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.label} value={option.hours === null ? '' : option.hours}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col text-slate-600">
+              Max files
+              <input
+                type="number"
+                min="1"
+                placeholder="Unlimited"
+                className="mt-1 w-28 px-2 py-1 border border-slate-300 rounded-md"
+                value={maxFiles}
+                onChange={(e) => setMaxFiles(e.target.value)}
+              />
+            </label>
+            <label className="flex flex-col text-slate-600">
+              Max size (MB)
+              <input
+                type="number"
+                min="1"
+                placeholder="Unlimited"
+                className="mt-1 w-28 px-2 py-1 border border-slate-300 rounded-md"
+                value={maxFileSizeMb}
+                onChange={(e) => setMaxFileSizeMb(e.target.value)}
+              />
+            </label>
+            <label className="flex flex-col text-slate-600">
+              Allowed types
+              <input
+                type="text"
+                placeholder="Any, or e.g. application/pdf, image/*"
+                className="mt-1 w-64 px-2 py-1 border border-slate-300 rounded-md"
+                value={allowedTypes}
+                onChange={(e) => setAllowedTypes(e.target.value)}
+              />
+            </label>
+            <button type="submit" className="btn bg-sky-500 hover:bg-sky-600 text-white disabled:opacity-50" disabled={isSubmitting}>
+              Create Link
+            </button>
+          </form>
+
+          {error && <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>}
+
+          {requests.length === 0 && <p className="text-sm text-slate-500">No file requests yet.</p>}
+
+          <ul className="space-y-3">
+            {requests.map(request => {
+              const url = `${window.location.origin}${request.url}`;
+              return (
+                <li key={request.slug} className="p-4 bg-slate-50 rounded-lg text-sm">
+                  <div className="flex justify-between items-start space-x-3">
+                    <div className="min-w-0">
+                      <p className="font-medium text-slate-800">
+                        {request.label || 'Untitled request'}
+                        {request.unseenCount > 0 && (
+                          <span className="ml-2 px-2 py-0.5 text-xs bg-sky-100 text-sky-700 rounded-full">{request.unseenCount} new</span>
+                        )}
+                      </p>
+                      <a href={url} className="block text-sky-600 hover:text-sky-700 break-all" target="_blank" rel="noreferrer noopener">
+                        {url}
+                      </a>
+                      <p className="text-xs text-slate-500">
+                        {STATE_LABELS[request.state]}
+                        {request.expiresAt ? ` · Open until ${new Date(request.expiresAt).toLocaleString()}` : ' · No expiry'}
+                        {request.maxFiles !== null && ` · ${request.files.length} of ${request.maxFiles} files`}
+                        {request.maxFileSize !== null && ` · Up to ${formatBytes(request.maxFileSize)} each`}
+                        {request.allowedTypes.length > 0 && ` · ${request.allowedTypes.join(', ')}`}
+                      </p>
+                    </div>
+                    <div className="flex flex-shrink-0 space-x-2">
+                      <button className="btn bg-slate-200 hover:bg-slate-300 text-slate-800" onClick={() => copyLink(url)}>
+                        Copy
+                      </button>
+                      <button className="btn bg-red-500 hover:bg-red-600 text-white" onClick={() => handleRevoke(request.slug)}>
+                        Close
+                      </button>
+                    </div>
+                  </div>
+
+                  {request.files.length > 0 && (
+                    <ul className="mt-3 space-y-1">
+                      {request.files.map(file => (
+                        <li key={file.id} className="flex justify-between space-x-3">
+                          {file.complete ? (
+                            <a href={`${DOWNLOAD_ENDPOINT}${encodeURIComponent(file.id)}`} className="text-sky-600 hover:text-sky-700 break-all">
+                              {file.filename}
+                            </a>
+                          ) : (
+                            <span className="text-slate-700 break-all">{file.filename}</span>
+                          )}
+                          <span className="flex-shrink-0 text-slate-500">
+                            {file.size !== null && `${formatBytes(file.size)} · `}{describeFile(file)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </Layout>
+  );
+};
+
+export default RequestsPage;
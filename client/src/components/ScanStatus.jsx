@@ -0,0 +1,41 @@
+import React, { useState, useEffect } from 'react';
+import { apiRequest } from '../utils/api';
+
+const POLL_INTERVAL_MS = 3000;
+
+const describeScan = (scan) => {
+  switch (scan.status) {
+    case 'scanning':
+      return { text: 'Scanning for malware, the link works once the scan is done...', className: 'text-slate-600' };
+    case 'clean':
+      return { text: 'No malware found', className: 'text-green-700' };
+    case 'infected':
+      return { text: `Malware found${scan.signature ? ` (${scan.signature})` : ''}, downloads are blocked`, className: 'text-red-700' };
+    default:
+      return { text: 'The malware scan failed, downloads are blocked until an admin rescans the file', className: 'text-red-700' };
+  }
+};
+
+// Malware scan result of a finished upload, checked again every few seconds while the scan runs
+const ScanStatus = ({ uploadId, initialStatus }) => {
+  const [scan, setScan] = useState({ status: initialStatus });
+
+  useEffect(() => {
+    if (scan.status !== 'scanning') return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await apiRequest(`/uploads/${encodeURIComponent(uploadId)}/scan`);
+        setScan(data.status ? data : { status: 'clean' });
+      } catch (err) {
+        console.error('Failed to check the scan status:', err);
+        setScan(prevScan => ({ ...prevScan })); // try again after the next interval
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [uploadId, scan]);
+
+  const { text, className } = describeScan(scan);
+  return <p className={`mt-1 text-xs ${className}`}>{text}</p>;
+};
+
+export default ScanStatus;
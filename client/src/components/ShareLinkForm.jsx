@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { apiRequest } from '../utils/api';
+
+const EXPIRY_OPTIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '1 day', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 },
+  { label: 'Never', hours: null },
+];
+
+// Creates expiring share links for a finished upload; those of an encrypted upload carry its key in the fragment
+const ShareLinkForm = ({ uploadId, encryptionKey = null }) => {
+  const [expiresInHours, setExpiresInHours] = useState(24 * 7);
+  const [maxDownloads, setMaxDownloads] = useState('');
+  const [password, setPassword] = useState('');
+  const [shares, setShares] = useState([]);
+  const [error, setError] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const share = await apiRequest(`/uploads/${encodeURIComponent(uploadId)}/shares`, {
+        method: 'POST',
+        body: {
+          expiresInHours,
+          maxDownloads: maxDownloads === '' ? null : parseInt(maxDownloads, 10),
+          password: password || null,
+        },
+      });
+      setShares(prevShares => [...prevShares, share]);
+      setPassword('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const copyLink = (url) => {
+    navigator.clipboard.writeText(url).catch(err => console.error('Failed to copy link:', err));
+  };
+
+  if (!isOpen) {
+    return (
+      <button className="mt-2 text-sm text-sky-600 hover:text-sky-700" onClick={() => setIsOpen(true)}>
+        Create share link
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-3 p-3 bg-white border border-slate-200 rounded-lg text-sm">
+      <form className="flex flex-wrap items-end gap-3" onSubmit={handleSubmit}>
+        <label className="flex flex-col text-slate-600">
+          Expires after
+          <select
+            className="mt-1 px-2 py-1 border border-slate-300 rounded-md"
+            value={expiresInHours === null ? '' : expiresInHours}
+            onChange={(e) => setExpiresInHours(e.target.value === '' ? null : Number(e.target.value))}
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.label} value={option.hours === null ? '' : option.hours}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col text-slate-600">
+          Max downloads
+          <input
+            type="number"
+            min="1"
+            placeholder="Unlimited"
+            className="mt-1 w-28 px-2 py-1 border border-slate-300 rounded-md"
+            value={maxDownloads}
+            onChange={(e) => setMaxDownloads(e.target.value)}
+          />
+        </label>
+        <label className="flex flex-col text-slate-600">
+          Password
+          <input
+            type="password"
+            placeholder="Optional"
+            autoComplete="new-password"
+            className="mt-1 w-32 px-2 py-1 border border-slate-300 rounded-md"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </label>
+        <button type="submit" className="btn bg-sky-500 hover:bg-sky-600 text-white disabled:opacity-50" disabled={isSubmitting}>
+          Create
+        </button>
+      </form>
+
+      {error && <p className="mt-2 text-red-700">{error}</p>}
+
+      {shares.map(share => {
+        const url = `${window.location.origin}${share.url}${encryptionKey ? `#${encryptionKey}` : ''}`;
+        return (
+          <div key={share.slug} className="mt-3 flex items-center justify-between space-x-2">
+            <div className="min-w-0">
+              <a href={url} className="block text-sky-600 hover:text-sky-700 break-all" target="_blank" rel="noreferrer noopener">
+                {url}
+              </a>
+              <p className="text-xs text-slate-500">
+                {share.expiresAt ? `Expires ${new Date(share.expiresAt).toLocaleString()}` : 'Never expires'}
+                {share.maxDownloads && ` · ${share.maxDownloads} downloads`}
+                {share.passwordRequired && ' · Password protected'}
+              </p>
+            </div>
+            <button className="btn bg-slate-200 hover:bg-slate-300 text-slate-800" onClick={() => copyLink(url)}>
+              Copy
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ShareLinkForm;
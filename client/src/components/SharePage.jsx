@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import Layout from './Layout';
+import EncryptedDownload from './EncryptedDownload';
+import FilePreview from './FilePreview';
+import { apiRequest } from '../utils/api';
+import { formatBytes } from '../utils/formatters';
+
+const UNAVAILABLE_TITLES = {
+  expired: 'Link expired',
+  exhausted: 'Download limit reached',
+  missing: 'File not available',
+};
+
+// Public landing page for /s/:slug share links
+const SharePage = ({ slug }) => {
+  const [share, setShare] = useState(null);
+  const [unavailable, setUnavailable] = useState(null); // { state, message }
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState(null);
+  const [previewConfirmed, setPreviewConfirmed] = useState(false);
+  // Shares of end-to-end encrypted uploads carry the key in the fragment
+  const encryptionKey = window.location.hash.slice(1);
+
+  useEffect(() => {
+    apiRequest(`/shares/${encodeURIComponent(slug)}`)
+      .then(setShare)
+      .catch(err => {
+        setUnavailable({ state: (err.data && err.data.state) || 'missing', message: err.message });
+      });
+  }, [slug]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setPasswordError(null);
+    try {
+      // The download link and the preview, both carrying the key the password unlocked
+      const unlocked = await apiRequest(`/shares/${encodeURIComponent(slug)}/unlock`, {
+        method: 'POST',
+        body: { password },
+      });
+      setShare(prevShare => ({ ...prevShare, ...unlocked }));
+    } catch (err) {
+      setPasswordError(err.message);
+    }
+  };
+
+  if (unavailable) {
+    return (
+      <Layout>
+        <div className="p-6 bg-slate-50 rounded-lg text-center">
+          <p className="text-lg font-medium text-slate-800">{UNAVAILABLE_TITLES[unavailable.state] || UNAVAILABLE_TITLES.missing}</p>
+          <p className="mt-2 text-slate-600">{unavailable.message}</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (!share) {
+    return <Layout><p className="text-slate-500">Loading...</p></Layout>;
+  }
+
+  // Previews load the file through the link, on limited links that uses up a download unless this browser
+  // already has one going. Image thumbnails don't count.
+  const previewCountsAsDownload = share.remainingDownloads !== null && !share.downloading
+    && !(share.preview === 'image' && share.thumbnailUrl);
+
+  return (
+    <Layout wide={share.preview === 'pdf' || share.preview === 'video'}>
+      <div className="p-4 bg-slate-50 rounded-lg">
+        <p className="font-medium text-slate-800 break-all">{share.encrypted ? 'Encrypted file' : share.filename}</p>
+        <p className="text-sm text-slate-600">
+          {formatBytes(share.size)}
+          {share.expiresAt && ` · Available until ${new Date(share.expiresAt).toLocaleString()}`}
+          {share.remainingDownloads !== null && ` · ${share.remainingDownloads} ${share.remainingDownloads === 1 ? 'download' : 'downloads'} left`}
+        </p>
+        {share.sha256 && !share.encrypted && (
+          <p className="mt-1 text-xs text-slate-500 break-all">
+            SHA-256: <span className="font-mono select-all">{share.sha256}</span>
+          </p>
+        )}
+      </div>
+
+      {share.encrypted && !encryptionKey && (
+        <p className="mt-6 text-sm text-red-700">
+          This link is missing its key, the part after #. Copy the whole link and open it again.
+        </p>
+      )}
+      {share.downloadUrl && share.encrypted && encryptionKey && (
+        <EncryptedDownload url={share.downloadUrl} encryptionKey={encryptionKey} />
+      )}
+      {share.downloadUrl && !share.encrypted && (
+        <a href={share.downloadUrl} className="btn mt-6 inline-block bg-sky-500 hover:bg-sky-600 text-white">
+          Download
+        </a>
+      )}
+      {share.downloadUrl && share.preview && previewCountsAsDownload && !previewConfirmed && (
+        <div className="mt-6 p-4 bg-slate-50 rounded-lg">
+          <p className="text-sm text-slate-600">
+            Viewing the preview counts as a download of this link. Downloading the file afterwards in this browser
+            doesn&apos;t count again.
+          </p>
+          <button
+            type="button"
+            className="btn mt-3 bg-slate-200 hover:bg-slate-300 text-slate-800"
+            onClick={() => setPreviewConfirmed(true)}
+          >
+            Show preview
+          </button>
+        </div>
+      )}
+      {share.downloadUrl && share.preview && (!previewCountsAsDownload || previewConfirmed) && (
+        <div className="mt-6">
+          <FilePreview file={share} />
+        </div>
+      )}
+      {!share.downloadUrl && (
+        <form className="mt-6 space-y-3 text-left" onSubmit={handleUnlock}>
+          <label htmlFor="share-password" className="block text-sm text-slate-600">
+            This file is password protected
+          </label>
+          <div className="flex space-x-2">
+            <input
+              id="share-password"
+              type="password"
+              className="flex-grow px-3 py-2 border border-slate-300 rounded-md"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+            <button type="submit" className="btn bg-sky-500 hover:bg-sky-600 text-white">Unlock</button>
+          </div>
+          {passwordError && <p className="text-sm text-red-700">{passwordError}</p>}
+        </form>
+      )}
+    </Layout>
+  );
+};
+
+export default SharePage;
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { formatBytes } from '../utils/formatters';
+import { findUnfinishedUploads, discardPreviousUpload } from '../utils/previousUploads';
+
+// Uploads this browser started in an earlier session that never finished. Browsers don't keep access
+// to files across page loads, so resuming one means selecting the same file again.
+const UnfinishedUploads = ({ claimedKeys, onResume }) => {
+  const [uploads, setUploads] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    findUnfinishedUploads()
+      .then(setUploads)
+      .catch(err => console.error('Failed to list unfinished uploads:', err));
+  }, []);
+
+  // Entries picked up by the queue (re-selected or dropped again) are handled there from now on
+  const claimed = claimedKeys.join('\n');
+  useEffect(() => {
+    const keys = claimed.split('\n');
+    setUploads(prevUploads => (
+      prevUploads.some(upload => keys.includes(upload.urlStorageKey))
+        ? prevUploads.filter(upload => !keys.includes(upload.urlStorageKey))
+        : prevUploads
+    ));
+  }, [claimed]);
+
+  const forget = (upload) => {
+    setUploads(prevUploads => prevUploads.filter(entry => entry.urlStorageKey !== upload.urlStorageKey));
+  };
+
+  const handleFileChange = (upload, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.name !== upload.metadata.filename || file.size !== upload.size) {
+      setError(`That is not the file that was being uploaded. Select ${upload.metadata.filename} (${formatBytes(upload.size)}).`);
+      return;
+    }
+    setError(null);
+    forget(upload);
+    onResume({ file, relativePath: upload.metadata.relativePath || file.name, previousUpload: upload });
+  };
+
+  const handleDiscard = (upload) => {
+    forget(upload);
+    discardPreviousUpload(upload);
+  };
+
+  if (uploads.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 p-4 border border-amber-200 bg-amber-50 rounded-lg text-left">
+      <p className="text-sm font-medium text-amber-800 mb-3">
+        {uploads.length === 1 ? 'An upload' : `${uploads.length} uploads`} from an earlier session did not finish
+      </p>
+      {error && <p className="mb-3 text-sm text-red-700">{error}</p>}
+      <ul className="space-y-2">
+        {uploads.map(upload => (
+          <li key={upload.urlStorageKey} className="flex justify-between items-center text-sm">
+            <div className="min-w-0">
+              <p className="text-slate-800 break-all">{upload.metadata.relativePath || upload.metadata.filename}</p>
+              <p className="text-slate-500">
+                {formatBytes(upload.offset)} of {formatBytes(upload.size)} · started {new Date(upload.creationTime).toLocaleString()}
+              </p>
+            </div>
+            <div className="flex flex-shrink-0 space-x-2 ml-3">
+              <label className="btn bg-sky-500 hover:bg-sky-600 text-white cursor-pointer">
+                Select File to Resume
+                <input type="file" className="hidden" onChange={(e) => handleFileChange(upload, e)} />
+              </label>
+              <button className="btn bg-slate-200 hover:bg-slate-300 text-slate-800" onClick={() => handleDiscard(upload)}>
+                Discard
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default UnfinishedUploads;
@@ -0,0 +1,130 @@
+import React from 'react';
+import ProgressGraph from './ProgressGraph';
+import ScanStatus from './ScanStatus';
+import ShareLinkForm from './ShareLinkForm';
+import { STATUS } from '../hooks/useUploadQueue';
+import { formatBytes, formatDuration } from '../utils/formatters';
+
+const STATUS_LABELS = {
+  [STATUS.PENDING]: 'Ready',
+  [STATUS.QUEUED]: 'Waiting',
+  [STATUS.UPLOADING]: 'Uploading',
+  [STATUS.PAUSED]: 'Paused',
+  [STATUS.COMPLETE]: 'Complete',
+  [STATUS.ERROR]: 'Failed',
+};
+
+// `showLinks` is off where the uploader can't download what they uploaded (file requests)
+const UploadQueueItem = ({ item, onStart, onPause, onResume, onCancel, onRemove, onDiscardPrevious, showLinks = true }) => {
+  const { status, progress } = item;
+  const showGraph = status === STATUS.UPLOADING || (status === STATUS.PAUSED && progress > 0);
+
+  return (
+    <li className="p-4 bg-slate-50 rounded-lg">
+      <div className="flex justify-between items-center">
+        <div className="flex items-center space-x-3 min-w-0">
+          <svg className="w-6 h-6 flex-shrink-0 text-sky-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"/>
+          </svg>
+          <div className="min-w-0">
+            <p className="font-medium text-slate-800 break-all">{item.relativePath}</p>
+            <p className="text-sm text-slate-600">
+              {formatBytes(item.file.size)} · {STATUS_LABELS[status]}
+              {status !== STATUS.COMPLETE && progress > 0 && ` · ${Math.round(progress)}%`}
+              {item.encryptionKey && ' · Encrypted in the browser'}
+            </p>
+            {status === STATUS.PENDING && item.previousUpload && (
+              <p className="text-sm text-sky-700">
+                Partially uploaded {new Date(item.previousUpload.creationTime).toLocaleString()}, resumes where it stopped
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="flex flex-shrink-0 space-x-2 ml-3">
+          {status === STATUS.PENDING && (
+            <button className="btn bg-sky-500 hover:bg-sky-600 text-white" onClick={() => onStart(item.id)}>
+              {item.previousUpload ? 'Resume' : 'Start'}
+            </button>
+          )}
+          {status === STATUS.PENDING && item.previousUpload && (
+            <button className="btn bg-slate-200 hover:bg-slate-300 text-slate-800" onClick={() => onDiscardPrevious(item.id)}>
+              Start Over
+            </button>
+          )}
+          {status === STATUS.UPLOADING && (
+            <button className="btn bg-slate-200 hover:bg-slate-300 text-slate-800" onClick={() => onPause(item.id)}>
+              Pause
+            </button>
+          )}
+          {status === STATUS.PAUSED && (
+            <button className="btn bg-sky-500 hover:bg-sky-600 text-white" onClick={() => onResume(item.id)}>
+              Resume
+            </button>
+          )}
+          {status === STATUS.ERROR && !item.rejected && (
+            <button className="btn bg-sky-500 hover:bg-sky-600 text-white" onClick={() => onResume(item.id)}>
+              Retry
+            </button>
+          )}
+          {[STATUS.PENDING, STATUS.QUEUED, STATUS.UPLOADING, STATUS.PAUSED].includes(status) && (
+            <button className="btn bg-red-500 hover:bg-red-600 text-white" onClick={() => onCancel(item.id)}>
+              Cancel
+            </button>
+          )}
+          {[STATUS.COMPLETE, STATUS.ERROR].includes(status) && (
+            <button className="btn bg-slate-200 hover:bg-slate-300 text-slate-800" onClick={() => onRemove(item.id)}>
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showGraph && (
+        <div className="mt-4">
+          <ProgressGraph
+            progress={progress}
+            transferRates={item.transferRateHistory}
+            currentSpeed={item.transferRate}
+            height={120}
+            eta={item.eta}
+            formatDuration={formatDuration}
+            paused={status === STATUS.PAUSED}
+            rateLimit={item.rateLimit}
+          />
+        </div>
+      )}
+
+      {item.error && (
+        <p className="mt-3 text-sm text-red-700">{item.error}</p>
+      )}
+
+      {showLinks && status === STATUS.COMPLETE && item.uploadURL && (
+        <a
+          href={item.uploadURL}
+          className="mt-3 block text-sky-600 hover:text-sky-700 text-sm break-all"
+          target="_blank"
+          rel="noreferrer noopener"
+        >
+          {item.uploadURL}
+        </a>
+      )}
+
+      {/* The server only knows the hash of the encrypted file */}
+      {status === STATUS.COMPLETE && item.sha256 && !item.encryptionKey && (
+        <p className="mt-1 text-xs text-slate-500 break-all">
+          SHA-256: <span className="font-mono select-all">{item.sha256}</span>
+        </p>
+      )}
+
+      {showLinks && status === STATUS.COMPLETE && item.uploadId && item.scanStatus && (
+        <ScanStatus uploadId={item.uploadId} initialStatus={item.scanStatus} />
+      )}
+
+      {showLinks && status === STATUS.COMPLETE && item.uploadId && (
+        <ShareLinkForm uploadId={item.uploadId} encryptionKey={item.encryptionKey} />
+      )}
+    </li>
+  );
+};
+
+export default UploadQueueItem;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import Layout from './Layout';
+import FilePreview from './FilePreview';
+import { apiRequest } from '../utils/api';
+import { formatBytes } from '../utils/formatters';
+
+// /view/:id - name, size and hash of a finished upload, a preview where the type allows one, and its download
+const ViewPage = ({ uploadId }) => {
+  const [file, setFile] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiRequest(`/uploads/${encodeURIComponent(uploadId)}/preview`)
+      .then(setFile)
+      .catch(err => setError(err.message));
+  }, [uploadId]);
+
+  if (error) {
+    return (
+      <Layout>
+        <div className="p-6 bg-slate-50 rounded-lg text-center">
+          <p className="text-lg font-medium text-slate-800">File not available</p>
+          <p className="mt-2 text-slate-600">{error}</p>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (!file) {
+    return <Layout><p className="text-slate-500">Loading...</p></Layout>;
+  }
+
+  return (
+    <Layout wide={file.preview === 'pdf' || file.preview === 'video'}>
+      <div className="p-4 bg-slate-50 rounded-lg flex justify-between items-start space-x-3">
+        <div className="min-w-0">
+          <p className="font-medium text-slate-800 break-all">{file.filename}</p>
+          <p className="text-sm text-slate-600">
+            {formatBytes(file.size)}
+            {file.createdAt && ` · Uploaded ${new Date(file.createdAt).toLocaleString()}`}
+          </p>
+          {file.sha256 && !file.encrypted && (
+            <p className="mt-1 text-xs text-slate-500 break-all">
+              SHA-256: <span className="font-mono select-all">{file.sha256}</span>
+            </p>
+          )}
+        </div>
+        <a href={file.downloadUrl} className="btn flex-shrink-0 bg-sky-500 hover:bg-sky-600 text-white">
+          Download
+        </a>
+      </div>
+
+      {file.preview && (
+        <div className="mt-6">
+          <FilePreview file={file} />
+        </div>
+      )}
+      {file.encrypted && (
+        <p className="mt-6 text-sm text-slate-600">
+          This file is end-to-end encrypted. Open it with the link that carries its key to decrypt it.
+        </p>
+      )}
+    </Layout>
+  );
+};
+
+export default ViewPage;
@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Layout from './Layout';
+import LoginPage from './LoginPage';
+import { apiRequest } from '../utils/api';
+
+const DELIVERY_STATUS_CLASSES = {
+  delivered: 'text-green-700',
+  pending: 'text-slate-500',
+  failed: 'text-red-700',
+};
+
+const describeAttempt = (attempt) => {
+  const outcome = attempt.statusCode !== null ? `HTTP ${attempt.statusCode}` : attempt.error;
+  return `${new Date(attempt.at).toLocaleString()}: ${outcome} (${attempt.durationMs} ms)`;
+};
+
+// Delivery log of one webhook, newest first
+const DeliveryLog = ({ webhookId, refreshKey }) => {
+  const [deliveries, setDeliveries] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiRequest(`/admin/webhooks/${encodeURIComponent(webhookId)}/deliveries`)
+      .then(data => setDeliveries(data.deliveries))
+      .catch(err => setError(err.message));
+  }, [webhookId, refreshKey]);
+
+  if (error) return <p className="mt-3 text-red-700">{error}</p>;
+  if (deliveries === null) return <p className="mt-3 text-slate-500">Loading...</p>;
+  if (deliveries.length === 0) return <p className="mt-3 text-slate-500">Nothing delivered yet.</p>;
+
+  return (
+    <ul className="mt-3 space-y-2">
+      {deliveries.map(delivery => (
+        <li key={delivery.id} className="p-2 bg-white rounded-md border border-slate-200">
+          <details>
+            <summary className="cursor-pointer">
+              <span className="font-mono">{delivery.event}</span>
+              {' · '}
+              <span className={DELIVERY_STATUS_CLASSES[delivery.status]}>{delivery.status}</span>
+              {' · '}
+              {new Date(delivery.createdAt).toLocaleString()}
+              {delivery.nextAttemptAt && ` · next attempt ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`}
+            </summary>
+            <ul className="mt-2 text-xs text-slate-600">
+              {delivery.attempts.map(attempt => (
+                <li key={attempt.at}>
+                  {describeAttempt(attempt)}
+                  {attempt.response && <span className="block font-mono break-all text-slate-500">{attempt.response}</span>}
+                </li>
+              ))}
+            </ul>
+            <pre className="mt-2 p-2 text-xs bg-slate-50 rounded overflow-x-auto">{JSON.stringify(delivery.payload, null, 2)}</pre>
+          </details>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Webhook URLs for upload events and their delivery logs, at /admin/webhooks
+const WebhooksPage = () => {
+  const [session, setSession] = useState(null);
+  const [webhooks, setWebhooks] = useState([]);
+  const [availableEvents, setAvailableEvents] = useState([]);
+  const [error, setError] = useState(null);
+  const [url, setUrl] = useState('');
+  const [description, setDescription] = useState('');
+  const [events, setEvents] = useState(null); // null = all events
+  const [openLog, setOpenLog] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [testing, setTesting] = useState(null);
+
+  const canView = session !== null && (!session.authRequired || (session.user && session.user.admin));
+
+  useEffect(() => {
+    apiRequest('/me').then(setSession).catch(err => setError(err.message));
+  }, []);
+
+  const loadWebhooks = useCallback(async () => {
+    try {
+      const data = await apiRequest('/admin/webhooks');
+      setWebhooks(data.webhooks);
+      setAvailableEvents(data.events);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (canView) {
+      loadWebhooks();
+    }
+  }, [canView, loadWebhooks]);
+
+  const toggleEvent = (event) => {
+    setEvents(prevEvents => {
+      const current = prevEvents || availableEvents;
+      return current.includes(event) ? current.filter(entry => entry !== event) : [...current, event];
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await apiRequest('/admin/webhooks', { method: 'POST', body: { url, description: description || null, events } });
+      setUrl('');
+      setDescription('');
+      setEvents(null);
+      await loadWebhooks();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = async (webhook) => {
+    if (!window.confirm(`Remove the webhook for ${webhook.url}? Pending retries and its delivery log are dropped.`)) return;
+    try {
+      await apiRequest(`/admin/webhooks/${encodeURIComponent(webhook.id)}`, { method: 'DELETE' });
+      setWebhooks(prevWebhooks => prevWebhooks.filter(entry => entry.id !== webhook.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleTest = async (webhook) => {
+    setTesting(webhook.id);
+    try {
+      const delivery = await apiRequest(`/admin/webhooks/${encodeURIComponent(webhook.id)}/test`, { method: 'POST' });
+      const attempt = delivery.attempts[delivery.attempts.length - 1];
+      setError(delivery.status === 'delivered' ? null : `Test event failed: ${attempt.statusCode !== null ? `HTTP ${attempt.statusCode}` : attempt.error}`);
+      setOpenLog(webhook.id);
+      setRefreshKey(prevKey => prevKey + 1);
+      await loadWebhooks();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  if (session === null) {
+    return <Layout wide>{error ? <p className="text-red-700">{error}</p> : <p className="text-slate-500">Loading...</p>}</Layout>;
+  }
+
+  if (session.authRequired && !session.user) {
+    return <Layout><LoginPage onLogin={setSession} /></Layout>;
+  }
+
+  if (!canView) {
+    return <Layout><p className="text-slate-600">Administrator access required.</p></Layout>;
+  }
+
+  const selectedEvents = events || availableEvents;
+
+  return (
+    <Layout wide>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium text-slate-800">Webhooks</h2>
+        <a href="/admin" className="text-sm text-sky-600 hover:text-sky-700">Back to admin</a>
+      </div>
+      <p className="text-sm text-slate-600 mb-4">
+        Each event is sent as a JSON POST, signed with the webhook&apos;s secret (<span className="font-mono">X-DropSite-Signature</span>).
+        Deliveries that don&apos;t get a 2xx answer are retried with increasing delays.
+      </p>
+
+      <form className="mb-6 p-4 bg-slate-50 rounded-lg text-sm space-y-3" onSubmit={handleCreate}>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="flex flex-col text-slate-600 flex-grow">
+            URL
+            <input
+              type="url"
+              required
+              placeholder="https://example.com/dropsite-hook"
+              className="mt-1 px-2 py-1 border border-slate-300 rounded-md"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+            />
+          </label>
+          <label className="flex flex-col text-slate-600">
+            Description
+            <input
+              type="text"
+              maxLength={200}
+              className="mt-1 w-64 px-2 py-1 border border-slate-300 rounded-md"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+            />
+          </label>
+          <button type="submit" className="btn bg-sky-500 hover:bg-sky-600 text-white disabled:opacity-50" disabled={selectedEvents.length === 0}>
+            Add Webhook
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-4 text-slate-600">
+          {availableEvents.map(event => (
+            <label key={event} className="flex items-center space-x-1">
+              <input type="checkbox" checked={selectedEvents.includes(event)} onChange={() => toggleEvent(event)} />
+              <span className="font-mono">{event}</span>
+            </label>
+          ))}
+        </div>
+      </form>
+
+      {error && <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>}
+
+      {webhooks.length === 0 && <p className="text-sm text-slate-500">No webhooks configured.</p>}
+
+      <ul className="space-y-3">
+        {webhooks.map(webhook => (
+          <li key={webhook.id} className="p-4 bg-slate-50 rounded-lg text-sm">
+            <div className="flex justify-between items-start space-x-3">
+              <div className="min-w-0">
+                <p className="font-medium text-slate-800 break-all">{webhook.url}</p>
+                {webhook.description && <p className="text-slate-600">{webhook.description}</p>}
+                <p className="text-xs text-slate-500">{webhook.events.join(', ')}</p>
+                <p className="text-xs text-slate-500">
+                  Secret: <span className="font-mono select-all break-all">{webhook.secret}</span>
+                </p>
+                {webhook.lastDelivery && (
+                  <p className="text-xs text-slate-500">
+                    Last delivery: {webhook.lastDelivery.event},{' '}
+                    <span className={DELIVERY_STATUS_CLASSES[webhook.lastDelivery.status]}>{webhook.lastDelivery.status}</span>,{' '}
+                    {new Date(webhook.lastDelivery.at).toLocaleString()}
+                  </p>
+                )}
+              </div>
+              <div className="flex flex-shrink-0 space-x-2">
+                <button
+                  className="btn bg-slate-200 hover:bg-slate-300 text-slate-800 disabled:opacity-50"
+                  disabled={testing === webhook.id}
+                  onClick={() => handleTest(webhook)}
+                >
+                  {testing === webhook.id ? 'Sending...' : 'Send Test'}
+                </button>
+                <button
+                  className="btn bg-slate-200 hover:bg-slate-300 text-slate-800"
+                  onClick={() => setOpenLog(openLog === webhook.id ? null : webhook.id)}
+                >
+                  {openLog === webhook.id ? 'Hide Log' : 'Deliveries'}
+                </button>
+                <button className="btn bg-red-500 hover:bg-red-600 text-white" onClick={() => handleRemove(webhook)}>
+                  Remove
+                </button>
+              </div>
+            </div>
+            {openLog === webhook.id && <DeliveryLog webhookId={webhook.id} refreshKey={refreshKey} />}
+          </li>
+        ))}
+      </ul>
+    </Layout>
+  );
+};
+
+export default WebhooksPage;
@@ -0,0 +1,12 @@
+// Always use HTTPS in production, use the current protocol in development
+export const UPLOAD_ENDPOINT = `${window.location.protocol}//${window.location.host}/files/`;
+export const DOWNLOAD_ENDPOINT = `${window.location.protocol}//${window.location.host}/d/`;
+export const VIEW_PAGE = `${window.location.protocol}//${window.location.host}/view/`; // Preview page with a download button
+export const ENCRYPTED_FILE_PAGE = `${window.location.protocol}//${window.location.host}/e/`; // Decrypts end-to-end encrypted uploads, key in the fragment
+export const CHUNK_SIZE = parseInt(import.meta.env.VITE_CHUNK_SIZE || '10485760'); // 10MB default, from .env or default
+export const MAX_FILE_SIZE_BYTES = parseInt(import.meta.env.VITE_MAX_FILE_SIZE || '21474836480'); // 20GB default
+export const MAX_CONCURRENT_UPLOADS = parseInt(import.meta.env.VITE_MAX_CONCURRENT_UPLOADS || '3'); // Files uploading at the same time
+export const TRANSFER_RATE_HISTORY_LENGTH = 30; // Number of data points to keep for the graph
+export const UPLOAD_CHECKSUM_ALGORITHM = (import.meta.env.VITE_UPLOAD_CHECKSUM || 'sha256').toLowerCase(); // Per-chunk Upload-Checksum: sha256, sha1 or none
+export const PARALLEL_UPLOADS = parseInt(import.meta.env.VITE_PARALLEL_UPLOADS || '4'); // Partial uploads per large file, 1 disables parallel uploads
+export const PARALLEL_UPLOAD_MIN_SIZE = parseInt(import.meta.env.VITE_PARALLEL_UPLOAD_MIN_SIZE || '104857600'); // 100MB, smaller files use a single upload
@@ -0,0 +1,65 @@
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import { apiRequest } from '../utils/api';
+import { loadHistory, addToHistory, removeFromHistory } from '../utils/uploadHistory';
+
+const fromServerUpload = (upload) => ({
+  id: upload.id,
+  filename: upload.filename,
+  relativePath: upload.relativePath,
+  size: upload.size,
+  uploadedAt: upload.createdAt,
+});
+
+// Recent uploads: the ones finished in this browser, plus those stored for the account when signed in
+// (uploaded from other devices or with the command-line client). Newest first.
+const useUploadHistory = ({ signedIn }) => {
+  const [localEntries, setLocalEntries] = useState(loadHistory);
+  const [accountEntries, setAccountEntries] = useState([]);
+  // Queue entries already recorded, so one deleted from the history isn't added again
+  const recordedRef = useRef(new Set());
+
+  useEffect(() => {
+    if (!signedIn) {
+      setAccountEntries([]);
+      return;
+    }
+    apiRequest('/uploads')
+      .then(data => setAccountEntries(data.uploads.map(fromServerUpload)))
+      .catch(err => console.error('Failed to load your uploads:', err));
+  }, [signedIn]);
+
+  // Called with every finished queue entry
+  const record = useCallback((item) => {
+    if (recordedRef.current.has(item.id)) return;
+    recordedRef.current.add(item.id);
+    setLocalEntries(addToHistory({
+      id: item.uploadId,
+      filename: item.file.name,
+      relativePath: item.relativePath,
+      size: item.file.size,
+      uploadedAt: new Date().toISOString(),
+      encryptionKey: item.encryptionKey,
+    }));
+  }, []);
+
+  // Deletes the file from the server; one that is already gone there only leaves the list
+  const remove = useCallback(async (entry) => {
+    try {
+      await apiRequest(`/uploads/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+    setLocalEntries(removeFromHistory(entry.id));
+    setAccountEntries(prevEntries => prevEntries.filter(existing => existing.id !== entry.id));
+  }, []);
+
+  const entries = useMemo(() => {
+    const localIds = new Set(localEntries.map(entry => entry.id));
+    return [...localEntries, ...accountEntries.filter(entry => !localIds.has(entry.id))]
+      .sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+  }, [localEntries, accountEntries]);
+
+  return { entries, record, remove };
+};
+
+export default useUploadHistory;
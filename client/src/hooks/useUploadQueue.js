@@ -0,0 +1,384 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import * as tus from 'tus-js-client';
+import {
+  UPLOAD_ENDPOINT,
+  VIEW_PAGE,
+  ENCRYPTED_FILE_PAGE,
+  CHUNK_SIZE,
+  MAX_FILE_SIZE_BYTES,
+  MAX_CONCURRENT_UPLOADS,
+  TRANSFER_RATE_HISTORY_LENGTH,
+  UPLOAD_CHECKSUM_ALGORITHM,
+  PARALLEL_UPLOADS,
+  PARALLEL_UPLOAD_MIN_SIZE,
+} from '../config';
+import { formatBytes } from '../utils/formatters';
+import { canHashChunks, createChecksumHttpStack } from '../utils/checksum';
+import { fingerprintFor, findResumableUpload, discardPreviousUpload } from '../utils/previousUploads';
+import {
+  ENCRYPTION_SCHEME,
+  ENCRYPTED_FILENAME,
+  generateEncryptionKey,
+  createEncryptingFileReader,
+} from '../utils/encryption';
+
+// Queue entry lifecycle:
+// pending -> queued -> uploading <-> paused -> complete
+//                          \-> error (can be retried, which puts it back in the queue)
+export const STATUS = {
+  PENDING: 'pending',
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  PAUSED: 'paused',
+  COMPLETE: 'complete',
+  ERROR: 'error',
+};
+
+let nextItemId = 0;
+
+// `rejection` says why the file can't be uploaded at all, such entries stay failed
+const createQueueItem = ({ file, relativePath, previousUpload }, rejection = null, encrypt = false) => {
+  const rejected = rejection !== null;
+  return {
+    id: `${Date.now().toString(36)}-${nextItemId++}`,
+    file,
+    relativePath: relativePath || file.name,
+    status: rejected ? STATUS.ERROR : STATUS.PENDING,
+    error: rejection,
+    rejected,
+    progress: previousUpload && !rejected ? (previousUpload.offset / file.size) * 100 : 0,
+    transferRate: 0, // bytes per second
+    eta: null, // estimated time of arrival (in seconds)
+    transferRateHistory: [],
+    uploadId: null,
+    uploadURL: null,
+    previousUpload: (!rejected && previousUpload) || null, // unfinished upload of this file from an earlier session, resumed on start
+    sha256: null, // hex hash of the whole file, computed by the server once the upload finished
+    scanStatus: null, // malware scan of the finished upload: 'scanning', 'clean', 'infected' or 'error'
+    rateLimit: null, // bytes per second the server lets this upload use while it throttles uploads
+    encryptionKey: encrypt && !rejected ? generateEncryptionKey() : null, // end-to-end encryption, see utils/encryption
+  };
+};
+
+// The tus upload URL ends with the upload id, which is also what the download route expects
+export const getUploadId = (tusUploadURL) => tusUploadURL.split('/').filter(Boolean).pop();
+
+// Links handed out for an upload open its preview page, which has the download button
+export const getViewURL = (uploadId) => `${VIEW_PAGE}${uploadId}`;
+
+// Encrypted uploads are opened on a page that decrypts them, with the key in the fragment
+export const getEncryptedFileURL = (uploadId, encryptionKey) => `${ENCRYPTED_FILE_PAGE}${uploadId}#${encryptionKey}`;
+
+// Turn a tus-js-client error into a message for the user
+export const describeUploadError = (err) => {
+  let details = 'Unknown error';
+  if (err.originalRequest) {
+    const status = err.originalResponse ? err.originalResponse.getStatus() : 0;
+    const responseText = err.originalResponse ? err.originalResponse.getBody() : '';
+    console.log('Original request:', {
+      method: err.originalRequest.getMethod(),
+      url: err.originalRequest.getURL(),
+      status,
+      responseText,
+    });
+
+    details = `Status: ${status}, Response: ${responseText || '(empty response text)'}`;
+
+    // Specific error handling for common issues
+    if (status === 500) {
+      details = `Server error (500). This could be due to server configuration issues or file processing limits.`;
+    } else if (status === 0 || status === 404) {
+      details = `Cannot connect to server at ${UPLOAD_ENDPOINT}. Please check if the server is running.`;
+    } else if (status === 401) {
+      details = `You are not signed in or your session has expired. Please sign in again.`;
+    } else if (status === 403) {
+      details = `Permission denied. Please check your authorization.`;
+    } else if (status === 413) {
+      // Too large for the server or over a storage quota, the server explains which
+      details = responseText.trim() || `The file is too large for the server.`;
+    } else if (status === 415) {
+      // The file type is not allowed, or the content didn't match it and the file was quarantined
+      details = responseText.trim() || `This type of file is not allowed.`;
+    } else if (status === 429) {
+      details = `${responseText.trim() || 'Too many requests.'} Please wait a moment and retry.`;
+    } else if (status === 460) {
+      details = `The data was corrupted in transit (checksum mismatch) and could not be resent. Please retry.`;
+    }
+  } else if (err.cause) {
+    details = `Caused by: ${err.cause}`;
+  } else if (err.message) {
+    details = err.message;
+  }
+  return `Upload failed. ${details}`;
+};
+
+// Every PATCH carries the checksum of its chunk, the server answers 460 when they differ
+const httpStack = canHashChunks(UPLOAD_CHECKSUM_ALGORITHM)
+  ? createChecksumHttpStack(UPLOAD_CHECKSUM_ALGORITHM)
+  : tus.defaultOptions.httpStack;
+
+// tus-js-client gives up on 4xx responses; a checksum mismatch is worth resending like a network error,
+// and a rate limit (429) passes once the retry delays have given the server some time
+const shouldRetry = (err) => {
+  const status = err.originalResponse ? err.originalResponse.getStatus() : 0;
+  return status === 460 || status === 429 || status === 409 || status === 423 || status < 400 || status >= 500;
+};
+
+// Header that sends uploads to a file request instead of the account of the signed-in user
+const FILE_REQUEST_HEADER = 'X-File-Request';
+
+// `fileRequest` is the slug of the file request to upload into, `validateFile(entry)` can reject files
+// before they are uploaded by returning a message
+const useUploadQueue = ({ concurrency = MAX_CONCURRENT_UPLOADS, fileRequest = null, validateFile = null } = {}) => {
+  const [items, setItems] = useState([]);
+  const headersRef = useRef(fileRequest ? { [FILE_REQUEST_HEADER]: fileRequest } : {});
+
+  // tus.Upload instances and rate bookkeeping live outside React state,
+  // they change on every progress event and are never rendered directly
+  const uploadsRef = useRef(new Map());
+  const statsRef = useRef(new Map());
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prevItems => prevItems.map(item => {
+      if (item.id !== id) return item;
+      return { ...item, ...(typeof changes === 'function' ? changes(item) : changes) };
+    }));
+  }, []);
+
+  // Function to update transfer rate and ETA of one entry
+  const updateTransferStats = useCallback((id, bytesUploaded, bytesTotal) => {
+    const stats = statsRef.current.get(id);
+    if (!stats) return;
+
+    const currentTime = Date.now();
+    if (stats.lastUploadTime === null) {
+      // First event since (re)starting: only take the baseline. Measuring from before the start would
+      // count the pause, the HEAD request and any bytes the server kept from the aborted chunk.
+      stats.lastBytesUploaded = bytesUploaded;
+      stats.lastUploadTime = currentTime;
+      return;
+    }
+    const timeElapsed = (currentTime - stats.lastUploadTime) / 1000; // in seconds
+    if (timeElapsed <= 0) return;
+
+    const bytesDelta = bytesUploaded - stats.lastBytesUploaded;
+    // Update refs for next calculation, regardless of bytesDelta, as long as time has passed.
+    stats.lastBytesUploaded = bytesUploaded;
+    stats.lastUploadTime = currentTime;
+
+    // Only update rate and related state if new bytes were transferred,
+    // preventing the flicker to 0.
+    if (bytesDelta <= 0) return;
+
+    const currentRate = bytesDelta / timeElapsed; // bytes per second
+    updateItem(id, item => {
+      const history = [...item.transferRateHistory, currentRate];
+      return {
+        transferRate: currentRate,
+        // Keep only the most recent data points
+        transferRateHistory: history.slice(-TRANSFER_RATE_HISTORY_LENGTH),
+        eta: (bytesTotal - bytesUploaded) / currentRate,
+      };
+    });
+  }, [updateItem]);
+
+  // One tus.Upload per entry, created when the file is added so earlier uploads of it can be looked up
+  const createTusUpload = useCallback((item) => {
+    const encrypted = !!item.encryptionKey;
+    // The name and type of an encrypted file are encrypted into it, the server gets placeholders
+    const metadata = encrypted
+      ? { filename: ENCRYPTED_FILENAME, filetype: 'application/octet-stream', encryption: ENCRYPTION_SCHEME }
+      : { filename: item.file.name, filetype: item.file.type, relativePath: item.relativePath };
+    // Parts of a parallel upload are read from the file again by their own tus.Upload, which would skip
+    // the encryption; encrypted files go up in one stream
+    const connections = !encrypted && item.file.size >= PARALLEL_UPLOAD_MIN_SIZE ? PARALLEL_UPLOADS : 1;
+    const tusUpload = new tus.Upload(item.file, {
+      endpoint: UPLOAD_ENDPOINT,
+      retryDelays: [0, 3000, 5000, 10000, 20000], // Retry delays in milliseconds
+      chunkSize: CHUNK_SIZE,
+      metadata,
+      // Large files go up as several partial uploads at once, which the server joins at the end.
+      // A single stream rarely fills a high-latency link.
+      parallelUploads: connections,
+      metadataForPartialUploads: metadata,
+      // The upload URL stays in localStorage until the upload finishes, so it can be resumed after a reload
+      fingerprint: fingerprintFor(item.relativePath, fileRequest),
+      removeFingerprintOnSuccess: true,
+      // The key is gone after a reload, an encrypted upload can't be continued then
+      storeFingerprintForResuming: !encrypted,
+      ...(encrypted ? { fileReader: createEncryptingFileReader(item.encryptionKey, { name: item.file.name, type: item.file.type }) } : {}),
+      headers: headersRef.current,
+      httpStack,
+      onShouldRetry: shouldRetry,
+      // A throttling server tells every connection the rate it gets; partial uploads each have one
+      onAfterResponse: (req, res) => {
+        const limit = parseInt(res.getHeader('Upload-Rate-Limit'), 10);
+        if (limit > 0) {
+          updateItem(item.id, { rateLimit: limit * connections });
+        }
+      },
+      onProgress: (bytesUploaded, bytesTotal) => {
+        updateItem(item.id, { progress: (bytesUploaded / bytesTotal) * 100 });
+        updateTransferStats(item.id, bytesUploaded, bytesTotal);
+      },
+      onSuccess: ({ lastResponse }) => {
+        const downloadURL = encrypted
+          ? getEncryptedFileURL(getUploadId(tusUpload.url), item.encryptionKey)
+          : getViewURL(getUploadId(tusUpload.url));
+        console.log('Download %s from %s', item.relativePath, downloadURL);
+        uploadsRef.current.delete(item.id);
+        statsRef.current.delete(item.id);
+        updateItem(item.id, {
+          status: STATUS.COMPLETE,
+          progress: 100,
+          eta: null,
+          uploadId: getUploadId(tusUpload.url),
+          uploadURL: downloadURL,
+          // Only the response of the final PATCH carries it
+          sha256: (lastResponse && lastResponse.getHeader('Upload-Sha256')) || null,
+          scanStatus: (lastResponse && lastResponse.getHeader('Upload-Scan-Status')) || null,
+        });
+      },
+      onError: (err) => {
+        console.error('Failed because: ', err);
+        // Sending a file the server refuses for its type again won't change the answer
+        const refusedType = !!err.originalResponse && err.originalResponse.getStatus() === 415;
+        updateItem(item.id, { status: STATUS.ERROR, error: describeUploadError(err), eta: null, rejected: refusedType });
+      },
+    });
+    uploadsRef.current.set(item.id, tusUpload);
+    return tusUpload;
+  }, [fileRequest, updateItem, updateTransferStats]);
+
+  const startItem = useCallback((item) => {
+    // The rate baseline is taken from the first progress event, see updateTransferStats
+    statsRef.current.set(item.id, { lastBytesUploaded: null, lastUploadTime: null });
+
+    // Resuming a paused entry reuses its tus.Upload, which continues from the server offset
+    const tusUpload = uploadsRef.current.get(item.id) || createTusUpload(item);
+    if (!tusUpload.url && item.previousUpload) {
+      // Continue the upload of this file from an earlier session instead of starting over
+      tusUpload.resumeFromPreviousUpload(item.previousUpload);
+    }
+
+    updateItem(item.id, { status: STATUS.UPLOADING, error: null });
+    tusUpload.start();
+  }, [createTusUpload, updateItem]);
+
+  // Start queued entries whenever an upload slot frees up
+  useEffect(() => {
+    const activeCount = items.filter(item => item.status === STATUS.UPLOADING).length;
+    const freeSlots = concurrency - activeCount;
+    if (freeSlots <= 0) return;
+
+    items
+      .filter(item => item.status === STATUS.QUEUED)
+      .slice(0, freeSlots)
+      .forEach(startItem);
+  }, [items, concurrency, startItem]);
+
+  const checkFile = useCallback((entry) => {
+    if (entry.file.size > MAX_FILE_SIZE_BYTES) {
+      return `File is too large. Maximum size is ${formatBytes(MAX_FILE_SIZE_BYTES)}.`;
+    }
+    return validateFile ? validateFile(entry) : null;
+  }, [validateFile]);
+
+  // `encrypt` encrypts the files in the browser before they are uploaded
+  const addFiles = useCallback((entries, { encrypt = false } = {}) => {
+    if (!entries.length) return;
+    const newItems = entries.map(entry => createQueueItem(entry, checkFile(entry), encrypt));
+    setItems(prevItems => [...prevItems, ...newItems]);
+
+    // Offer to resume files that were partially uploaded before a reload or crash
+    newItems
+      .filter(item => item.status === STATUS.PENDING && !item.previousUpload && !item.encryptionKey)
+      .forEach(item => {
+        findResumableUpload(createTusUpload(item))
+          .then(previousUpload => {
+            if (!previousUpload) return;
+            updateItem(item.id, current => (
+              current.status === STATUS.PENDING
+                ? { previousUpload, progress: (previousUpload.offset / item.file.size) * 100 }
+                : {}
+            ));
+          })
+          .catch(err => console.warn('Could not look up previous uploads:', err));
+      });
+  }, [checkFile, createTusUpload, updateItem]);
+
+  // Start a file with a previous upload from scratch, deleting what the server has of the old one
+  const discardPrevious = useCallback((id) => {
+    const item = items.find(entry => entry.id === id);
+    if (!item || !item.previousUpload || item.status !== STATUS.PENDING) return;
+    discardPreviousUpload(item.previousUpload, headersRef.current);
+    updateItem(id, { previousUpload: null, progress: 0 });
+  }, [items, updateItem]);
+
+  const enqueue = useCallback((id) => {
+    updateItem(id, item => (
+      [STATUS.PENDING, STATUS.PAUSED, STATUS.ERROR].includes(item.status) && !item.rejected
+        ? { status: STATUS.QUEUED, error: null }
+        : {}
+    ));
+  }, [updateItem]);
+
+  const enqueueAll = useCallback(() => {
+    setItems(prevItems => prevItems.map(item => (
+      item.status === STATUS.PENDING ? { ...item, status: STATUS.QUEUED } : item
+    )));
+  }, []);
+
+  const pause = useCallback((id) => {
+    const tusUpload = uploadsRef.current.get(id);
+    if (tusUpload) {
+      // Abort without terminating, the server keeps the bytes received so far
+      tusUpload.abort();
+    }
+    updateItem(id, item => ({
+      status: STATUS.PAUSED,
+      eta: null,
+      transferRate: 0,
+      // A gap in the rate history shows where the upload was paused once it continues
+      transferRateHistory: item.transferRateHistory.length > 0 && item.transferRateHistory[item.transferRateHistory.length - 1] !== null
+        ? [...item.transferRateHistory, null].slice(-TRANSFER_RATE_HISTORY_LENGTH)
+        : item.transferRateHistory,
+    }));
+  }, [updateItem]);
+
+  const cancel = useCallback((id) => {
+    const tusUpload = uploadsRef.current.get(id);
+    uploadsRef.current.delete(id);
+    statsRef.current.delete(id);
+    if (tusUpload) {
+      // Abort and delete the partial upload(s) from the server using the tus termination extension
+      tusUpload.abort(true).then(() => {
+        console.log('Upload canceled and deleted from server');
+      }).catch(err => {
+        console.error('Failed to delete upload from server:', err);
+        // Continue with local state reset even if server delete fails
+      });
+    }
+    setItems(prevItems => prevItems.filter(item => item.id !== id));
+  }, []);
+
+  const remove = useCallback((id) => {
+    setItems(prevItems => prevItems.filter(item => item.id !== id || item.status === STATUS.UPLOADING));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setItems(prevItems => prevItems.filter(item => item.status !== STATUS.COMPLETE));
+  }, []);
+
+  // Abort running transfers when the component using the queue goes away
+  useEffect(() => {
+    const uploads = uploadsRef.current;
+    return () => {
+      uploads.forEach(tusUpload => tusUpload.abort());
+    };
+  }, []);
+
+  return { items, addFiles, enqueue, enqueueAll, pause, resume: enqueue, cancel, remove, clearFinished, discardPrevious };
+};
+
+export default useUploadQueue;
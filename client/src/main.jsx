@@ -1,10 +1,47 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import AdminPage from './components/AdminPage.jsx';
+import SharePage from './components/SharePage.jsx';
+import EncryptedFilePage from './components/EncryptedFilePage.jsx';
+import ViewPage from './components/ViewPage.jsx';
+import RequestUploadPage from './components/RequestUploadPage.jsx';
+import RequestsPage from './components/RequestsPage.jsx';
+import WebhooksPage from './components/WebhooksPage.jsx';
 import './index.css';
 
+// The server sends index.html for every unknown path, pick the page from the URL
+const getPage = (pathname) => {
+  const shareMatch = pathname.match(/^\/s\/([^/]+)\/?$/);
+  if (shareMatch) {
+    return <SharePage slug={decodeURIComponent(shareMatch[1])} />;
+  }
+  const viewMatch = pathname.match(/^\/view\/([^/]+)\/?$/);
+  if (viewMatch) {
+    return <ViewPage uploadId={decodeURIComponent(viewMatch[1])} />;
+  }
+  const encryptedMatch = pathname.match(/^\/e\/([^/]+)\/?$/);
+  if (encryptedMatch) {
+    return <EncryptedFilePage uploadId={decodeURIComponent(encryptedMatch[1])} />;
+  }
+  const requestMatch = pathname.match(/^\/r\/([^/]+)\/?$/);
+  if (requestMatch) {
+    return <RequestUploadPage slug={decodeURIComponent(requestMatch[1])} />;
+  }
+  if (/^\/requests\/?$/.test(pathname)) {
+    return <RequestsPage />;
+  }
+  if (/^\/admin\/webhooks\/?$/.test(pathname)) {
+    return <WebhooksPage />;
+  }
+  if (/^\/admin\/?$/.test(pathname)) {
+    return <AdminPage />;
+  }
+  return <App />;
+};
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {getPage(window.location.pathname)}
   </React.StrictMode>,
 ); 
\ No newline at end of file
@@ -0,0 +1,27 @@
+// Small fetch wrapper for the JSON API under /api. Session cookies are sent automatically (same origin).
+export const API_BASE = '/api';
+
+export class ApiError extends Error {
+  constructor(message, status, data = null) {
+    super(message);
+    this.status = status;
+    this.data = data; // Parsed JSON error body, if any
+  }
+}
+
+export const apiRequest = async (path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method,
+    credentials: 'same-origin',
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+  const data = isJson ? await response.json() : null;
+
+  if (!response.ok) {
+    throw new ApiError((data && data.error) || `Request failed with status ${response.status}`, response.status, data);
+  }
+  return data;
+};
@@ -0,0 +1,62 @@
+import * as tus from 'tus-js-client';
+
+// Chunk hashing in a shared Web Worker, see workers/checksum.worker.js
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/checksum.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      pending.delete(data.id);
+      if (data.error) {
+        request.reject(new Error(data.error));
+      } else {
+        request.resolve(data.digest);
+      }
+    };
+  }
+  return worker;
+};
+
+// Base64 digest of a Blob, as used in the tus Upload-Checksum header
+export const hashBlob = (blob, algorithm) => new Promise((resolve, reject) => {
+  const id = nextRequestId++;
+  pending.set(id, { resolve, reject });
+  getWorker().postMessage({ id, blob, algorithm });
+});
+
+// Web Crypto only exists in secure contexts (HTTPS or localhost)
+export const canHashChunks = (algorithm) => (
+  algorithm !== 'none' && typeof Worker !== 'undefined' && !!(window.crypto && window.crypto.subtle)
+);
+
+// tus-js-client HTTP stack that adds an Upload-Checksum header to every PATCH, computed from the body
+// actually being sent. Works the same for single uploads and the parts of a parallel upload.
+export const createChecksumHttpStack = (algorithm) => {
+  const stack = new tus.DefaultHttpStack();
+  return {
+    createRequest(method, url) {
+      const request = stack.createRequest(method, url);
+      const send = request.send.bind(request);
+      request.send = async (body) => {
+        if (method === 'PATCH' && body instanceof Blob) {
+          try {
+            request.setHeader('Upload-Checksum', `${algorithm} ${await hashBlob(body, algorithm)}`);
+          } catch (err) {
+            console.warn('Sending chunk without checksum:', err);
+          }
+        }
+        return send(body);
+      };
+      return request;
+    },
+    getName() {
+      return 'ChecksumHttpStack';
+    },
+  };
+};
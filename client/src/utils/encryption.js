@@ -0,0 +1,246 @@
+// End-to-end encrypted uploads. The file is encrypted in the browser with a key that only ever travels in
+// the fragment of its links (#...), which browsers don't send to the server.
+//
+// Layout of an encrypted file:
+//   header    "DSE1", record size (uint32), nonce prefix (8 bytes), metadata length (uint32)
+//   metadata  { name, type, size } as JSON, sealed with record number 0xffffffff
+//   records   the file in pieces of `record size` bytes, each sealed with AES-256-GCM
+// A record's IV is the nonce prefix and its number, and its additional data says whether it is the last
+// one, so records can't be reordered, dropped or cut off at the end without decryption failing.
+// Every record is sealed on its own: any byte range of the encrypted file can be produced (and sent
+// again on retries) without encrypting what comes before it.
+
+export const ENCRYPTION_SCHEME = 'dse1-aes256gcm';
+
+const MAGIC = [0x44, 0x53, 0x45, 0x31]; // "DSE1"
+const HEADER_SIZE = 20;
+const RECORD_SIZE = 1024 * 1024;
+const TAG_SIZE = 16;
+const METADATA_RECORD = 0xffffffff;
+
+// Name the server sees for an encrypted upload, the real one is inside
+export const ENCRYPTED_FILENAME = 'encrypted.dse';
+
+export class DecryptionError extends Error {}
+
+// Web Crypto only exists in secure contexts (HTTPS or localhost)
+export const canEncrypt = () => !!(window.crypto && window.crypto.subtle);
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => Uint8Array.from(
+  atob(text.replace(/-/g, '+').replace(/_/g, '/')),
+  char => char.charCodeAt(0),
+);
+
+// A new random AES-256 key, as it goes into the link fragment
+export const generateEncryptionKey = () => toBase64Url(window.crypto.getRandomValues(new Uint8Array(32)));
+
+const importKey = async (encodedKey) => {
+  let raw;
+  try {
+    raw = fromBase64Url(encodedKey);
+  } catch {
+    raw = null;
+  }
+  if (!raw || raw.length !== 32) {
+    throw new DecryptionError('The key in this link is incomplete. Copy the whole link, including the part after #.');
+  }
+  return window.crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+};
+
+const recordIv = (noncePrefix, index) => {
+  const iv = new Uint8Array(12);
+  iv.set(noncePrefix);
+  new DataView(iv.buffer).setUint32(8, index);
+  return iv;
+};
+
+const seal = async (key, noncePrefix, index, isLast, plaintext) => new Uint8Array(await window.crypto.subtle.encrypt(
+  { name: 'AES-GCM', iv: recordIv(noncePrefix, index), additionalData: Uint8Array.of(isLast ? 1 : 0) },
+  key,
+  plaintext,
+));
+
+const open = async (key, noncePrefix, index, isLast, sealed) => {
+  try {
+    return new Uint8Array(await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: recordIv(noncePrefix, index), additionalData: Uint8Array.of(isLast ? 1 : 0) },
+      key,
+      sealed,
+    ));
+  } catch {
+    throw new DecryptionError('The file could not be decrypted: the key in the link is wrong, or the file was changed or cut short.');
+  }
+};
+
+const recordCount = (size) => Math.max(1, Math.ceil(size / RECORD_SIZE));
+
+// The encrypted bytes of one file, sliced on demand for tus-js-client
+class EncryptingSource {
+  constructor(file, key, noncePrefix, header) {
+    this._file = file;
+    this._key = key;
+    this._noncePrefix = noncePrefix;
+    this._header = header;
+    this._records = recordCount(file.size);
+    this._lastRecord = null; // chunk boundaries rarely fall between records, the one cut in two is needed twice
+    this.size = header.length + file.size + this._records * TAG_SIZE;
+  }
+
+  async _sealRecord(index) {
+    if (this._lastRecord && this._lastRecord.index === index) {
+      return this._lastRecord.bytes;
+    }
+    const start = index * RECORD_SIZE;
+    const plaintext = await this._file.slice(start, Math.min(start + RECORD_SIZE, this._file.size)).arrayBuffer();
+    const bytes = await seal(this._key, this._noncePrefix, index, index === this._records - 1, plaintext);
+    this._lastRecord = { index, bytes };
+    return bytes;
+  }
+
+  async slice(start, end) {
+    end = Math.min(end, this.size);
+    const parts = [];
+    const headerSize = this._header.length;
+    if (start < headerSize) {
+      parts.push(this._header.subarray(start, Math.min(end, headerSize)));
+    }
+    const sealedSize = RECORD_SIZE + TAG_SIZE;
+    if (end > headerSize) {
+      const first = Math.floor(Math.max(start - headerSize, 0) / sealedSize);
+      const last = Math.floor((end - 1 - headerSize) / sealedSize);
+      for (let index = first; index <= last; index++) {
+        const offset = headerSize + index * sealedSize;
+        const record = await this._sealRecord(index);
+        parts.push(record.subarray(Math.max(start - offset, 0), Math.min(end - offset, record.length)));
+      }
+    }
+    return { value: new Blob(parts), done: end >= this.size };
+  }
+
+  close() {
+    this._lastRecord = null;
+  }
+}
+
+/**
+ * A tus-js-client `fileReader` that uploads the encrypted form of the file instead of the file itself.
+ * `metadata` ({ name, type }) is encrypted into the file, the server only sees its size.
+ */
+export const createEncryptingFileReader = (encodedKey, metadata) => ({
+  async openFile(file) {
+    const key = await importKey(encodedKey);
+    const noncePrefix = window.crypto.getRandomValues(new Uint8Array(8));
+    const sealedMetadata = await seal(
+      key, noncePrefix, METADATA_RECORD, true,
+      new TextEncoder().encode(JSON.stringify({ ...metadata, size: file.size })),
+    );
+
+    const header = new Uint8Array(HEADER_SIZE + sealedMetadata.length);
+    const view = new DataView(header.buffer);
+    header.set(MAGIC);
+    view.setUint32(4, RECORD_SIZE);
+    header.set(noncePrefix, 8);
+    view.setUint32(16, sealedMetadata.length);
+    header.set(sealedMetadata, HEADER_SIZE);
+    return new EncryptingSource(file, key, noncePrefix, header);
+  },
+});
+
+// Reads exact amounts from a stream reader, however the network happened to split the bytes
+class BufferedReader {
+  constructor(reader) {
+    this._reader = reader;
+    this._chunks = [];
+    this._length = 0;
+    this._done = false;
+  }
+
+  get length() {
+    return this._length;
+  }
+
+  // Buffers at least `size` bytes, or everything that is left
+  async fill(size) {
+    while (this._length < size && !this._done) {
+      const { value, done } = await this._reader.read();
+      if (done) {
+        this._done = true;
+      } else if (value.length > 0) {
+        this._chunks.push(value);
+        this._length += value.length;
+      }
+    }
+  }
+
+  take(size) {
+    const bytes = new Uint8Array(Math.min(size, this._length));
+    let filled = 0;
+    while (filled < bytes.length) {
+      const chunk = this._chunks[0];
+      const count = Math.min(chunk.length, bytes.length - filled);
+      bytes.set(chunk.subarray(0, count), filled);
+      filled += count;
+      if (count === chunk.length) {
+        this._chunks.shift();
+      } else {
+        this._chunks[0] = chunk.subarray(count);
+      }
+    }
+    this._length -= bytes.length;
+    return bytes;
+  }
+
+  async read(size) {
+    await this.fill(size);
+    return this.take(size);
+  }
+
+  cancel() {
+    return this._reader.cancel();
+  }
+}
+
+/**
+ * Starts decrypting an encrypted file as it downloads. Resolves once the metadata arrived, with
+ * `{ metadata: { name, type, size }, stream }`: the file itself as a ReadableStream, decrypted a record
+ * at a time so it never has to fit in memory.
+ */
+export const openEncryptedStream = async (body, encodedKey) => {
+  const key = await importKey(encodedKey);
+  const input = new BufferedReader(body.getReader());
+
+  const header = await input.read(HEADER_SIZE);
+  if (header.length < HEADER_SIZE || MAGIC.some((byte, index) => header[index] !== byte)) {
+    throw new DecryptionError('This is not an encrypted DropSite file.');
+  }
+  const view = new DataView(header.buffer);
+  const recordSize = view.getUint32(4);
+  const noncePrefix = header.slice(8, 16);
+  const sealedMetadata = await input.read(view.getUint32(16));
+  const metadata = JSON.parse(new TextDecoder().decode(await open(key, noncePrefix, METADATA_RECORD, true, sealedMetadata)));
+
+  const sealedSize = recordSize + TAG_SIZE;
+  let index = 0;
+  const stream = new ReadableStream({
+    async pull(controller) {
+      // A record is the last one when nothing follows it
+      await input.fill(sealedSize + 1);
+      const isLast = input.length <= sealedSize;
+      const sealed = input.take(sealedSize);
+      if (sealed.length < TAG_SIZE) {
+        throw new DecryptionError('The file was cut short.');
+      }
+      controller.enqueue(await open(key, noncePrefix, index, isLast, sealed));
+      index += 1;
+      if (isLast) {
+        controller.close();
+      }
+    },
+    cancel: () => input.cancel(),
+  }, { highWaterMark: 0 });
+
+  return { metadata, stream };
+};
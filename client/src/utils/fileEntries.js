@@ -0,0 +1,58 @@
+// Helpers for turning drag & drop payloads and file inputs into a flat list of
+// { file, relativePath } entries, walking into dropped directories.
+
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+  const entries = [];
+  // readEntries only returns a batch (100 entries in Chrome), so keep reading until it returns nothing
+  const readBatch = () => {
+    reader.readEntries((batch) => {
+      if (batch.length === 0) {
+        resolve(entries);
+      } else {
+        entries.push(...batch);
+        readBatch();
+      }
+    }, reject);
+  };
+  readBatch();
+});
+
+const entryToFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, results) => {
+  if (entry.isFile) {
+    const file = await entryToFile(entry);
+    // fullPath is absolute within the dropped selection, e.g. "/build/app.js"
+    results.push({ file, relativePath: entry.fullPath.replace(/^\/+/, '') || file.name });
+  } else if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    for (const child of children) {
+      await walkEntry(child, results);
+    }
+  }
+};
+
+export const getDroppedFiles = async (dataTransfer) => {
+  // Entries must be grabbed synchronously, the DataTransfer is cleared once the drop handler yields
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    // Browser without the File System Entry API, folders cannot be expanded
+    return getSelectedFiles(dataTransfer.files);
+  }
+
+  const results = [];
+  for (const entry of entries) {
+    await walkEntry(entry, results);
+  }
+  return results;
+};
+
+export const getSelectedFiles = (fileList) => Array.from(fileList || []).map(file => ({
+  file,
+  // Set by <input webkitdirectory>, empty for plain file selection
+  relativePath: file.webkitRelativePath || file.name,
+}));
@@ -39,4 +39,24 @@ export const formatSpeed = (bytesPerSecond, decimals = 2) => {
 
 
   return parseFloat((bytesPerSecond / Math.pow(k, unitIndex)).toFixed(dm)) + ' ' + sizes[unitIndex];
-}; 
\ No newline at end of file
+}; 
+
+// Format time duration to human-readable format
+export const formatDuration = (seconds) => {
+  if (seconds === null || isNaN(seconds)) return 'Calculating...';
+
+  if (seconds < 1) {
+    return 'Less than a second';
+  }
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const remainingSeconds = Math.floor(seconds % 60);
+
+  let result = '';
+  if (hours > 0) result += `${hours}h `;
+  if (minutes > 0 || hours > 0) result += `${minutes}m `;
+  result += `${remainingSeconds}s`;
+
+  return result;
+};
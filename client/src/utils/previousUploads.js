@@ -0,0 +1,94 @@
+import * as tus from 'tus-js-client';
+import { UPLOAD_ENDPOINT } from '../config';
+
+// tus-js-client keeps the URL of every upload it creates in localStorage, keyed by the file fingerprint,
+// until the upload finishes. These helpers read that storage to resume uploads across page loads.
+const urlStorage = tus.defaultOptions.urlStorage;
+
+// Uploads made through a file request are stored under their own prefix, they can only be resumed there
+const FILE_REQUEST_PREFIX = 'tus-br-request';
+
+// The default fingerprint only looks at name, type, size and modification time; include the relative
+// path so equal files in different folders of one drop don't resume each other's uploads
+export const fingerprintFor = (relativePath, fileRequest = null) => (file) => Promise.resolve(
+  [fileRequest ? `${FILE_REQUEST_PREFIX}-${fileRequest}` : 'tus-br', relativePath, file.type, file.size, file.lastModified, UPLOAD_ENDPOINT].join('-')
+);
+
+// Bytes the server has received for an upload URL, or null when the upload no longer exists there
+export const getUploadOffset = async (uploadUrl, headers = {}) => {
+  const response = await fetch(uploadUrl, {
+    method: 'HEAD',
+    headers: { ...headers, 'Tus-Resumable': '1.0.0' },
+    credentials: 'same-origin',
+  });
+  if ([403, 404, 410].includes(response.status)) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Checking ${uploadUrl} failed with status ${response.status}`);
+  }
+  return parseInt(response.headers.get('Upload-Offset'), 10);
+};
+
+// Parallel uploads are stored with the URLs of their parts instead of a single upload URL
+const getStoredUploadUrls = (stored) => stored.parallelUploadUrls || (stored.uploadUrl ? [stored.uploadUrl] : []);
+
+// Bytes received for all parts of a stored upload, or null when any of them is gone
+const getStoredUploadOffset = async (stored, headers) => {
+  const offsets = await Promise.all(getStoredUploadUrls(stored).map(url => getUploadOffset(url, headers)));
+  return offsets.includes(null) ? null : offsets.reduce((total, offset) => total + offset, 0);
+};
+
+// Adds the current server offset to stored uploads and forgets the ones the server no longer has
+const withOffsets = async (storedUploads, headers) => {
+  const results = await Promise.all(storedUploads.map(async (stored) => {
+    try {
+      const offset = await getStoredUploadOffset(stored, headers);
+      if (offset === null || (!stored.parallelUploadUrls && offset >= stored.size)) {
+        // Expired, deleted or finished in the meantime, nothing left to resume
+        await urlStorage.removeUpload(stored.urlStorageKey);
+        return null;
+      }
+      return { ...stored, offset };
+    } catch (err) {
+      // Leave it in storage for the next page load, the server may just be unreachable right now
+      console.warn('Could not check previous upload:', err);
+      return null;
+    }
+  }));
+  return results
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.creationTime) - new Date(a.creationTime));
+};
+
+// Unfinished uploads started in this browser, newest first. Uploads through file requests are left out,
+// the uploader can't check them without the request.
+export const findUnfinishedUploads = async () => {
+  if (!tus.canStoreURLs) return [];
+  const storedUploads = (await urlStorage.findAllUploads()).filter(stored => (
+    getStoredUploadUrls(stored).length > 0 && !stored.urlStorageKey.startsWith(`tus::${FILE_REQUEST_PREFIX}-`)
+  ));
+  return withOffsets(storedUploads);
+};
+
+// The newest previous upload of the file behind a tus.Upload that can still be resumed, or null
+export const findResumableUpload = async (tusUpload) => {
+  if (!tus.canStoreURLs) return null;
+  const previousUploads = await tusUpload.findPreviousUploads();
+  const [newest] = await withOffsets(
+    previousUploads.filter(stored => getStoredUploadUrls(stored).length > 0),
+    tusUpload.options.headers,
+  );
+  return newest || null;
+};
+
+// Forget a previous upload and delete what the server has of it
+export const discardPreviousUpload = async (previousUpload, headers = {}) => {
+  await urlStorage.removeUpload(previousUpload.urlStorageKey);
+  try {
+    await Promise.all(getStoredUploadUrls(previousUpload).map(url => tus.Upload.terminate(url, { headers })));
+  } catch (err) {
+    // Already gone or not ours to delete; the server cleans up abandoned uploads eventually
+    console.warn('Failed to delete previous upload from server:', err);
+  }
+};
@@ -0,0 +1,31 @@
+// Uploads finished in this browser, newest first, kept in localStorage so their links survive clearing
+// the queue and reloading the page. Entries are { id, filename, relativePath, size, uploadedAt, encryptionKey };
+// the key of an encrypted upload stays in this browser, the server never has it.
+const STORAGE_KEY = 'dropsite-upload-history';
+const MAX_ENTRIES = 100;
+
+export const loadHistory = () => {
+  try {
+    const entries = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.error('Failed to read the upload history:', err);
+    return [];
+  }
+};
+
+const saveHistory = (entries) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    // Private browsing or a full storage, the list just won't survive a reload
+    console.error('Failed to save the upload history:', err);
+  }
+  return entries;
+};
+
+export const addToHistory = (entry) => saveHistory(
+  [entry, ...loadHistory().filter(existing => existing.id !== entry.id)].slice(0, MAX_ENTRIES)
+);
+
+export const removeFromHistory = (id) => saveHistory(loadHistory().filter(entry => entry.id !== id));
@@ -0,0 +1,32 @@
+// Hashes upload chunks off the main thread so large files don't freeze the page.
+// Messages: { id, blob, algorithm } -> { id, digest } (base64) or { id, error }
+
+const SUBTLE_ALGORITHMS = {
+  sha1: 'SHA-1',
+  sha256: 'SHA-256',
+};
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+self.onmessage = async ({ data: { id, blob, algorithm } }) => {
+  try {
+    if (!self.crypto || !self.crypto.subtle) {
+      throw new Error('Web Crypto is not available, the page needs to be served over HTTPS');
+    }
+    const name = SUBTLE_ALGORITHMS[algorithm];
+    if (!name) {
+      throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
+    }
+    const digest = await self.crypto.subtle.digest(name, await blob.arrayBuffer());
+    self.postMessage({ id, digest: toBase64(digest) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
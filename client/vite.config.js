@@ -20,6 +20,24 @@ export default defineConfig({
         changeOrigin: true,
         secure: false,
         ws: true
+      },
+      // JSON API (login, session)
+      '/api': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false
+      },
+      // Downloads of finished uploads
+      '/d/': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false
+      },
+      // Share link downloads and thumbnails (the /s/:slug page itself is served by the client)
+      '^/s/[^/]+/(download|thumbnail)': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+        secure: false
       }
     },
   },
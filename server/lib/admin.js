@@ -0,0 +1,178 @@
+const { findCompletedUpload, isPartialUpload, isUploadComplete, isValidUploadId } = require('./download');
+const { SCAN_STATUS } = require('./scanner');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Admin');
+
+const SORT_FIELDS = ['filename', 'size', 'offset', 'createdAt', 'uploader', 'downloadCount'];
+const MAX_BULK_DELETE = 1000;
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    if (typeof a === 'string') return a.localeCompare(b, undefined, { sensitivity: 'base' });
+    return a < b ? -1 : 1;
+}
+
+/**
+ * JSON API behind the /admin page: every upload in the datastore with its metadata and
+ * download statistics, bulk deletion and a storage summary. Quarantined files can be released, which hands
+ * them to `acceptUpload(upload)` like any file that passed the checks. Files can be scanned again with
+ * `scanUpload(upload)` when malware scanning is configured, and processed again with
+ * `processUpload(id, { force })` when post-upload processing is.
+ */
+function createAdmin({ datastore, records, removeUpload, acceptUpload = async () => {}, scanUpload = null, processUpload = null }) {
+    async function listUploads() {
+        const ids = await datastore.listUploadIds();
+        const uploads = [];
+        for (const id of ids) {
+            let upload;
+            try {
+                upload = await datastore.getUpload(id);
+            } catch (error) {
+                // Metadata without a file, the janitor takes care of it
+                continue;
+            }
+            const metadata = upload.metadata || {};
+            const record = records.get(id);
+            uploads.push({
+                id,
+                filename: metadata.filename || id,
+                relativePath: metadata.relativePath || null,
+                filetype: metadata.filetype || null,
+                size: upload.size ?? null,
+                offset: upload.offset,
+                complete: isUploadComplete(upload),
+                partial: isPartialUpload(upload),
+                createdAt: upload.creation_date || null,
+                uploader: metadata.uploader || null,
+                fileRequest: metadata.fileRequest || null,
+                downloadCount: record.downloadCount,
+                lastDownloadAt: record.lastDownloadAt,
+                sha256: record.sha256 || null,
+                quarantine: record.quarantine || null,
+                scan: record.scan || null,
+                processing: record.processing || null,
+            });
+        }
+        return uploads;
+    }
+
+    function summarize(uploads) {
+        return uploads.reduce((summary, upload) => {
+            summary.count += 1;
+            summary.storedBytes += upload.offset;
+            if (!upload.complete) {
+                summary.incompleteCount += 1;
+            }
+            return summary;
+        }, { count: 0, incompleteCount: 0, storedBytes: 0 });
+    }
+
+    // GET /api/admin/uploads?q=&sort=&order=
+    async function list(req, res) {
+        try {
+            const all = await listUploads();
+            const query = String(req.query.q || '').trim().toLowerCase();
+            const sort = SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'createdAt';
+            const direction = req.query.order === 'asc' ? 1 : -1;
+
+            const uploads = all
+                .filter(upload => !query || [upload.filename, upload.relativePath, upload.uploader, upload.id]
+                    .some(value => value && value.toLowerCase().includes(query)))
+                .sort((a, b) => compareValues(a[sort], b[sort]) * direction);
+
+            res.json({
+                uploads,
+                summary: {
+                    ...summarize(all),
+                    // Free/total bytes where the storage has such a thing, null on object storage
+                    disk: await datastore.getDiskUsage(),
+                },
+            });
+        } catch (error) {
+            log.error('Failed to list uploads', error);
+            res.status(500).json({ error: 'Could not list uploads' });
+        }
+    }
+
+    // POST /api/admin/uploads/delete { ids: [...] }
+    async function bulkDelete(req, res) {
+        const ids = req.body && req.body.ids;
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_DELETE) {
+            return res.status(400).json({ error: `Expected between 1 and ${MAX_BULK_DELETE} upload ids` });
+        }
+
+        const deleted = [];
+        const failed = [];
+        for (const id of ids) {
+            if (!isValidUploadId(id)) {
+                failed.push({ id, error: 'Invalid id' });
+                continue;
+            }
+            try {
+                const upload = await datastore.getUpload(id);
+                await removeUpload(upload, 'deleted');
+                deleted.push(id);
+            } catch (error) {
+                failed.push({ id, error: error.body ? error.body.trim() : error.message });
+            }
+        }
+        log.info(`${req.user ? req.user.username : 'anonymous'} deleted ${deleted.length} uploads${failed.length ? `, ${failed.length} failed` : ''}`, { uploadIds: deleted });
+        res.json({ deleted, failed });
+    }
+
+    // POST /api/admin/uploads/:id/release - an admin checked a quarantined file and lets it through
+    async function release(req, res) {
+        const { id } = req.params;
+        if (!isValidUploadId(id) || !records.get(id).quarantine) {
+            return res.status(404).json({ error: 'No quarantined upload with this id' });
+        }
+        await records.update(id, { quarantine: null });
+        log.info(`${req.user ? req.user.username : 'anonymous'} released ${id} from quarantine`, { uploadId: id });
+        const { upload } = await findCompletedUpload(datastore, id);
+        if (upload) {
+            await acceptUpload(upload);
+        }
+        res.status(204).end();
+    }
+
+    // POST /api/admin/uploads/:id/rescan - scan a finished upload again, e.g. after clamd was unreachable
+    async function rescan(req, res) {
+        if (!scanUpload) {
+            return res.status(409).json({ error: 'Malware scanning is not configured' });
+        }
+        const { upload, error } = await findCompletedUpload(datastore, req.params.id);
+        if (error) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        await scanUpload(upload);
+        res.status(202).json({ status: 'scanning' });
+    }
+
+    // POST /api/admin/uploads/:id/process - run the post-upload processing again, e.g. after it failed
+    async function reprocess(req, res) {
+        if (!processUpload) {
+            return res.status(409).json({ error: 'Post-upload processing is not configured' });
+        }
+        const { upload, error } = await findCompletedUpload(datastore, req.params.id);
+        if (error) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        const record = records.get(upload.id);
+        if (record.quarantine || (record.scan && record.scan.status !== SCAN_STATUS.CLEAN)) {
+            return res.status(409).json({ error: 'Only files that passed the file type checks and the malware scan are processed' });
+        }
+        const state = await processUpload(upload.id, { force: true });
+        if (!state) {
+            return res.status(409).json({ error: 'This file is being processed already' });
+        }
+        log.info(`${req.user ? req.user.username : 'anonymous'} queued ${upload.id} for processing`, { uploadId: upload.id });
+        res.status(202).json(state);
+    }
+
+    return { list, bulkDelete, release, rescan, reprocess };
+}
+
+module.exports = { createAdmin };
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Auth');
+
+const SESSION_COOKIE = 'dropsite_session';
+
+// Passwords are stored as `scrypt:<salt hex>:<key hex>`
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync(password, salt, 64);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+function verifyPassword(password, storedHash) {
+    const [scheme, saltHex, keyHex] = String(storedHash || '').split(':');
+    if (scheme !== 'scrypt' || !saltHex || !keyHex) {
+        return false;
+    }
+    const expected = Buffer.from(keyHex, 'hex');
+    const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Compared against when a login names an unknown user
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// API tokens are only stored as SHA-256 digests; the plain token is shown once when it is created
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateToken() {
+    return `ds_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) {
+        return cookies;
+    }
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // Ignore cookies we can't decode, they aren't ours
+        }
+    }
+    return cookies;
+}
+
+function readConfig(configPath) {
+    if (!configPath || !fs.existsSync(configPath)) {
+        return { users: [], tokens: [] };
+    }
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return {
+        users: Array.isArray(config.users) ? config.users : [],
+        tokens: Array.isArray(config.tokens) ? config.tokens : [],
+    };
+}
+
+function writeConfig(configPath, config) {
+    const tmpPath = `${configPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(config, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, configPath);
+}
+
+/**
+ * Authentication for the upload endpoints.
+ * Users and API tokens live in a JSON file (see `scripts/auth.js`), which is re-read when it changes.
+ * Browsers authenticate with a signed session cookie from `POST /api/login`, scripts with
+ * `Authorization: Bearer <token>`. Auth is disabled while the file defines no users.
+ */
+function createAuth({ configPath, sessionSecret, sessionTtlMs }) {
+    const secret = sessionSecret || crypto.randomBytes(32).toString('hex');
+    let config = { users: [], tokens: [] };
+    let configMtime = null;
+
+    if (!sessionSecret) {
+        log.warn('SESSION_SECRET is not set, sessions will not survive a server restart');
+    }
+
+    function loadConfig() {
+        let mtime = null;
+        try {
+            mtime = fs.statSync(configPath).mtimeMs;
+        } catch (error) {
+            // Missing file means no users
+        }
+        if (mtime === configMtime) {
+            return config;
+        }
+        try {
+            config = readConfig(configPath);
+            configMtime = mtime;
+            log.info(`Loaded ${config.users.length} users and ${config.tokens.length} API tokens from ${configPath}`);
+        } catch (error) {
+            // Keep the previous config rather than locking everybody out over a typo
+            log.error(`Failed to read ${configPath}: ${error.message}`);
+        }
+        return config;
+    }
+
+    function isEnabled() {
+        return loadConfig().users.length > 0;
+    }
+
+    function findUser(username) {
+        return loadConfig().users.find(user => user.username === username) || null;
+    }
+
+    function toIdentity(user, method) {
+        return { username: user.username, admin: !!user.admin, method };
+    }
+
+    function sign(value) {
+        return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+    }
+
+    function createSession(username) {
+        const payload = Buffer.from(JSON.stringify({ u: username, exp: Date.now() + sessionTtlMs })).toString('base64url');
+        return `${payload}.${sign(payload)}`;
+    }
+
+    function readSession(value) {
+        const [payload, signature] = String(value || '').split('.');
+        if (!payload || !signature) {
+            return null;
+        }
+        const expected = Buffer.from(sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+        try {
+            const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return session.exp > Date.now() ? session : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Resolve the user behind a request, or null
+    function identify(req) {
+        const authorization = req.headers.authorization || '';
+        const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+        if (bearer) {
+            const tokenHash = hashToken(bearer[1]);
+            const token = loadConfig().tokens.find(entry => entry.tokenHash === tokenHash);
+            const user = token && findUser(token.username);
+            return user ? toIdentity(user, 'token') : null;
+        }
+
+        const session = readSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+        const user = session && findUser(session.u);
+        return user ? toIdentity(user, 'session') : null;
+    }
+
+    function setSessionCookie(req, res, value, maxAgeMs) {
+        const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+        res.cookie(SESSION_COOKIE, value, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure,
+            maxAge: maxAgeMs,
+            path: '/',
+        });
+    }
+
+    // Populates req.user for every request, never rejects
+    function middleware(req, res, next) {
+        req.user = identify(req);
+        next();
+    }
+
+    function requireAuth(req, res, next) {
+        // CORS preflights never carry credentials
+        if (req.method === 'OPTIONS' || !isEnabled() || req.user) {
+            return next();
+        }
+        res.set('WWW-Authenticate', 'Bearer realm="DropSite"');
+        if (req.originalUrl.startsWith('/api/')) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        return res.status(401).send('Authentication required\n');
+    }
+
+    // Uploaders manage their own uploads, admins manage everything
+    function canManageUpload(user, upload) {
+        if (!isEnabled()) {
+            return true;
+        }
+        if (!user) {
+            return false;
+        }
+        return user.admin || (upload.metadata && upload.metadata.uploader) === user.username;
+    }
+
+    function requireAdmin(req, res, next) {
+        if (!isEnabled() || (req.user && req.user.admin)) {
+            return next();
+        }
+        return res.status(req.user ? 403 : 401).json({ error: 'Administrator access required' });
+    }
+
+    function login(req, res) {
+        const { username, password } = req.body || {};
+        const user = typeof username === 'string' ? findUser(username) : null;
+        // Verify against a dummy hash for unknown users so timing doesn't reveal which usernames exist
+        const valid = verifyPassword(password || '', user ? user.passwordHash : DUMMY_HASH) && !!user;
+        if (!valid) {
+            log.warn(`Failed login for '${username}' from ${req.ip}`, { user: username });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        setSessionCookie(req, res, createSession(user.username), sessionTtlMs);
+        log.info(`User '${user.username}' logged in from ${req.ip}`, { user: user.username });
+        return res.json({ authRequired: true, user: toIdentity(user, 'session') });
+    }
+
+    function logout(req, res) {
+        setSessionCookie(req, res, '', 0);
+        res.json({ ok: true });
+    }
+
+    function me(req, res) {
+        res.json({ authRequired: isEnabled(), user: req.user });
+    }
+
+    return {
+        middleware,
+        requireAuth,
+        requireAdmin,
+        canManageUpload,
+        login,
+        logout,
+        me,
+        isEnabled,
+        identify,
+        findUser,
+        sign,
+    };
+}
+
+module.exports = {
+    createAuth,
+    generateToken,
+    hashPassword,
+    hashToken,
+    parseCookies,
+    readConfig,
+    verifyPassword,
+    writeConfig,
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Checksum');
+
+// Algorithms accepted in Upload-Checksum, named as in the tus checksum extension
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'sha512', 'md5'];
+// Full-file hash recorded for finished uploads, what recipients compare with `sha256sum`
+const FILE_HASH_ALGORITHM = 'sha256';
+
+const CHECKSUM_MISMATCH = { status_code: 460, body: 'Checksum Mismatch\n' };
+
+// Upload-Checksum of the request being handled; the store only ever sees the body stream
+const requestChecksum = new AsyncLocalStorage();
+
+// "<algorithm> <base64 digest>" -> { algorithm, digest }, null when malformed or unsupported
+function parseChecksumHeader(value) {
+    const match = /^([a-z0-9-]+) ([A-Za-z0-9+/]+={0,2})$/.exec(String(value).trim());
+    if (!match || !CHECKSUM_ALGORITHMS.includes(match[1])) {
+        return null;
+    }
+    return { algorithm: match[1], digest: match[2] };
+}
+
+/**
+ * Validates the Upload-Checksum header of tus requests and makes it available to the store (see
+ * withChecksums) for the rest of the request. Also advertises the supported algorithms on OPTIONS.
+ */
+function checksumMiddleware(req, res, next) {
+    if (req.method === 'OPTIONS') {
+        res.setHeader('Tus-Checksum-Algorithm', CHECKSUM_ALGORITHMS.join(','));
+    }
+    const header = req.headers['upload-checksum'];
+    if (header === undefined) {
+        return next();
+    }
+    const checksum = parseChecksumHeader(header);
+    if (!checksum) {
+        res.setHeader('Tus-Resumable', '1.0.0');
+        return res.status(400).send('Unsupported Checksum Algorithm\n');
+    }
+    requestChecksum.run(checksum, next);
+}
+
+function hashStream(readable, algorithm = FILE_HASH_ALGORITHM) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        readable
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Adds the tus checksum extension to a DataStore class. Every PATCH body is hashed while it is
+ * written; when it doesn't match the Upload-Checksum sent by the client the request fails with 460
+ * and the client resends the chunk from the old offset.
+ *
+ * Stores that can cut a write off again implement `discardWrite(id, offset)` and are written to
+ * directly. Everything else gets checksummed bodies spooled to a temporary file first, so nothing
+ * unverified reaches the store.
+ *
+ * The full-file hash is kept running across PATCH requests as well, so finishing a multi-gigabyte
+ * upload doesn't mean reading it back. After a restart, or when writes didn't line up, getFileHash
+ * falls back to reading the upload through `createReadStream(upload)`.
+ */
+function withChecksums(Store) {
+    return class extends Store {
+        constructor(options) {
+            super(options);
+            this.extensions.push('checksum');
+            this.fileHashes = new Map();
+        }
+
+        async write(readable, id, offset) {
+            const expected = requestChecksum.getStore();
+            const running = this.fileHashes.get(id);
+            let fileHash = null;
+            if (running && running.offset === offset) {
+                // Work on a copy, a rejected chunk must not end up in the hash
+                fileHash = running.hash.copy();
+            } else if (offset === 0) {
+                fileHash = crypto.createHash(FILE_HASH_ALGORITHM);
+            }
+            const chunkHash = expected ? crypto.createHash(expected.algorithm) : null;
+
+            if (!fileHash && !chunkHash) {
+                return super.write(readable, id, offset);
+            }
+
+            const hashing = new Transform({
+                transform(chunk, encoding, callback) {
+                    if (fileHash) fileHash.update(chunk);
+                    if (chunkHash) chunkHash.update(chunk);
+                    callback(null, chunk);
+                },
+            });
+            readable.on('error', error => hashing.destroy(error));
+            readable.pipe(hashing);
+
+            const verify = chunkHash ? () => chunkHash.digest('base64') === expected.digest : null;
+            const newOffset = verify && typeof this.discardWrite !== 'function'
+                ? await this.writeSpooled(hashing, id, offset, verify, expected)
+                : await this.writeDirect(hashing, id, offset, verify, expected);
+
+            if (fileHash) {
+                this.fileHashes.set(id, { hash: fileHash, offset: newOffset });
+            }
+            return newOffset;
+        }
+
+        async writeDirect(readable, id, offset, verify, expected) {
+            let newOffset;
+            try {
+                newOffset = await super.write(readable, id, offset);
+            } catch (error) {
+                // Whatever arrived of a checksummed chunk can't be verified, drop it
+                if (verify) {
+                    await this.discardWrite(id, offset);
+                }
+                throw error;
+            }
+            if (verify && !verify()) {
+                log.warn(`${expected.algorithm} mismatch at offset ${offset}, discarding ${newOffset - offset} bytes`, { uploadId: id });
+                await this.discardWrite(id, offset);
+                throw CHECKSUM_MISMATCH;
+            }
+            return newOffset;
+        }
+
+        async writeSpooled(readable, id, offset, verify, expected) {
+            const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dropsite-chunk-'));
+            const tmpPath = path.join(tmpDir, 'chunk');
+            try {
+                await pipeline(readable, fs.createWriteStream(tmpPath));
+                if (!verify()) {
+                    log.warn(`${expected.algorithm} mismatch at offset ${offset}, chunk rejected`, { uploadId: id });
+                    throw CHECKSUM_MISMATCH;
+                }
+                return await super.write(fs.createReadStream(tmpPath), id, offset);
+            } finally {
+                await fs.promises.rm(tmpDir, { recursive: true, force: true });
+            }
+        }
+
+        // Hex SHA-256 of a finished upload
+        async getFileHash(upload) {
+            const running = this.fileHashes.get(upload.id);
+            this.fileHashes.delete(upload.id);
+            if (running && running.offset === upload.size) {
+                return running.hash.digest('hex');
+            }
+            return hashStream(await this.createReadStream(upload));
+        }
+
+        async remove(id) {
+            this.fileHashes.delete(id);
+            return super.remove(id);
+        }
+    };
+}
+
+module.exports = {
+    CHECKSUM_ALGORITHMS,
+    FILE_HASH_ALGORITHM,
+    checksumMiddleware,
+    parseChecksumHeader,
+    withChecksums,
+};
@@ -0,0 +1,160 @@
+const { Metadata, Upload, ERRORS } = require('@tus/server');
+const { isPartialUpload, isValidUploadId } = require('./download');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Concatenation');
+
+// More parts than any client splits a file into
+const MAX_PARTIAL_UPLOADS = 64;
+
+function tusError(status_code, body) {
+    return { status_code, body: `${body}\n` };
+}
+
+// The upload id is the last path segment of the partial upload URLs listed in `Upload-Concat: final;...`
+function getPartialUploadId(url) {
+    try {
+        return new URL(url, 'http://localhost').pathname.split('/').filter(Boolean).pop();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The tus concatenation extension, which @tus/server doesn't implement. Clients upload a large file as
+ * several partial uploads in parallel (`Upload-Concat: partial`) and then create the final upload from
+ * them (`Upload-Concat: final;<url> <url> ...`).
+ *
+ * Partial uploads are ordinary uploads for @tus/server: the middleware only takes the header away and
+ * flags the request, `onUploadCreate` marks them with `uploadConcat: partial` metadata. Final uploads
+ * are created here: the parts are appended to a new upload through the datastore (which keeps hashing
+ * them), the regular creation and finish hooks run on it and the parts are removed afterwards.
+ */
+function createConcatenation({ datastore, path, maxSize, namingFunction, onUploadCreate, onUploadFinish, canUsePartial }) {
+    // Advertised in Tus-Extension; the middleware handles it in front of @tus/server
+    datastore.extensions.push('concatenation');
+
+    // Ids of the partial uploads final uploads are being created from right now. A retried POST joining
+    // the same parts would otherwise copy them a second time while the first request removes them.
+    const joining = new Set();
+
+    function getPartialUploadIds(urls) {
+        const ids = urls.map(getPartialUploadId);
+        if (ids.length === 0 || ids.length > MAX_PARTIAL_UPLOADS || !ids.every(isValidUploadId) || new Set(ids).size !== ids.length) {
+            throw tusError(400, `Upload-Concat must list between 1 and ${MAX_PARTIAL_UPLOADS} different partial upload URLs`);
+        }
+        return ids;
+    }
+
+    async function loadPartialUploads(req, ids) {
+        const partials = [];
+        for (const id of ids) {
+            let upload;
+            try {
+                upload = await datastore.getUpload(id);
+            } catch (error) {
+                throw tusError(400, `Partial upload ${id} not found`);
+            }
+            if (!isPartialUpload(upload)) {
+                throw tusError(400, `${id} is not a partial upload`);
+            }
+            if (!canUsePartial(req, upload)) {
+                throw tusError(403, `Partial upload ${id} belongs to somebody else`);
+            }
+            if (upload.offset !== upload.size) {
+                throw tusError(400, `Partial upload ${id} is not complete`);
+            }
+            partials.push(upload);
+        }
+        return partials;
+    }
+
+    async function createFinalUpload(req, res, urls) {
+        const ids = getPartialUploadIds(urls);
+        if (ids.some(id => joining.has(id))) {
+            throw tusError(423, 'These partial uploads are being joined already, try again shortly');
+        }
+        ids.forEach(id => joining.add(id));
+        try {
+            await joinPartialUploads(req, res, ids);
+        } finally {
+            ids.forEach(id => joining.delete(id));
+        }
+    }
+
+    async function joinPartialUploads(req, res, ids) {
+        const partials = await loadPartialUploads(req, ids);
+        const size = partials.reduce((total, partial) => total + partial.size, 0);
+        if (maxSize > 0 && size > maxSize) {
+            throw ERRORS.ERR_MAX_SIZE_EXCEEDED;
+        }
+
+        let metadata;
+        if (req.headers['upload-metadata'] !== undefined) {
+            try {
+                metadata = Metadata.parse(req.headers['upload-metadata']);
+            } catch (error) {
+                throw ERRORS.INVALID_METADATA;
+            }
+        }
+
+        const upload = new Upload({ id: await namingFunction(req, metadata), size, offset: 0, metadata });
+        const created = await onUploadCreate(req, res, upload);
+        if (created.metadata) {
+            upload.metadata = created.metadata;
+        }
+
+        await datastore.create(upload);
+        try {
+            for (const partial of partials) {
+                upload.offset = await datastore.write(await datastore.createReadStream(partial), upload.id, upload.offset);
+            }
+        } catch (error) {
+            // Leave the parts alone so the client can try again
+            await datastore.remove(upload.id).catch(() => {});
+            throw error;
+        }
+        log.info(`Joined ${partials.length} partial uploads into ${upload.id} (${size} bytes)`, { uploadId: upload.id });
+
+        for (const partial of partials) {
+            await datastore.remove(partial.id).catch(error => log.error(`Failed to remove partial upload ${partial.id}`, { uploadId: partial.id, error }));
+        }
+
+        await onUploadFinish(req, res, upload);
+        res.setHeader('Tus-Resumable', '1.0.0');
+        res.setHeader('Location', `${path}/${upload.id}`);
+        res.setHeader('Upload-Offset', upload.offset);
+        res.status(201).end();
+    }
+
+    function middleware(req, res, next) {
+        const header = req.headers['upload-concat'];
+        if (req.method !== 'POST' || header === undefined) {
+            return next();
+        }
+
+        if (header.trim() === 'partial') {
+            delete req.headers['upload-concat'];
+            req.uploadConcat = 'partial';
+            return next();
+        }
+
+        const match = /^final;(.+)$/.exec(header.trim());
+        if (!match) {
+            res.setHeader('Tus-Resumable', '1.0.0');
+            return res.status(400).send('Invalid Upload-Concat header\n');
+        }
+        req.uploadConcat = 'final';
+        createFinalUpload(req, res, match[1].trim().split(/\s+/)).catch(error => {
+            if (!error.status_code) {
+                log.error('Failed to create final upload', error);
+            }
+            res.setHeader('Tus-Resumable', '1.0.0');
+            res.status(error.status_code || 500).send(error.body || 'Internal Server Error\n');
+        });
+    }
+
+    return { middleware };
+}
+
+module.exports = { createConcatenation, MAX_PARTIAL_UPLOADS };
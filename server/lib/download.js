@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { parseCookies } = require('./auth');
+const { contentDisposition } = require('./filenames');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Download');
+
+// Upload ids are random (see uploadIds), older ones carry a sanitized filename; anything else
+// (path separators, leading dots) is rejected before it gets near the storage.
+const UPLOAD_ID_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]*$/;
+
+function isValidUploadId(id) {
+    return typeof id === 'string' && UPLOAD_ID_PATTERN.test(id);
+}
+
+// Partial uploads (tus concatenation) only hold a piece of a file until the final upload joins them
+function isPartialUpload(upload) {
+    return !!(upload.metadata && upload.metadata.uploadConcat === 'partial');
+}
+
+// A finished file that can be downloaded; a partial upload never is one on its own
+function isUploadComplete(upload) {
+    return typeof upload.size === 'number' && upload.offset === upload.size && !isPartialUpload(upload);
+}
+
+// How long a download can be resumed, or a preview followed by the download, without counting again
+const DOWNLOAD_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+const DOWNLOAD_COOKIE = 'dropsite_download';
+
+/**
+ * Tells downloads that count from requests that continue one. A Range header proves nothing, clients
+ * can send any they like, and addresses are shared behind NAT and proxies, so the counted request hands
+ * out a signed cookie for that file (valid for `ttlMs`, never extended) and only requests carrying it
+ * continue the download: ranged requests that resume it or seek in a media player, inline previews,
+ * and the full download after a preview. A full download once it was served starts a new one.
+ * `sign(value)` is the HMAC from auth.
+ */
+function createDownloadTokens({ sign, ttlMs = DOWNLOAD_TOKEN_TTL_MS }) {
+    // `file` names what is counted: an upload id, or a share link so every link keeps its own count
+    function signToken(file, expiresAt, downloaded) {
+        return sign(`download:${file}:${expiresAt}:${downloaded ? 1 : 0}`);
+    }
+
+    function read(req, file) {
+        const [expiresAt, downloaded, signature] = String(parseCookies(req.headers.cookie)[DOWNLOAD_COOKIE] || '').split('.');
+        if (!signature || !/^\d+$/.test(expiresAt) || !/^[01]$/.test(downloaded)) {
+            return null;
+        }
+        const expected = Buffer.from(signToken(file, expiresAt, downloaded === '1'));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+        return Number(expiresAt) > Date.now() ? { expiresAt: Number(expiresAt), downloaded: downloaded === '1' } : null;
+    }
+
+    // Set once per path the file is fetched or described through, so tokens for different files stay apart
+    function write(req, res, file, paths, { expiresAt, downloaded }) {
+        const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+        for (const path of paths) {
+            res.cookie(DOWNLOAD_COOKIE, `${expiresAt}.${downloaded ? 1 : 0}.${signToken(file, expiresAt, downloaded)}`, {
+                httpOnly: true,
+                sameSite: 'lax',
+                secure,
+                expires: new Date(expiresAt),
+                path,
+            });
+        }
+    }
+
+    function isPreview(req) {
+        return req.query.inline !== undefined;
+    }
+
+    // Ranges and previews belong to the download the token was issued for, a full download only once
+    function continues(req, token) {
+        return !!token && (!!req.headers.range || isPreview(req) || !token.downloaded);
+    }
+
+    // Whether the client has a download of `file` going that it may still finish
+    function isDownloading(req, file) {
+        return read(req, file) !== null;
+    }
+
+    function continuesDownload(req, file) {
+        return continues(req, read(req, file));
+    }
+
+    // Called for every request that is about to be served, true when it starts a download that counts
+    function startDownload(req, res, file, paths = [req.path]) {
+        if (req.method !== 'GET') {
+            return false;
+        }
+        const token = read(req, file);
+        if (!continues(req, token)) {
+            write(req, res, file, paths, { expiresAt: Date.now() + ttlMs, downloaded: !isPreview(req) });
+            return true;
+        }
+        if (!token.downloaded && !req.headers.range && !isPreview(req)) {
+            write(req, res, file, paths, { expiresAt: token.expiresAt, downloaded: true });
+        }
+        return false;
+    }
+
+    return { isDownloading, continuesDownload, startDownload };
+}
+
+// Weak validator in the same spirit as express' static ETags: size + mtime
+function buildEtag(stats) {
+    return `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+}
+
+// If-Range allows a client to resume only if the file hasn't changed since it got the first part.
+// It carries either an ETag or an HTTP date, never both.
+function ifRangeMatches(req, etag, lastModified) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) {
+        return true;
+    }
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/"')) {
+        return ifRange === etag;
+    }
+    const since = Date.parse(ifRange);
+    // HTTP dates have second precision
+    return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * Stream a finished upload to the client.
+ * Uses the original filename (any Unicode, see contentDisposition) and filetype from the tus metadata and
+ * supports single byte ranges (Range / If-Range) so interrupted downloads can be resumed.
+ * With `inlineType` the file is sent with that Content-Type for the browser to show instead of saving it.
+ */
+async function sendUpload(datastore, req, res, upload, { inlineType = null } = {}) {
+    const stats = await datastore.statUpload(upload);
+    const metadata = upload.metadata || {};
+    const etag = buildEtag(stats);
+    const lastModified = stats.mtime;
+
+    res.set('Accept-Ranges', 'bytes');
+    res.set('ETag', etag);
+    res.set('Last-Modified', lastModified.toUTCString());
+    res.set('Content-Type', inlineType || metadata.filetype || 'application/octet-stream');
+    res.set('Content-Disposition', contentDisposition(metadata.filename || upload.id, inlineType ? 'inline' : 'attachment'));
+    if (inlineType) {
+        // Shown as what it was checked to be, never as whatever the browser guesses from the content
+        res.set('X-Content-Type-Options', 'nosniff');
+    }
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    let start = 0;
+    let end = stats.size - 1;
+    let status = 200;
+
+    if (req.headers.range && ifRangeMatches(req, etag, lastModified)) {
+        const ranges = req.range(stats.size, { combine: true });
+        if (ranges === -1) {
+            res.set('Content-Range', `bytes */${stats.size}`);
+            return res.status(416).send('Requested range not satisfiable');
+        }
+        // Malformed (-2) or multipart ranges are ignored and the whole file is sent
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            start = ranges[0].start;
+            end = ranges[0].end;
+            status = 206;
+            res.set('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+        }
+    }
+
+    res.status(status);
+    res.set('Content-Length', String(stats.size === 0 ? 0 : end - start + 1));
+
+    if (req.method === 'HEAD' || stats.size === 0) {
+        return res.end();
+    }
+
+    const stream = await datastore.createReadStream(upload, { start, end });
+    stream.on('error', (err) => {
+        log.error(`Error streaming ${upload.id}`, { uploadId: upload.id, error: err });
+        res.destroy(err);
+    });
+    // Stop reading from storage if the client goes away mid-download
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+}
+
+// Look up a finished upload, or describe why it can't be served
+async function findCompletedUpload(datastore, id) {
+    if (!isValidUploadId(id)) {
+        return { error: { status: 404, message: 'File not found' } };
+    }
+
+    let upload;
+    try {
+        upload = await datastore.getUpload(id);
+    } catch (error) {
+        return { error: { status: 404, message: 'File not found' } };
+    }
+
+    if (isPartialUpload(upload)) {
+        return { error: { status: 404, message: 'File not found' } };
+    }
+    if (!isUploadComplete(upload)) {
+        return { error: { status: 409, message: 'This upload is not complete yet' } };
+    }
+    return { upload };
+}
+
+// sendUpload with errors turned into a response
+async function trySendUpload(datastore, req, res, upload, options) {
+    try {
+        await sendUpload(datastore, req, res, upload, options);
+    } catch (error) {
+        log.error(`Failed to send ${upload.id}`, { uploadId: upload.id, error });
+        if (!res.headersSent) {
+            res.status(500).send('Could not read file');
+        }
+    }
+}
+
+/**
+ * Express handler for `GET /d/:id`.
+ * `canDownload(req, upload)` decides whether the requester may fetch the file directly,
+ * `getRestriction(req, upload)` returns `{ status, message }` when the file is held back right now,
+ * `onDownload(upload)` is called when a new download starts, as `downloads.startDownload()` tells
+ * (see createDownloadTokens).
+ * `getInlineType(upload)` is the Content-Type to show the file in the browser with when it is requested
+ * with `?inline` (previews), null for files that are only ever downloaded.
+ */
+function createDownloadHandler({
+    datastore,
+    canDownload = () => true,
+    getRestriction = () => null,
+    onDownload = () => {},
+    downloads = { startDownload: req => req.method === 'GET' },
+    getInlineType = () => null,
+}) {
+    return async (req, res) => {
+        const { upload, error } = await findCompletedUpload(datastore, req.params.id);
+        if (error) {
+            return res.status(error.status).send(error.message);
+        }
+        if (!canDownload(req, upload)) {
+            return res.status(403).send('You do not have access to this file');
+        }
+        const restriction = getRestriction(req, upload);
+        if (restriction) {
+            return res.status(restriction.status).send(restriction.message);
+        }
+        if (downloads.startDownload(req, res, `upload:${upload.id}`)) {
+            await onDownload(upload);
+        }
+        const inlineType = req.query.inline !== undefined ? getInlineType(upload) : null;
+        await trySendUpload(datastore, req, res, upload, { inlineType });
+    };
+}
+
+module.exports = {
+    createDownloadHandler,
+    createDownloadTokens,
+    findCompletedUpload,
+    trySendUpload,
+    isPartialUpload,
+    isUploadComplete,
+    isValidUploadId,
+    sendUpload,
+};
@@ -0,0 +1,316 @@
+const { generateSlug, parseOptionalPositive } = require('./shares');
+const { isPartialUpload, isUploadComplete, isValidUploadId } = require('./download');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Requests');
+
+// Sent by the request page with every tus request, names the file request the upload goes to
+const FILE_REQUEST_HEADER = 'X-File-Request';
+
+const MAX_EXPIRY_HOURS = 24 * 365;
+const MAX_LABEL_LENGTH = 200;
+const MAX_ALLOWED_TYPES = 50;
+const MIME_TYPE_PATTERN = /^[a-z0-9!#$&^_.+-]+\/(\*|[a-z0-9!#$&^_.+-]+)$/;
+
+// Why a request no longer accepts new files, or null while it does
+function getRequestState(request) {
+    if (request.expiresAt && Date.parse(request.expiresAt) <= Date.now()) {
+        return 'expired';
+    }
+    if (request.maxFiles !== null && request.files.length >= request.maxFiles) {
+        return 'full';
+    }
+    return null;
+}
+
+const STATE_MESSAGES = {
+    expired: 'This file request has expired.',
+    full: 'This file request has received all the files it asked for.',
+};
+
+// "image/png" matches "image/png" and "image/*"
+function isTypeAllowed(filetype, allowedTypes) {
+    if (allowedTypes.length === 0) {
+        return true;
+    }
+    const type = String(filetype || '').toLowerCase();
+    return allowedTypes.some(allowed => (allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed));
+}
+
+function parseAllowedTypes(value) {
+    if (value === undefined || value === null || value === '') {
+        return { value: [] };
+    }
+    const types = (Array.isArray(value) ? value : String(value).split(','))
+        .map(type => String(type).trim().toLowerCase())
+        .filter(Boolean);
+    if (types.length > MAX_ALLOWED_TYPES || !types.every(type => MIME_TYPE_PATTERN.test(type))) {
+        return { error: true };
+    }
+    return { value: [...new Set(types)] };
+}
+
+function tusError(status_code, body) {
+    return { status_code, body: `${body}\n` };
+}
+
+/**
+ * "Request a file" links: `/r/<slug>` lets somebody without an account upload into one request,
+ * with an optional label, expiry, size limit, file count limit and allowed MIME types.
+ *
+ * The request page sends the slug in the X-File-Request header. The middleware lets such requests
+ * past authentication, but only to create uploads while the request is open and to continue uploads
+ * made through it. Received files are stored as uploads of whoever created the request, so they show up
+ * (and can be downloaded and shared) like their own; new arrivals are counted until the owner looks.
+ * Records are kept in a JSON store keyed by slug.
+ */
+function createFileRequests({ store, datastore, auth }) {
+    function toPublicRequest(request) {
+        return {
+            slug: request.slug,
+            url: `/r/${request.slug}`,
+            label: request.label,
+            createdBy: request.createdBy,
+            createdAt: request.createdAt,
+            expiresAt: request.expiresAt,
+            maxFileSize: request.maxFileSize,
+            maxFiles: request.maxFiles,
+            allowedTypes: request.allowedTypes,
+        };
+    }
+
+    function canManage(user, request) {
+        return !auth.isEnabled() || (!!user && (user.admin || user.username === request.createdBy));
+    }
+
+    // POST /api/requests { label, expiresInHours, maxFileSize, maxFiles, allowedTypes }
+    async function create(req, res) {
+        const { label, expiresInHours, maxFileSize, maxFiles, allowedTypes } = req.body || {};
+        const expiry = parseOptionalPositive(expiresInHours, { max: MAX_EXPIRY_HOURS });
+        const size = parseOptionalPositive(maxFileSize, { integer: true });
+        const count = parseOptionalPositive(maxFiles, { integer: true });
+        const types = parseAllowedTypes(allowedTypes);
+        if (label !== undefined && label !== null && (typeof label !== 'string' || label.length > MAX_LABEL_LENGTH)) {
+            return res.status(400).json({ error: `The label can be at most ${MAX_LABEL_LENGTH} characters` });
+        }
+        if (expiry.error) {
+            return res.status(400).json({ error: `Expiry must be between 0 and ${MAX_EXPIRY_HOURS} hours` });
+        }
+        if (size.error) {
+            return res.status(400).json({ error: 'Maximum file size must be a positive number of bytes' });
+        }
+        if (count.error) {
+            return res.status(400).json({ error: 'Maximum number of files must be a positive whole number' });
+        }
+        if (types.error) {
+            return res.status(400).json({ error: `Allowed types must be up to ${MAX_ALLOWED_TYPES} MIME types like application/pdf or image/*` });
+        }
+
+        const request = {
+            slug: generateSlug(),
+            label: (label || '').trim() || null,
+            createdBy: req.user ? req.user.username : null,
+            createdAt: new Date().toISOString(),
+            expiresAt: expiry.value ? new Date(Date.now() + expiry.value * 60 * 60 * 1000).toISOString() : null,
+            maxFileSize: size.value,
+            maxFiles: count.value,
+            allowedTypes: types.value,
+            files: [], // { id, filename, size, createdAt, finishedAt } per upload started through the link
+            unseenCount: 0,
+        };
+        await store.set(request.slug, request);
+        log.info(`${request.createdBy || 'anonymous'} created file request ${request.slug}${request.label ? ` (${request.label})` : ''}`, { fileRequest: request.slug });
+        res.status(201).json(toPublicRequest(request));
+    }
+
+    // What is left of a received file in the datastore
+    async function describeFile(file) {
+        let upload = null;
+        try {
+            upload = await datastore.getUpload(file.id);
+        } catch (error) {
+            // Deleted since
+        }
+        return {
+            ...file,
+            offset: upload ? upload.offset : null,
+            complete: !!upload && isUploadComplete(upload),
+            removed: !upload,
+        };
+    }
+
+    // GET /api/requests - the requests of the signed-in user, with the files received so far
+    async function list(req, res) {
+        const own = store.values()
+            .filter(request => (auth.isEnabled() ? req.user && request.createdBy === req.user.username : true))
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+        const requests = [];
+        for (const request of own) {
+            requests.push({
+                ...toPublicRequest(request),
+                state: getRequestState(request) || 'open',
+                unseenCount: request.unseenCount,
+                files: await Promise.all(request.files.map(describeFile)),
+            });
+        }
+        res.json({ requests, unseenCount: own.reduce((total, request) => total + request.unseenCount, 0) });
+    }
+
+    // POST /api/requests/:slug/seen - the owner has looked at the received files
+    async function markSeen(req, res) {
+        const request = store.get(req.params.slug);
+        if (!request) {
+            return res.status(404).json({ error: 'File request not found' });
+        }
+        if (!canManage(req.user, request)) {
+            return res.status(403).json({ error: 'You can only manage your own file requests' });
+        }
+        if (request.unseenCount > 0) {
+            request.unseenCount = 0;
+            await store.set(request.slug, request);
+        }
+        res.status(204).end();
+    }
+
+    // DELETE /api/requests/:slug - closes the link, the files received stay
+    async function revoke(req, res) {
+        const request = store.get(req.params.slug);
+        if (!request) {
+            return res.status(404).json({ error: 'File request not found' });
+        }
+        if (!canManage(req.user, request)) {
+            return res.status(403).json({ error: 'You can only revoke your own file requests' });
+        }
+        await store.delete(request.slug);
+        log.info(`Revoked file request ${request.slug}`, { fileRequest: request.slug });
+        res.status(204).end();
+    }
+
+    // GET /api/requests/:slug - what the request page shows before uploading
+    function info(req, res) {
+        const request = store.get(req.params.slug);
+        if (!request) {
+            return res.status(404).json({ error: 'This file request does not exist.', state: 'missing' });
+        }
+        const state = getRequestState(request);
+        if (state) {
+            return res.status(410).json({ error: STATE_MESSAGES[state], state });
+        }
+        res.json({
+            label: request.label,
+            requestedBy: request.createdBy,
+            expiresAt: request.expiresAt,
+            maxFileSize: request.maxFileSize,
+            remainingFiles: request.maxFiles === null ? null : request.maxFiles - request.files.length,
+            allowedTypes: request.allowedTypes,
+        });
+    }
+
+    /**
+     * Express middleware in front of the tus handler. Requests with the X-File-Request header may create
+     * uploads while the request is open, and continue or cancel only the uploads they created.
+     * Sets `req.fileRequest`, which stands in for authentication.
+     */
+    async function uploadMiddleware(req, res, next) {
+        const slug = req.headers[FILE_REQUEST_HEADER.toLowerCase()];
+        if (slug === undefined || req.method === 'OPTIONS') {
+            return next();
+        }
+        const fail = (status, message) => {
+            res.setHeader('Tus-Resumable', '1.0.0');
+            res.status(status).send(`${message}\n`);
+        };
+
+        const request = store.get(String(slug));
+        if (!request) {
+            return fail(404, 'This file request does not exist');
+        }
+        if (req.method === 'POST') {
+            const state = getRequestState(request);
+            if (state && !/^final;/.test(req.headers['upload-concat'] || '')) {
+                return fail(410, STATE_MESSAGES[state]);
+            }
+        } else {
+            const id = req.path.split('/').filter(Boolean).pop();
+            let upload = null;
+            try {
+                upload = isValidUploadId(id) ? await datastore.getUpload(id) : null;
+            } catch (error) {
+                // Let tus answer for uploads that don't exist
+            }
+            if (upload && (upload.metadata || {}).fileRequest !== request.slug) {
+                return fail(403, 'This upload does not belong to the file request');
+            }
+        }
+        req.fileRequest = request;
+        next();
+    }
+
+    /**
+     * Called from onUploadCreate for uploads through a request: checks the limits and counts the file.
+     * Throws a tus error when it doesn't fit. The parts of a parallel upload only have their size checked,
+     * the final upload joining them counts as the file.
+     */
+    async function acceptUpload(req, upload) {
+        const request = req.fileRequest;
+        const metadata = upload.metadata || {};
+        if (request.maxFileSize !== null && typeof upload.size === 'number' && upload.size > request.maxFileSize) {
+            throw tusError(413, `Files sent to this request can be at most ${request.maxFileSize} bytes`);
+        }
+        if (!isTypeAllowed(metadata.filetype, request.allowedTypes)) {
+            throw tusError(415, `This request only accepts ${request.allowedTypes.join(', ')}`);
+        }
+        if (isPartialUpload(upload)) {
+            return;
+        }
+        if (request.maxFiles !== null && request.files.length >= request.maxFiles) {
+            throw tusError(410, STATE_MESSAGES.full);
+        }
+        request.files.push({
+            id: upload.id,
+            filename: metadata.filename || upload.id,
+            size: upload.size ?? null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+        });
+        await store.set(request.slug, request);
+    }
+
+    // The request an upload came through, if any
+    function findByUpload(uploadId) {
+        return store.values().find(request => request.files.some(file => file.id === uploadId)) || null;
+    }
+
+    // Called from onUploadFinish: a file arrived, let the owner know
+    async function recordFinished(upload) {
+        const request = findByUpload(upload.id);
+        if (!request) return;
+        const file = request.files.find(entry => entry.id === upload.id);
+        file.finishedAt = new Date().toISOString();
+        request.unseenCount += 1;
+        await store.set(request.slug, request);
+        log.info(`${request.createdBy || 'Anonymous owner'} received ${file.filename} through file request ${request.slug}${request.label ? ` (${request.label})` : ''}`, { fileRequest: request.slug, uploadId: file.id });
+    }
+
+    // An upload was removed. Unfinished ones give their slot back, finished ones stay listed as deleted.
+    async function removeUpload(uploadId) {
+        const request = findByUpload(uploadId);
+        if (!request) return;
+        const file = request.files.find(entry => entry.id === uploadId);
+        if (file.finishedAt) return;
+        request.files = request.files.filter(entry => entry !== file);
+        await store.set(request.slug, request);
+    }
+
+    // An upload got a new id
+    async function renameUpload(oldId, newId) {
+        const request = findByUpload(oldId);
+        if (!request) return;
+        request.files.find(entry => entry.id === oldId).id = newId;
+        await store.set(request.slug, request);
+    }
+
+    return { create, list, markSeen, revoke, info, uploadMiddleware, acceptUpload, recordFinished, removeUpload, renameUpload };
+}
+
+module.exports = { createFileRequests, getRequestState, FILE_REQUEST_HEADER };
@@ -0,0 +1,216 @@
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('FileTypes');
+
+// Bytes read from the start of a finished upload to recognize its format (tar has its magic at 257)
+const SNIFF_BYTES = 512;
+
+function startsWith(buffer, bytes, offset = 0) {
+    const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+    return buffer.length >= offset + expected.length && buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+function isRiff(buffer, format) {
+    return startsWith(buffer, 'RIFF') && startsWith(buffer, format, 8);
+}
+
+/**
+ * Formats recognized by their leading bytes, with the extensions files of that format carry.
+ * The first match wins, so more specific signatures come first. Formats that are containers for others
+ * (ZIP for Office documents, ftyp for MP4 and QuickTime) list all extensions that use them.
+ * `optional` signatures identify a format, but files with its extensions don't need to carry them.
+ */
+const SIGNATURES = [
+    { mime: 'image/png', extensions: ['png', 'apng'], test: b => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { mime: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'], test: b => startsWith(b, [0xff, 0xd8, 0xff]) },
+    { mime: 'image/gif', extensions: ['gif'], test: b => startsWith(b, 'GIF87a') || startsWith(b, 'GIF89a') },
+    { mime: 'image/webp', extensions: ['webp'], test: b => isRiff(b, 'WEBP') },
+    { mime: 'image/tiff', extensions: ['tif', 'tiff'], test: b => startsWith(b, [0x49, 0x49, 0x2a, 0x00]) || startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]) },
+    { mime: 'image/x-icon', extensions: ['ico'], test: b => startsWith(b, [0x00, 0x00, 0x01, 0x00]) },
+    { mime: 'image/bmp', extensions: ['bmp'], test: b => startsWith(b, 'BM') && b.length >= 14 },
+    { mime: 'application/pdf', extensions: ['pdf'], test: b => startsWith(b, '%PDF-') },
+    {
+        mime: 'application/zip',
+        extensions: ['zip', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub', 'jar', 'apk', 'ipa', 'xpi', 'whl', 'nupkg'],
+        test: b => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) || startsWith(b, [0x50, 0x4b, 0x05, 0x06]) || startsWith(b, [0x50, 0x4b, 0x07, 0x08]),
+    },
+    { mime: 'application/gzip', extensions: ['gz', 'tgz'], test: b => startsWith(b, [0x1f, 0x8b]) },
+    { mime: 'application/x-bzip2', extensions: ['bz2', 'tbz2'], test: b => startsWith(b, 'BZh') },
+    { mime: 'application/x-xz', extensions: ['xz', 'txz'], test: b => startsWith(b, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]) },
+    { mime: 'application/zstd', extensions: ['zst'], test: b => startsWith(b, [0x28, 0xb5, 0x2f, 0xfd]) },
+    { mime: 'application/x-7z-compressed', extensions: ['7z'], test: b => startsWith(b, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+    { mime: 'application/vnd.rar', extensions: ['rar'], test: b => startsWith(b, 'Rar!\x1a\x07') },
+    { mime: 'application/x-tar', extensions: ['tar'], test: b => startsWith(b, 'ustar', 257) },
+    { mime: 'application/x-ole-storage', extensions: ['doc', 'xls', 'ppt', 'msi', 'msg'], test: b => startsWith(b, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+    { mime: 'application/x-sqlite3', extensions: ['sqlite', 'sqlite3'], test: b => startsWith(b, 'SQLite format 3\x00') },
+    // ID3 tag or an MPEG audio frame header (sync bits, layer not reserved)
+    { mime: 'audio/mpeg', extensions: ['mp3'], test: b => startsWith(b, 'ID3') || (b.length >= 2 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0) },
+    { mime: 'audio/ogg', extensions: ['ogg', 'oga', 'opus', 'ogv'], test: b => startsWith(b, 'OggS') },
+    { mime: 'audio/flac', extensions: ['flac'], test: b => startsWith(b, 'fLaC') },
+    { mime: 'audio/wav', extensions: ['wav'], test: b => isRiff(b, 'WAVE') },
+    { mime: 'video/x-msvideo', extensions: ['avi'], test: b => isRiff(b, 'AVI ') },
+    { mime: 'video/mp4', extensions: ['mp4', 'm4v', 'm4a', 'mov', '3gp', 'heic', 'heif', 'avif'], test: b => startsWith(b, 'ftyp', 4) },
+    { mime: 'video/webm', extensions: ['webm', 'mkv', 'mka'], test: b => startsWith(b, [0x1a, 0x45, 0xdf, 0xa3]) },
+    { mime: 'application/wasm', extensions: ['wasm'], test: b => startsWith(b, [0x00, 0x61, 0x73, 0x6d]) },
+    { mime: 'application/java-vm', extensions: ['class'], test: b => startsWith(b, [0xca, 0xfe, 0xba, 0xbe]) },
+    { mime: 'application/x-msdownload', extensions: ['exe', 'dll', 'sys', 'scr', 'cpl', 'ocx'], test: b => startsWith(b, 'MZ') },
+    { mime: 'application/x-executable', extensions: ['elf', 'so'], test: b => startsWith(b, [0x7f, 0x45, 0x4c, 0x46]) },
+    {
+        mime: 'application/x-mach-binary',
+        extensions: ['dylib'],
+        test: b => [[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe]].some(magic => startsWith(b, magic)),
+    },
+    { mime: 'text/x-shellscript', extensions: ['sh', 'bash', 'py', 'pl', 'rb'], optional: true, test: b => startsWith(b, '#!') },
+];
+
+// The format of a file from its leading bytes, or null when none of the signatures match
+function sniff(buffer) {
+    return SIGNATURES.find(signature => signature.test(buffer)) || null;
+}
+
+function getExtension(filename) {
+    return path.extname(String(filename || '')).slice(1).toLowerCase();
+}
+
+// Lowercased entries of a comma separated list, without leading dots on extensions
+function parseList(value) {
+    return String(value || '').split(',').map(entry => entry.trim().toLowerCase().replace(/^\./, '')).filter(Boolean);
+}
+
+// "image/png" matches "image/png" and "image/*"
+function matchesType(type, patterns) {
+    return patterns.some(pattern => (pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern));
+}
+
+function topLevelType(mime) {
+    return mime.split('/')[0];
+}
+
+function policyError(message) {
+    return { status_code: 415, body: `${message}\n` };
+}
+
+/**
+ * Which files the server accepts, by extension and MIME type. Empty allow lists allow everything,
+ * deny lists win over allow lists; MIME entries can be wildcards like `video/*`.
+ *
+ * `checkCreate(upload)` runs on upload creation against the filename and the `filetype` the client
+ * declares, and throws a tus 415 error. `checkContent(upload)` runs once the upload is finished and
+ * sniffs its leading bytes: the detected format must pass the same lists, and with `rejectMismatches`
+ * a file whose extension promises a known format must actually be in it (or at least in the same media
+ * family, so a .jpg that is really a PNG passes). It returns why the file should be quarantined, or null.
+ * Content without a known signature only fails for extensions that promise one.
+ */
+function createFileTypePolicy({
+    datastore,
+    allowedExtensions = '',
+    deniedExtensions = '',
+    allowedTypes = '',
+    deniedTypes = '',
+    rejectMismatches = true,
+}) {
+    const allowExtensions = parseList(allowedExtensions);
+    const denyExtensions = parseList(deniedExtensions);
+    const allowTypes = parseList(allowedTypes);
+    const denyTypes = parseList(deniedTypes);
+
+    // Why files with this extension are not accepted, or null
+    function checkExtension(extension) {
+        if (extension && denyExtensions.includes(extension)) {
+            return `.${extension} files are not allowed`;
+        }
+        if (allowExtensions.length > 0 && !allowExtensions.includes(extension)) {
+            return extension ? `.${extension} files are not allowed` : 'Files without an extension are not allowed';
+        }
+        return null;
+    }
+
+    // Why files of this MIME type are not accepted, or null
+    function checkType(type) {
+        if (type && matchesType(type, denyTypes)) {
+            return `Files of type ${type} are not allowed`;
+        }
+        if (allowTypes.length > 0 && !matchesType(type, allowTypes)) {
+            return type ? `Files of type ${type} are not allowed` : 'Files without a type are not allowed';
+        }
+        return null;
+    }
+
+    function checkCreate(upload) {
+        const metadata = upload.metadata || {};
+        const reason = checkExtension(getExtension(metadata.filename)) || checkType(String(metadata.filetype || '').toLowerCase());
+        if (reason) {
+            log.info(`Refused ${metadata.filename || upload.id}: ${reason}`);
+            throw policyError(reason);
+        }
+    }
+
+    async function readHead(upload) {
+        const end = Math.min(SNIFF_BYTES, upload.size) - 1;
+        if (end < 0) {
+            return Buffer.alloc(0);
+        }
+        const chunks = [];
+        for await (const chunk of await datastore.createReadStream(upload, { start: 0, end })) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    // Why the content of a file doesn't match its extension, or null
+    function checkMismatch(extension, detected) {
+        const expected = SIGNATURES.filter(signature => signature.extensions.includes(extension) && !signature.optional);
+        if (expected.length === 0 || (detected && expected.includes(detected))) {
+            return null;
+        }
+        if (!detected) {
+            return `The content is not a .${extension} file`;
+        }
+        const sameFamily = expected.some(signature => (
+            ['image', 'audio', 'video'].includes(topLevelType(signature.mime)) && topLevelType(signature.mime) === topLevelType(detected.mime)
+        ));
+        return sameFamily ? null : `The content is ${detected.mime}, which does not match its .${extension} extension`;
+    }
+
+    async function checkContent(upload) {
+        if (!upload.size) {
+            return null;
+        }
+        const metadata = upload.metadata || {};
+        const extension = getExtension(metadata.filename);
+        const detected = sniff(await readHead(upload));
+        if (detected) {
+            // Containers are allowed under the name of what they contain: a .docx is a ZIP file, but passes
+            // "application/vnd.openxmlformats-officedocument.wordprocessingml.document" like its declared type did
+            const deniedType = matchesType(detected.mime, denyTypes);
+            const notAllowedType = allowTypes.length > 0 && !matchesType(detected.mime, allowTypes) && !detected.extensions.includes(extension);
+            if (deniedType || notAllowedType) {
+                return `The content is ${detected.mime}, which is not allowed`;
+            }
+            // A denied format under another name, like an .exe renamed to .txt
+            const deniedExtension = detected.extensions.find(ext => denyExtensions.includes(ext));
+            if (deniedExtension) {
+                return `The content is ${detected.mime} (.${deniedExtension}), which is not allowed`;
+            }
+        }
+        return rejectMismatches && extension ? checkMismatch(extension, detected) : null;
+    }
+
+    function describe() {
+        const rules = [
+            allowExtensions.length > 0 && `extensions ${allowExtensions.join(', ')}`,
+            allowTypes.length > 0 && `types ${allowTypes.join(', ')}`,
+        ].filter(Boolean);
+        const denied = [...denyExtensions.map(ext => `.${ext}`), ...denyTypes];
+        return [
+            rules.length > 0 ? `only ${rules.join(' and ')}` : 'any type',
+            denied.length > 0 ? `denied: ${denied.join(', ')}` : null,
+            rejectMismatches ? 'content must match the extension' : null,
+        ].filter(Boolean).join(', ');
+    }
+
+    return { checkCreate, checkContent, describe };
+}
+
+module.exports = { createFileTypePolicy, sniff };
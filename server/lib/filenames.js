@@ -0,0 +1,41 @@
+// Control characters, and the bidi overrides that make "invoice\u202Efdp.exe" show up as "invoiceexe.pdf"
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u202a-\u202e\u2066-\u2069]/g;
+
+// Characters RFC 5987 allows unencoded in filename*; encodeURIComponent leaves a few more alone
+const NOT_ATTR_CHAR = /['()*]/g;
+
+/**
+ * The filename a client sent, as users will see it again: NFC normalized (macOS sends decomposed
+ * accents), without control characters and with path separators replaced. Null when nothing is left.
+ */
+function cleanFilename(name) {
+    const cleaned = String(name).normalize('NFC').replace(UNSAFE_CHARACTERS, '').replace(/[/\\]/g, '_').trim();
+    return cleaned && cleaned !== '.' && cleaned !== '..' ? cleaned : null;
+}
+
+// The same for a path inside a dropped folder: "Fotos/Sommer 2025/IMG_0001.jpg", never leaving it
+function cleanRelativePath(relativePath) {
+    const segments = String(relativePath).normalize('NFC').replace(UNSAFE_CHARACTERS, '')
+        .split(/[/\\]/)
+        .map(segment => segment.trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..');
+    return segments.length > 0 ? segments.join('/') : null;
+}
+
+/**
+ * Content-Disposition for a file of any name (RFC 6266). Browsers use the exact UTF-8 name in
+ * filename* (RFC 5987), older clients the ASCII approximation in filename: "Résumé.pdf" -> "Resume.pdf".
+ */
+function contentDisposition(filename, type = 'attachment') {
+    const fallback = filename.normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7e]|["\\%]/g, '_');
+    if (fallback === filename) {
+        return `${type}; filename="${filename}"`;
+    }
+    const encoded = encodeURIComponent(filename)
+        .replace(NOT_ATTR_CHAR, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = { cleanFilename, cleanRelativePath, contentDisposition };
@@ -0,0 +1,138 @@
+const { ERRORS } = require('@tus/server');
+const { isUploadComplete } = require('./download');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Janitor');
+
+// Last time bytes were written to the upload, falling back to its creation date
+async function getLastActivity(datastore, upload) {
+    try {
+        const stats = await datastore.statUpload(upload);
+        return stats.mtime.getTime();
+    } catch (error) {
+        return upload.creation_date ? Date.parse(upload.creation_date) : 0;
+    }
+}
+
+/**
+ * Background cleanup of the upload storage.
+ *
+ * - Incomplete uploads are removed once nobody has written to them for `incompleteTtlMs`.
+ *   This matches the `Upload-Expires` header we send: every request pushes the expiry forward.
+ * - Finished uploads are removed `retentionMs` after they completed.
+ * - Metadata whose file has disappeared is dropped.
+ *
+ * A TTL of 0 disables that rule. `onRemove(upload, reason)` is called for every removed upload.
+ */
+function createJanitor({ datastore, incompleteTtlMs, retentionMs, intervalMs, onRemove = () => {} }) {
+    let timer = null;
+    let running = null;
+    let lastRun = null;
+
+    async function removeUpload(upload, reason) {
+        await datastore.remove(upload.id);
+        await onRemove(upload, reason);
+    }
+
+    async function runOnce() {
+        const now = Date.now();
+        const report = {
+            startedAt: new Date(now).toISOString(),
+            finishedAt: null,
+            scanned: 0,
+            removedIncomplete: 0,
+            removedExpired: 0,
+            removedOrphaned: 0,
+            reclaimedBytes: 0,
+            errors: 0,
+        };
+
+        const ids = await datastore.listUploadIds();
+        for (const id of ids) {
+            report.scanned += 1;
+            try {
+                let upload;
+                try {
+                    upload = await datastore.getUpload(id);
+                } catch (error) {
+                    if (error === ERRORS.FILE_NO_LONGER_EXISTS) {
+                        await datastore.removeMetadata(id);
+                        report.removedOrphaned += 1;
+                        log.info(`Removed metadata of missing file ${id}`, { uploadId: id });
+                    }
+                    continue;
+                }
+
+                const lastActivity = await getLastActivity(datastore, upload);
+                if (!isUploadComplete(upload)) {
+                    if (incompleteTtlMs > 0 && now - lastActivity > incompleteTtlMs) {
+                        await removeUpload(upload, 'abandoned');
+                        report.removedIncomplete += 1;
+                        report.reclaimedBytes += upload.offset;
+                        log.info(`Removed abandoned upload ${id} (${upload.offset}/${upload.size ?? '?'} bytes, idle since ${new Date(lastActivity).toISOString()})`, { uploadId: id });
+                    }
+                } else if (retentionMs > 0 && now - lastActivity > retentionMs) {
+                    await removeUpload(upload, 'expired');
+                    report.removedExpired += 1;
+                    report.reclaimedBytes += upload.size;
+                    log.info(`Removed expired upload ${id} (${upload.size} bytes, finished ${new Date(lastActivity).toISOString()})`, { uploadId: id });
+                }
+            } catch (error) {
+                report.errors += 1;
+                log.error(`Failed to clean up ${id}`, { uploadId: id, error });
+            }
+        }
+
+        report.finishedAt = new Date().toISOString();
+        lastRun = report;
+        const removed = report.removedIncomplete + report.removedExpired + report.removedOrphaned;
+        log.info(`Scanned ${report.scanned} uploads, removed ${removed}, reclaimed ${(report.reclaimedBytes / (1024 * 1024)).toFixed(1)} MB`, { scanned: report.scanned, removed, reclaimedBytes: report.reclaimedBytes });
+        return report;
+    }
+
+    // Never run two passes at once; a manual run while one is in progress joins it
+    function run() {
+        if (!running) {
+            running = runOnce().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    function start() {
+        if (intervalMs <= 0 || timer) {
+            return;
+        }
+        timer = setInterval(() => {
+            run().catch(error => log.error('Cleanup run failed', error));
+        }, intervalMs);
+        // Don't keep the process alive just for cleanup
+        timer.unref();
+        run().catch(error => log.error('Cleanup run failed', error));
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    // When an incomplete upload will be removed if nothing else is written to it
+    function getIncompleteExpiry(fromTime = Date.now()) {
+        return incompleteTtlMs > 0 ? new Date(fromTime + incompleteTtlMs) : null;
+    }
+
+    function getStatus() {
+        return {
+            running: !!running,
+            incompleteTtlMs,
+            retentionMs,
+            intervalMs,
+            lastRun,
+        };
+    }
+
+    return { start, stop, run, getStatus, getIncompleteExpiry };
+}
+
+module.exports = { createJanitor };
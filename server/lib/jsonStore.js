@@ -0,0 +1,52 @@
+const fs = require('fs');
+const { createLogger } = require('./logger');
+
+const log = createLogger('JsonStore');
+
+/**
+ * A small persistent key/value collection backed by one JSON file.
+ * Everything is kept in memory; each change rewrites the file (write to a temp file, then rename)
+ * and writes are queued so they never interleave.
+ */
+function createJsonStore(filePath) {
+    let data = {};
+    if (fs.existsSync(filePath)) {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    let pendingWrite = Promise.resolve();
+
+    function save() {
+        const snapshot = JSON.stringify(data, null, 2);
+        const tmpPath = `${filePath}.tmp`;
+        pendingWrite = pendingWrite
+            .then(() => fs.promises.writeFile(tmpPath, snapshot))
+            .then(() => fs.promises.rename(tmpPath, filePath))
+            .catch(error => {
+                log.error(`Failed to write ${filePath}`, error);
+            });
+        return pendingWrite;
+    }
+
+    return {
+        get(key) {
+            return data[key];
+        },
+        set(key, value) {
+            data[key] = value;
+            return save();
+        },
+        delete(key) {
+            delete data[key];
+            return save();
+        },
+        values() {
+            return Object.values(data);
+        },
+        entries() {
+            return Object.entries(data);
+        },
+    };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['json', 'text'];
+
+const settings = { level: LEVELS.info, format: 'json' };
+// The request a log line belongs to, carried through everything the request awaits
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Logging for the whole server: `LOG_LEVEL` drops lines below it, `LOG_FORMAT` is `json` (one object per
+ * line, for log collectors) or `text` (for reading in a terminal). Called once at startup, loggers
+ * created before pick it up too.
+ */
+function configureLogging({ level = 'info', format = 'json' } = {}) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown LOG_LEVEL "${level}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown LOG_FORMAT "${format}", expected one of ${FORMATS.join(', ')}`);
+    }
+    settings.level = LEVELS[level];
+    settings.format = format;
+}
+
+// Errors, and the { status_code, body } objects tus uses as errors
+function serializeError(error) {
+    if (error instanceof Error) {
+        return { name: error.name, message: error.message, ...(error.code ? { code: error.code } : {}), stack: error.stack };
+    }
+    if (error && typeof error === 'object' && 'status_code' in error) {
+        return { message: String(error.body || '').trim(), status: error.status_code };
+    }
+    return { message: String(error) };
+}
+
+function toFields(fields) {
+    if (fields === undefined || fields === null) {
+        return {};
+    }
+    if (fields instanceof Error) {
+        return { error: serializeError(fields) };
+    }
+    return fields.error === undefined ? fields : { ...fields, error: serializeError(fields.error) };
+}
+
+function formatText(entry) {
+    const { time, level, component, msg, error, ...rest } = entry;
+    const details = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    const line = `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${details.length ? ` ${details.join(' ')}` : ''}`;
+    return error ? `${line}\n    ${error.stack || error.message}` : line;
+}
+
+function write(level, component, message, fields) {
+    if (LEVELS[level] < settings.level) {
+        return;
+    }
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        msg: message,
+        ...(context ? { requestId: context.requestId } : {}),
+        ...toFields(fields),
+    };
+    const line = settings.format === 'json' ? JSON.stringify(entry) : formatText(entry);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * A logger for one part of the server. Every method takes a message and optional fields, which end up
+ * as properties of the JSON line; an Error (or `fields.error`) is written with its stack.
+ */
+function createLogger(component) {
+    return {
+        debug: (message, fields) => write('debug', component, message, fields),
+        info: (message, fields) => write('info', component, message, fields),
+        warn: (message, fields) => write('warn', component, message, fields),
+        error: (message, fields) => write('error', component, message, fields),
+    };
+}
+
+// Ids a client or proxy may pass in X-Request-Id, anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Express middleware giving every request an id (the incoming X-Request-Id, or a new one), returned in
+ * X-Request-Id and attached to every line logged while the request is handled, and an access log line
+ * once the response is sent. Upload chunks (PATCH, HEAD) that succeed are logged at debug level.
+ */
+function requestLogging({ getClientIp = req => req.socket.remoteAddress } = {}) {
+    const log = createLogger('HTTP');
+    return (req, res, next) => {
+        const incoming = req.headers['x-request-id'];
+        req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.setHeader('X-Request-Id', req.id);
+
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            // Without the query, share download keys don't belong in logs
+            const path = req.originalUrl.split('?')[0];
+            const fields = {
+                requestId: req.id,
+                method: req.method,
+                path,
+                status: res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+                ip: getClientIp(req),
+                ...(req.user ? { user: req.user.username } : {}),
+            };
+            const routine = ['PATCH', 'HEAD'].includes(req.method) && res.statusCode < 400;
+            const level = res.statusCode >= 500 ? 'error' : routine ? 'debug' : 'info';
+            log[level](`${req.method} ${path} ${res.statusCode}`, fields);
+        });
+        requestContext.run({ requestId: req.id }, next);
+    };
+}
+
+// Background work that a request merely started (a queue moving on) shouldn't log under its id
+function runDetached(fn) {
+    return requestContext.exit(fn);
+}
+
+module.exports = { configureLogging, createLogger, requestLogging, runDetached };
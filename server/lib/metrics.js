@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Metrics');
+
+// Buckets of the PATCH latency histogram, in seconds; a 5MB chunk over a slow link takes a while
+const PATCH_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// Why an upload request failed, by status code
+const FAILURE_REASONS = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'offset_mismatch',
+    410: 'gone',
+    413: 'too_large',
+    415: 'file_type',
+    429: 'rate_limited',
+    460: 'checksum_mismatch',
+};
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function seriesKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Counters, gauges and histograms with labels, rendered in the Prometheus text format. `labelSets` are
+ * the series that exist from the start, so they report 0 instead of being missing. Collectors run
+ * before every render to set gauges that are read on demand.
+ */
+function createRegistry() {
+    const metrics = [];
+    const collectors = [];
+
+    function register(name, help, type, labelSets, createSeries, samples) {
+        const series = new Map();
+        const get = labels => {
+            const key = seriesKey(labels);
+            if (!series.has(key)) {
+                series.set(key, createSeries(labels));
+            }
+            return series.get(key);
+        };
+        labelSets.forEach(get);
+        metrics.push({ name, help, type, samples: () => [...series.values()].flatMap(samples) });
+        return get;
+    }
+
+    function counter(name, help, labelSets = [{}]) {
+        const get = register(name, help, 'counter', labelSets, labels => ({ labels, value: 0 }), entry => [{ name, ...entry }]);
+        return {
+            inc(labels = {}, amount = 1) {
+                get(labels).value += amount;
+            },
+        };
+    }
+
+    function gauge(name, help, labelSets = [{}]) {
+        const get = register(name, help, 'gauge', labelSets, labels => ({ labels, value: 0 }), entry => [{ name, ...entry }]);
+        return {
+            set(labels, value) {
+                get(labels).value = value;
+            },
+            inc(labels = {}, amount = 1) {
+                get(labels).value += amount;
+            },
+            dec(labels = {}, amount = 1) {
+                get(labels).value -= amount;
+            },
+        };
+    }
+
+    function histogram(name, help, buckets, labelSets = [{}]) {
+        const createSeries = labels => ({ labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const samples = ({ labels, counts, sum, count }) => [
+            ...buckets.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: String(bound) }, value: counts[index] })),
+            { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+            { name: `${name}_sum`, labels, value: sum },
+            { name: `${name}_count`, labels, value: count },
+        ];
+        const get = register(name, help, 'histogram', labelSets, createSeries, samples);
+        return {
+            observe(labels, value) {
+                const series = get(labels);
+                // Buckets are cumulative: a value counts in every bucket it fits
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) series.counts[index] += 1;
+                });
+                series.sum += value;
+                series.count += 1;
+            },
+        };
+    }
+
+    function addCollector(collect) {
+        collectors.push(collect);
+    }
+
+    async function render() {
+        for (const collect of collectors) {
+            try {
+                await collect();
+            } catch (error) {
+                log.error('A metrics collector failed', error);
+            }
+        }
+        return `${metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.samples().map(sample => `${sample.name}${formatLabels(sample.labels)} ${sample.value}`),
+        ].join('\n')).join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, addCollector, render };
+}
+
+/**
+ * The metrics DropSite exposes at /metrics. `getUsage()` returns what is stored (see quotas), the
+ * datastore reports the disk. `token`, when set, has to be sent as a Bearer token to read them.
+ */
+function createMetrics({ datastore, getUsage, token = '' }) {
+    const registry = createRegistry();
+
+    const uploadsCreated = registry.counter('dropsite_uploads_created_total', 'Uploads created');
+    const uploadsFinished = registry.counter('dropsite_uploads_finished_total', 'Uploads that received all their bytes and passed the file type checks');
+    const uploadFailures = registry.counter('dropsite_upload_failures_total', 'Failed upload requests and rejected finished uploads, by reason', []);
+    const bytesReceived = registry.counter('dropsite_upload_received_bytes_total', 'Upload bytes written to storage');
+    const downloads = registry.counter('dropsite_downloads_total', 'Downloads started, directly or through a share link', [{ via: 'direct' }, { via: 'share' }]);
+    const activeUploads = registry.gauge('dropsite_active_upload_requests', 'Upload PATCH requests in progress');
+    const patchDuration = registry.histogram('dropsite_patch_duration_seconds', 'Time to handle an upload PATCH request', PATCH_DURATION_BUCKETS);
+
+    const storedUploads = registry.gauge('dropsite_stored_uploads', 'Uploads in storage, by state', [{ state: 'complete' }, { state: 'incomplete' }]);
+    const storedBytes = registry.gauge('dropsite_stored_bytes', 'Bytes of all uploads in storage');
+    const pendingBytes = registry.gauge('dropsite_pending_bytes', 'Bytes unfinished uploads still have to send');
+    const diskFree = registry.gauge('dropsite_disk_free_bytes', 'Free space on the upload disk (file storage only)', []);
+    const diskTotal = registry.gauge('dropsite_disk_total_bytes', 'Size of the upload disk (file storage only)', []);
+
+    registry.addCollector(async () => {
+        const usage = await getUsage();
+        storedUploads.set({ state: 'complete' }, usage.uploadCount - usage.incompleteCount);
+        storedUploads.set({ state: 'incomplete' }, usage.incompleteCount);
+        storedBytes.set({}, usage.totalBytes - usage.pendingBytes);
+        pendingBytes.set({}, usage.pendingBytes);
+    });
+    registry.addCollector(async () => {
+        const disk = await datastore.getDiskUsage();
+        if (disk) {
+            diskFree.set({}, disk.freeBytes);
+            diskTotal.set({}, disk.totalBytes);
+        }
+    });
+
+    function recordFailure(reason) {
+        uploadFailures.inc({ reason });
+    }
+
+    /**
+     * Express middleware in front of the tus routes: PATCH latency and concurrency, bytes written
+     * (the Upload-Offset moved from request to response) and failed POST and PATCH requests.
+     */
+    function uploadMiddleware(req, res, next) {
+        const isPatch = req.method === 'PATCH';
+        const startedAt = process.hrtime.bigint();
+        if (isPatch) {
+            activeUploads.inc();
+        }
+
+        let done = false;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            if (isPatch) {
+                activeUploads.dec();
+                patchDuration.observe({}, Number(process.hrtime.bigint() - startedAt) / 1e9);
+            }
+            if (!['PATCH', 'POST'].includes(req.method)) {
+                return;
+            }
+            if (!res.writableFinished) {
+                return recordFailure('aborted');
+            }
+            if (res.statusCode >= 400) {
+                return recordFailure(FAILURE_REASONS[res.statusCode] || (res.statusCode >= 500 ? 'server_error' : 'client_error'));
+            }
+            // Final uploads of a parallel upload only join parts whose bytes were counted already
+            const isFinal = String(req.headers['upload-concat'] || '').startsWith('final');
+            const offset = parseInt(res.getHeader('Upload-Offset'), 10);
+            if (!isFinal && Number.isFinite(offset)) {
+                const start = isPatch ? parseInt(req.headers['upload-offset'], 10) || 0 : 0;
+                bytesReceived.inc({}, Math.max(0, offset - start));
+            }
+        };
+        res.on('finish', finish);
+        res.on('close', finish);
+        next();
+    }
+
+    function isAuthorized(req) {
+        if (!token) {
+            return true;
+        }
+        const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        const expected = Buffer.from(token);
+        const actual = Buffer.from(bearer ? bearer[1] : '');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    // GET /metrics
+    async function handler(req, res) {
+        if (!isAuthorized(req)) {
+            res.set('WWW-Authenticate', 'Bearer realm="DropSite metrics"');
+            return res.status(401).send('Authentication required\n');
+        }
+        res.type('text/plain; version=0.0.4').send(await registry.render());
+    }
+
+    return {
+        uploadMiddleware,
+        handler,
+        uploadCreated: () => uploadsCreated.inc(),
+        uploadFinished: () => uploadsFinished.inc(),
+        recordFailure,
+        recordDownload: (via) => downloads.inc({ via }),
+    };
+}
+
+module.exports = { createMetrics };
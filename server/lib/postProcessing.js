@@ -0,0 +1,375 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const { createLogger, runDetached } = require('./logger');
+
+const log = createLogger('PostProcessing');
+
+const PROCESSING_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    RETRYING: 'retrying',
+    DONE: 'done',
+    FAILED: 'failed',
+};
+
+// Failed runs are retried after 30 s, 1 min, 2 min, ...
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+// How much of a hook's output ends up in the upload record
+const OUTPUT_CHARS = 2000;
+// A command that ignores SIGTERM gets SIGKILL this long after it
+const KILL_GRACE_MS = 5 * 1000;
+
+function excerpt(text) {
+    const trimmed = String(text || '').trim();
+    return trimmed.length > OUTPUT_CHARS ? `...${trimmed.slice(-OUTPUT_CHARS)}` : trimmed || null;
+}
+
+// One path segment out of user-controlled text, no separators and no "." or ".."
+function toSegment(value, fallback) {
+    const segment = String(value || '').replace(/[/\\\0]/g, '_').replace(/^\.+/, '_').trim();
+    return segment || fallback;
+}
+
+/**
+ * Where a finished upload goes, e.g. "/srv/drops/{yyyy}/{mm}/{uploader}/{filename}". Placeholders:
+ * {yyyy} {mm} {dd} (the day it finished), {uploader}, {fileRequest}, {id} and {filename}.
+ */
+function expandTemplate(template, upload, date) {
+    const metadata = upload.metadata || {};
+    const values = {
+        yyyy: String(date.getFullYear()),
+        mm: String(date.getMonth() + 1).padStart(2, '0'),
+        dd: String(date.getDate()).padStart(2, '0'),
+        uploader: toSegment(metadata.uploader, 'anonymous'),
+        fileRequest: toSegment(metadata.fileRequest, 'direct'),
+        id: toSegment(upload.id, 'upload'),
+        filename: toSegment(metadata.filename, upload.id),
+    };
+    return path.resolve(template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match)));
+}
+
+// "report.pdf" is taken, try "report-1.pdf", "report-2.pdf", ...
+async function findFreePath(destination) {
+    const { dir, name, ext } = path.parse(destination);
+    for (let counter = 0; ; counter += 1) {
+        const candidate = counter === 0 ? destination : path.join(dir, `${name}-${counter}${ext}`);
+        try {
+            await fs.promises.lstat(candidate);
+        } catch (error) {
+            if (error.code === 'ENOENT') return candidate;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Runs `command` with /bin/sh, the file path as $1 and the upload in DROPSITE_* variables.
+ * Resolves with its output, rejects when it exits with another status than 0 or runs past `timeoutMs`.
+ */
+function runCommand(command, filePath, env, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        // Its own process group, so a timeout also ends whatever the command started
+        const child = spawn('/bin/sh', ['-c', command, 'dropsite-hook', filePath], {
+            env: { ...process.env, ...env },
+            stdio: ['ignore', 'pipe', 'pipe'],
+            detached: true,
+        });
+        let output = '';
+        const collect = data => {
+            output = (output + data.toString('utf8')).slice(-OUTPUT_CHARS * 2);
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        let timedOut = false;
+        const killGroup = signal => {
+            try {
+                process.kill(-child.pid, signal);
+            } catch (error) {
+                // Already gone
+            }
+        };
+        const timer = setTimeout(() => {
+            timedOut = true;
+            killGroup('SIGTERM');
+            setTimeout(() => killGroup('SIGKILL'), KILL_GRACE_MS).unref();
+        }, timeoutMs);
+
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(Object.assign(error, { output: excerpt(output) }));
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (code === 0 && !timedOut) {
+                return resolve(excerpt(output));
+            }
+            const reason = timedOut
+                ? `Did not finish within ${timeoutMs / 1000} s`
+                : code !== null ? `Exited with status ${code}` : `Killed by ${signal}`;
+            reject(Object.assign(new Error(reason), { output: excerpt(output) }));
+        });
+    });
+}
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Did not finish within ${timeoutMs / 1000} s`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Local actions for finished uploads, run in a worker queue of `concurrency` so the tus response never
+ * waits for them. Each run goes through the configured steps in order:
+ *
+ * 1. `moveTo`: move the file into a directory tree, see expandTemplate. With file storage the upload
+ *    keeps a symlink to its new place, S3 uploads are copied.
+ * 2. `command`: a shell command, see runCommand.
+ * 3. `modulePath`: a Node module exporting `async (file) => result`, with `file` as
+ *    `{ path, id, filename, size, sha256, uploader, fileRequest, metadata }`.
+ *
+ * A failing step fails the run, which is retried with backoff up to `maxAttempts` times; a file that was
+ * moved already stays where it is. The state lives in the upload record as `processing`, runs that were
+ * interrupted by a restart start over.
+ */
+function createPostProcessing({
+    datastore,
+    records,
+    moveTo = '',
+    command = '',
+    modulePath = '',
+    concurrency = 2,
+    maxAttempts = 3,
+    timeoutMs = 5 * 60 * 1000,
+}) {
+    // Loaded right away, so a broken module stops the server at startup instead of failing every upload
+    const handler = modulePath ? require(path.resolve(modulePath)) : null;
+    if (handler !== null && typeof handler !== 'function') {
+        throw new Error(`POST_UPLOAD_MODULE ${modulePath} must export a function`);
+    }
+
+    const queue = [];
+    const timers = new Map();
+    let running = 0;
+
+    function isEnabled() {
+        return !!(moveTo || command || handler);
+    }
+
+    function getState(id) {
+        return records.get(id).processing || null;
+    }
+
+    function setState(id, changes) {
+        const state = { ...getState(id), ...changes, updatedAt: new Date().toISOString() };
+        return records.update(id, { processing: state }).then(() => state);
+    }
+
+    // A local copy of an upload that has no local file, removed after the run
+    async function createTempCopy(upload) {
+        const tempPath = path.join(os.tmpdir(), `dropsite-${crypto.randomBytes(6).toString('hex')}-${toSegment(upload.id, 'upload')}`);
+        await pipeline(await datastore.createReadStream(upload), fs.createWriteStream(tempPath));
+        return tempPath;
+    }
+
+    async function runStep(steps, step, action) {
+        const startedAt = Date.now();
+        try {
+            const output = await action();
+            steps.push({ step, ok: true, output: excerpt(output), durationMs: Date.now() - startedAt });
+        } catch (error) {
+            steps.push({ step, ok: false, error: error.message, output: error.output || null, durationMs: Date.now() - startedAt });
+            throw error;
+        }
+    }
+
+    async function runSteps(upload, steps) {
+        const record = records.get(upload.id);
+        const metadata = upload.metadata || {};
+        let movedTo = (getState(upload.id) || {}).movedTo || null;
+
+        if (moveTo && !movedTo) {
+            await runStep(steps, 'move', async () => {
+                const destination = await findFreePath(expandTemplate(moveTo, upload, new Date()));
+                await datastore.moveTo(upload, destination);
+                movedTo = destination;
+                await setState(upload.id, { movedTo });
+                return destination;
+            });
+        }
+        if (!command && !handler) {
+            return;
+        }
+
+        let tempPath = null;
+        const filePath = movedTo || datastore.getLocalPath(upload) || (tempPath = await createTempCopy(upload));
+        const file = {
+            path: filePath,
+            id: upload.id,
+            filename: metadata.filename || upload.id,
+            size: upload.size,
+            sha256: record.sha256 || null,
+            uploader: metadata.uploader || null,
+            fileRequest: metadata.fileRequest || null,
+            metadata,
+        };
+        try {
+            if (command) {
+                await runStep(steps, 'command', () => runCommand(command, filePath, {
+                    DROPSITE_FILE: file.path,
+                    DROPSITE_UPLOAD_ID: file.id,
+                    DROPSITE_FILENAME: file.filename,
+                    DROPSITE_SIZE: String(file.size),
+                    DROPSITE_SHA256: file.sha256 || '',
+                    DROPSITE_UPLOADER: file.uploader || '',
+                    DROPSITE_FILE_REQUEST: file.fileRequest || '',
+                    DROPSITE_METADATA: JSON.stringify(metadata),
+                }, timeoutMs));
+            }
+            if (handler) {
+                await runStep(steps, 'module', async () => {
+                    const result = await withTimeout(Promise.resolve().then(() => handler(file)), timeoutMs);
+                    return result === undefined || typeof result === 'string' ? result : JSON.stringify(result);
+                });
+            }
+        } finally {
+            if (tempPath) {
+                await fs.promises.unlink(tempPath).catch(() => {});
+            }
+        }
+    }
+
+    async function run(id) {
+        let upload;
+        try {
+            upload = await datastore.getUpload(id);
+        } catch (error) {
+            // Deleted while it waited
+            return;
+        }
+        const previous = getState(id);
+        if (!previous) {
+            return;
+        }
+        const attempt = (previous.attempts || 0) + 1;
+        await setState(id, { status: PROCESSING_STATUS.RUNNING, attempts: attempt, startedAt: new Date().toISOString(), nextAttemptAt: null });
+
+        const steps = [];
+        let failure = null;
+        try {
+            await runSteps(upload, steps);
+        } catch (error) {
+            failure = error;
+        }
+        if (!getState(id)) {
+            // Deleted while it ran, its record is gone
+            return;
+        }
+
+        if (!failure) {
+            await setState(id, { status: PROCESSING_STATUS.DONE, steps, error: null, finishedAt: new Date().toISOString() });
+            log.info(`Processed ${id}${steps.length ? ` (${steps.map(step => step.step).join(', ')})` : ''}`, { uploadId: id });
+        } else if (attempt < maxAttempts) {
+            const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+            const state = await setState(id, {
+                status: PROCESSING_STATUS.RETRYING,
+                steps,
+                error: failure.message,
+                nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+            });
+            log.warn(`Attempt ${attempt} for ${id} failed: ${failure.message}, retrying in ${delay / 1000} s`, { uploadId: id });
+            scheduleRetry(id, state.nextAttemptAt);
+        } else {
+            await setState(id, { status: PROCESSING_STATUS.FAILED, steps, error: failure.message, finishedAt: new Date().toISOString() });
+            log.error(`Gave up on ${id} after ${attempt} attempts: ${failure.message}`, { uploadId: id });
+        }
+    }
+
+    function next() {
+        while (running < concurrency && queue.length > 0) {
+            const id = queue.shift();
+            running += 1;
+            runDetached(() => run(id))
+                .catch(error => log.error(`Failed to process ${id}`, { uploadId: id, error }))
+                .finally(() => {
+                    running -= 1;
+                    next();
+                });
+        }
+    }
+
+    function scheduleRetry(id, nextAttemptAt) {
+        clearTimeout(timers.get(id));
+        const timer = setTimeout(() => {
+            timers.delete(id);
+            if (!queue.includes(id)) {
+                queue.push(id);
+            }
+            next();
+        }, Math.max(0, Date.parse(nextAttemptAt) - Date.now()));
+        timer.unref();
+        timers.set(id, timer);
+    }
+
+    /**
+     * Queue a finished upload. Uploads that were processed already are left alone, unless `force` is set
+     * (an admin asked for another run); uploads that are queued or running already stay in line.
+     * Resolves with the new state, or null when nothing was queued.
+     */
+    async function enqueue(id, { force = false } = {}) {
+        if (!isEnabled()) return null;
+        const previous = getState(id);
+        if (previous && [PROCESSING_STATUS.QUEUED, PROCESSING_STATUS.RUNNING].includes(previous.status)) {
+            return null;
+        }
+        if (previous && !force) {
+            return null;
+        }
+        clearTimeout(timers.get(id));
+        timers.delete(id);
+        const state = await setState(id, {
+            status: PROCESSING_STATUS.QUEUED,
+            attempts: 0,
+            queuedAt: new Date().toISOString(),
+            nextAttemptAt: null,
+        });
+        queue.push(id);
+        next();
+        return state;
+    }
+
+    function start() {
+        if (!isEnabled()) return;
+        const interrupted = records.findIds(record => record.processing
+            && [PROCESSING_STATUS.QUEUED, PROCESSING_STATUS.RUNNING].includes(record.processing.status));
+        const waiting = records.findIds(record => record.processing && record.processing.status === PROCESSING_STATUS.RETRYING);
+        if (interrupted.length > 0) {
+            log.info(`Resuming ${interrupted.length} uploads interrupted by a restart`);
+            interrupted.forEach(id => queue.push(id));
+            next();
+        }
+        waiting.forEach(id => scheduleRetry(id, getState(id).nextAttemptAt));
+    }
+
+    function describe() {
+        if (!isEnabled()) {
+            return 'disabled';
+        }
+        const steps = [
+            moveTo && `move to ${moveTo}`,
+            command && `run "${command}"`,
+            handler && `call ${modulePath}`,
+        ].filter(Boolean);
+        return `${steps.join(', then ')}; ${concurrency} at a time, ${maxAttempts} attempts`;
+    }
+
+    return { enqueue, start, isEnabled, describe };
+}
+
+module.exports = { createPostProcessing, PROCESSING_STATUS };
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { findCompletedUpload, isValidUploadId } = require('./download');
+const { createLogger, runDetached } = require('./logger');
+
+const log = createLogger('Previews');
+
+// Thumbnails need the optional sharp package; without it images are previewed from the file itself
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    sharp = null;
+}
+
+// Types a browser may show from the file itself. Anything else is only ever sent as an attachment:
+// an uploaded HTML or SVG file would run its scripts on this origin.
+const INLINE_TYPES = [/^image\/(png|jpeg|gif|webp|avif|bmp)$/, /^video\//, /^audio\//, /^application\/pdf$/];
+
+// Images sharp turns into thumbnails
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/tiff'];
+
+// Larger images aren't worth decoding for a thumbnail
+const MAX_THUMBNAIL_SOURCE_BYTES = 100 * 1024 * 1024;
+
+// Text that doesn't say so in its type, and files uploaded without a type
+const TEXT_TYPES = [
+    'application/json', 'application/xml', 'application/javascript', 'application/x-sh', 'application/x-yaml',
+    'application/yaml', 'application/toml', 'application/sql', 'application/x-httpd-php', 'application/x-python',
+];
+const TEXT_EXTENSIONS = [
+    'txt', 'md', 'csv', 'tsv', 'log', 'json', 'xml', 'yml', 'yaml', 'toml', 'ini', 'conf', 'cfg', 'env', 'sql',
+    'html', 'css', 'scss', 'js', 'jsx', 'ts', 'tsx', 'mjs', 'cjs', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h',
+    'cpp', 'hpp', 'cs', 'php', 'sh', 'bash', 'ps1', 'swift', 'lua', 'pl', 'r', 'dockerfile', 'diff', 'patch',
+];
+
+function getType(upload) {
+    const metadata = upload.metadata || {};
+    return String(metadata.filetype || '').split(';')[0].trim().toLowerCase();
+}
+
+function getExtension(upload) {
+    const filename = (upload.metadata && upload.metadata.filename) || '';
+    const dot = filename.lastIndexOf('.');
+    return dot >= 0 ? filename.slice(dot + 1).toLowerCase() : filename.toLowerCase();
+}
+
+function isTextUpload(upload) {
+    const type = getType(upload);
+    return type.startsWith('text/') || TEXT_TYPES.includes(type)
+        || ((!type || type === 'application/octet-stream') && TEXT_EXTENSIONS.includes(getExtension(upload)));
+}
+
+/**
+ * What the preview page at /view/:id shows for finished uploads, based on their `filetype`:
+ *
+ * - `image` a thumbnail (`thumbnailSize` pixels on the longer edge, made once the upload is accepted and
+ *   stored in `directory`), or the image itself while there is none
+ * - `video`, `audio` and `pdf` the file, streamed with Range requests to the browser's own player or viewer
+ * - `text` the file with syntax highlighting, up to `maxTextBytes`
+ *
+ * Encrypted uploads and everything else only get a download button. `canView(req, upload)` and
+ * `getRestriction(req, upload)` decide access like they do for downloads. Share pages show the same
+ * preview through `getPreviewLinks` and `sendThumbnail`, with the share link's own access checks.
+ */
+function createPreviews({
+    datastore,
+    records,
+    directory,
+    thumbnailSize = 320,
+    maxTextBytes = 1024 * 1024,
+    canView = () => true,
+    getRestriction = () => null,
+}) {
+    const queue = [];
+    let running = false;
+
+    function getPreviewKind(upload) {
+        if (upload.metadata && upload.metadata.encryption) {
+            return null;
+        }
+        const type = getType(upload);
+        if (type.startsWith('image/')) {
+            return getInlineType(upload) || hasThumbnail(upload.id) ? 'image' : null;
+        }
+        if (type.startsWith('video/')) return 'video';
+        if (type.startsWith('audio/')) return 'audio';
+        if (type === 'application/pdf') return 'pdf';
+        if (isTextUpload(upload)) {
+            return upload.size <= maxTextBytes ? 'text' : null;
+        }
+        return null;
+    }
+
+    // Content-Type to show the upload in the browser with, null when it is only sent as an attachment
+    function getInlineType(upload) {
+        if (upload.metadata && upload.metadata.encryption) {
+            return null;
+        }
+        const type = getType(upload);
+        if (INLINE_TYPES.some(pattern => pattern.test(type))) {
+            return type;
+        }
+        // As plain text, so an .html file shows its source instead of running
+        return isTextUpload(upload) ? 'text/plain; charset=utf-8' : null;
+    }
+
+    function thumbnailPath(id) {
+        return path.join(directory, `${id}.webp`);
+    }
+
+    function hasThumbnail(id) {
+        return fs.existsSync(thumbnailPath(id));
+    }
+
+    function needsThumbnail(upload) {
+        return sharp !== null && THUMBNAIL_TYPES.includes(getType(upload)) && upload.size <= MAX_THUMBNAIL_SOURCE_BYTES
+            && !(upload.metadata && upload.metadata.encryption) && !hasThumbnail(upload.id);
+    }
+
+    async function generate(id) {
+        let upload;
+        try {
+            upload = await datastore.getUpload(id);
+        } catch (error) {
+            // Deleted while it waited
+            return;
+        }
+        if (!needsThumbnail(upload)) {
+            return;
+        }
+        await fs.promises.mkdir(directory, { recursive: true });
+        const target = thumbnailPath(id);
+        const tmpPath = `${target}.tmp`;
+        const resize = sharp({ failOn: 'error' })
+            .rotate() // upright, as the EXIF orientation says
+            .resize(thumbnailSize, thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 80 });
+        try {
+            await pipeline(await datastore.createReadStream(upload), resize, fs.createWriteStream(tmpPath));
+            await fs.promises.rename(tmpPath, target);
+            log.info(`Made a thumbnail of ${id}`, { uploadId: id });
+        } catch (error) {
+            await fs.promises.unlink(tmpPath).catch(() => {});
+            log.warn(`Failed to make a thumbnail of ${id}: ${error.message}`, { uploadId: id });
+        }
+    }
+
+    // Thumbnails are made one at a time, they take a core while they are decoded
+    function next() {
+        if (running || queue.length === 0) return;
+        const id = queue.shift();
+        running = true;
+        runDetached(() => generate(id))
+            .catch(error => log.error(`Failed to make a thumbnail of ${id}`, { uploadId: id, error }))
+            .finally(() => {
+                running = false;
+                next();
+            });
+    }
+
+    // Called once a finished upload is accepted (and clean); uploads that aren't images are skipped
+    function queueThumbnail(id) {
+        if (sharp !== null && !queue.includes(id)) {
+            queue.push(id);
+            next();
+        }
+    }
+
+    async function removeThumbnail(id) {
+        if (!isValidUploadId(id)) return;
+        await fs.promises.unlink(thumbnailPath(id)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+
+    // The upload behind /view/:id, or null once an error was sent
+    async function resolveUpload(req, res, sendError) {
+        const { upload, error } = await findCompletedUpload(datastore, req.params.id);
+        if (error) {
+            sendError(error.status, error.message);
+            return null;
+        }
+        if (!canView(req, upload)) {
+            sendError(403, 'You do not have access to this file');
+            return null;
+        }
+        const restriction = getRestriction(req, upload);
+        if (restriction) {
+            sendError(restriction.status, restriction.message);
+            return null;
+        }
+        return upload;
+    }
+
+    /**
+     * The kind of preview `upload` gets and where the page loads it from: `downloadUrl` with `inline` added
+     * serves the file itself, `thumbnailUrl` the thumbnail once there is one.
+     */
+    function getPreviewLinks(upload, { downloadUrl, thumbnailUrl }) {
+        const preview = getPreviewKind(upload);
+        if (preview === 'image' && needsThumbnail(upload)) {
+            // The server restarted before it got to it, or the upload is older than thumbnails
+            queueThumbnail(upload.id);
+        }
+        return {
+            preview,
+            contentUrl: preview ? `${downloadUrl}${downloadUrl.includes('?') ? '&' : '?'}inline` : null,
+            thumbnailUrl: preview === 'image' && hasThumbnail(upload.id) ? thumbnailUrl : null,
+        };
+    }
+
+    // GET /api/uploads/:id/preview - what the preview page shows
+    async function info(req, res) {
+        const upload = await resolveUpload(req, res, (status, message) => res.status(status).json({ error: message }));
+        if (!upload) return;
+
+        const metadata = upload.metadata || {};
+        const downloadUrl = `/d/${encodeURIComponent(upload.id)}`;
+        res.json({
+            id: upload.id,
+            filename: metadata.filename || upload.id,
+            filetype: metadata.filetype || null,
+            size: upload.size,
+            sha256: records.get(upload.id).sha256 || null,
+            createdAt: upload.creation_date || null,
+            encrypted: !!metadata.encryption,
+            ...getPreviewLinks(upload, { downloadUrl, thumbnailUrl: `${downloadUrl}/thumbnail` }),
+            downloadUrl,
+        });
+    }
+
+    // The thumbnail of an upload the requester may see
+    function sendThumbnail(req, res, upload) {
+        if (!hasThumbnail(upload.id)) {
+            return res.status(404).send('No thumbnail for this file');
+        }
+        res.sendFile(path.resolve(thumbnailPath(upload.id)), {
+            headers: { 'Content-Type': 'image/webp', 'Cache-Control': 'private, max-age=86400' },
+        });
+    }
+
+    // GET /d/:id/thumbnail
+    async function thumbnail(req, res) {
+        const upload = await resolveUpload(req, res, (status, message) => res.status(status).send(message));
+        if (!upload) return;
+        sendThumbnail(req, res, upload);
+    }
+
+    function describe() {
+        const thumbnails = sharp ? `thumbnails up to ${thumbnailSize} px in ${directory}` : 'no thumbnails (install sharp)';
+        return `${thumbnails}, text up to ${Math.round(maxTextBytes / 1024)} KB`;
+    }
+
+    return { info, thumbnail, getInlineType, getPreviewLinks, sendThumbnail, queueThumbnail, removeThumbnail, describe };
+}
+
+module.exports = { createPreviews };
@@ -0,0 +1,140 @@
+const { createLogger } = require('./logger');
+
+const log = createLogger('Quotas');
+
+// A storage scan is reused this long; creations in between are added to it as they pass
+const USAGE_CACHE_MS = 30 * 1000;
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${bytes} bytes`;
+}
+
+function quotaError(message) {
+    return { status_code: 413, body: `${message}\n` };
+}
+
+/**
+ * Storage limits checked when an upload is created, against the size it declares in Upload-Length:
+ *
+ * - `globalQuotaBytes` for everything stored, `userQuotaBytes` for the uploads of one user
+ *   (`getUserQuota(username)` may override it per user). 0 means unlimited.
+ * - `minFreeBytes` that must stay free on the upload disk, counting the bytes unfinished uploads
+ *   still have to send. Skipped on storage without a disk (S3).
+ *
+ * Uploads count against the quota of their `uploader` metadata.
+ * Unfinished uploads count with their full declared size, so a thousand uploads that were started
+ * but never sent can't get around the quota. Violations are rejected with 413 and a message for the user.
+ */
+function createQuotas({ datastore, userQuotaBytes = 0, globalQuotaBytes = 0, minFreeBytes = 0, getUserQuota = () => undefined }) {
+    let usage = null;
+    let queue = Promise.resolve();
+
+    async function scan() {
+        const result = { scannedAt: Date.now(), uploadCount: 0, incompleteCount: 0, totalBytes: 0, pendingBytes: 0, byUser: new Map() };
+        for (const id of await datastore.listUploadIds()) {
+            let upload;
+            try {
+                upload = await datastore.getUpload(id);
+            } catch (error) {
+                continue;
+            }
+            const bytes = upload.size ?? upload.offset;
+            const uploader = upload.metadata && upload.metadata.uploader;
+            result.uploadCount += 1;
+            result.incompleteCount += upload.offset === bytes ? 0 : 1;
+            result.totalBytes += bytes;
+            result.pendingBytes += bytes - upload.offset;
+            if (uploader) {
+                result.byUser.set(uploader, (result.byUser.get(uploader) || 0) + bytes);
+            }
+        }
+        return result;
+    }
+
+    async function getUsage() {
+        if (!usage || Date.now() - usage.scannedAt > USAGE_CACHE_MS) {
+            usage = await scan();
+        }
+        return usage;
+    }
+
+    function getQuotaFor(username) {
+        const quota = getUserQuota(username);
+        return quota === undefined || quota === null ? userQuotaBytes : quota;
+    }
+
+    async function checkDiskSpace(size, pendingBytes) {
+        if (!(minFreeBytes > 0)) {
+            return;
+        }
+        const disk = await datastore.getDiskUsage();
+        if (disk && disk.freeBytes - pendingBytes - size < minFreeBytes) {
+            log.warn(`Refused ${formatBytes(size)} upload, ${formatBytes(disk.freeBytes)} free and ${formatBytes(pendingBytes)} still to arrive`, { size, freeBytes: disk.freeBytes, pendingBytes });
+            throw quotaError('The server is running out of disk space and cannot accept this upload right now');
+        }
+    }
+
+    async function checkNow(req, upload) {
+        const size = upload.size;
+        // Whoever the upload will be stored for, which is not always who sends it (file requests)
+        const username = (upload.metadata && upload.metadata.uploader) || null;
+        const userQuota = username ? getQuotaFor(username) : 0;
+        if (!(globalQuotaBytes > 0 || userQuota > 0 || minFreeBytes > 0)) {
+            return;
+        }
+        if (typeof size !== 'number') {
+            throw { status_code: 400, body: 'Uploads must declare their size (Upload-Length) on this server\n' };
+        }
+
+        // The parts of a final upload were counted when they were created, only the copy needs room
+        if (req.uploadConcat === 'final') {
+            return checkDiskSpace(size, 0);
+        }
+
+        const current = await getUsage();
+        const userBytes = username ? current.byUser.get(username) || 0 : 0;
+        if (userQuota > 0 && userBytes + size > userQuota) {
+            log.info(`Refused ${formatBytes(size)} upload of ${username}, ${formatBytes(userBytes)} of ${formatBytes(userQuota)} in use`, { user: username, size, usedBytes: userBytes, quotaBytes: userQuota });
+            throw quotaError(`This upload (${formatBytes(size)}) exceeds your storage quota: ${formatBytes(userBytes)} of ${formatBytes(userQuota)} in use`);
+        }
+        if (globalQuotaBytes > 0 && current.totalBytes + size > globalQuotaBytes) {
+            log.warn(`Refused ${formatBytes(size)} upload, ${formatBytes(current.totalBytes)} of ${formatBytes(globalQuotaBytes)} in use`, { size, usedBytes: current.totalBytes, quotaBytes: globalQuotaBytes });
+            throw quotaError(`This upload (${formatBytes(size)}) exceeds the storage space of the server: ${formatBytes(current.totalBytes)} of ${formatBytes(globalQuotaBytes)} in use`);
+        }
+        await checkDiskSpace(size, current.pendingBytes);
+
+        current.uploadCount += 1;
+        current.incompleteCount += 1;
+        current.totalBytes += size;
+        current.pendingBytes += size;
+        if (username) {
+            current.byUser.set(username, userBytes + size);
+        }
+    }
+
+    // Checks run one at a time so concurrent creations can't both squeeze into the same space
+    function check(req, upload) {
+        const result = queue.then(() => checkNow(req, upload));
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    // Uploads were removed, rescan before the next check
+    function invalidate() {
+        usage = null;
+    }
+
+    function describe() {
+        return [
+            userQuotaBytes > 0 ? `${formatBytes(userQuotaBytes)} per user` : 'unlimited per user',
+            globalQuotaBytes > 0 ? `${formatBytes(globalQuotaBytes)} in total` : 'unlimited in total',
+            minFreeBytes > 0 ? `${formatBytes(minFreeBytes)} of disk kept free` : 'no free disk margin',
+        ].join(', ');
+    }
+
+    return { check, invalidate, getUsage, describe };
+}
+
+module.exports = { createQuotas };
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const net = require('net');
+const { createLogger } = require('./logger');
+
+const log = createLogger('RateLimits');
+
+// Idle buckets are dropped this often so the maps don't grow with every address ever seen
+const PRUNE_INTERVAL_MS = 60 * 1000;
+// What a client over the concurrency limit is told to wait
+const CONCURRENCY_RETRY_AFTER_SECONDS = 5;
+
+function normalizeIp(address) {
+    const ip = String(address || '').trim();
+    // IPv4 clients of a dual-stack socket show up as ::ffff:a.b.c.d
+    if (ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7))) {
+        return ip.slice(7);
+    }
+    // Forwarded headers may carry the client port, a.b.c.d:port
+    const withPort = /^(\d+\.\d+\.\d+\.\d+):\d+$/.exec(ip);
+    return withPort ? withPort[1] : ip;
+}
+
+/**
+ * Address of the client behind a request, by default the one the connection comes from. Behind
+ * `trustedProxies` reverse proxies it is the address the outermost of them added to `X-Forwarded-For`,
+ * counted from the right like Express' `trust proxy`: clients can send the header with anything in it,
+ * only what the proxies appended after that is true.
+ */
+function getClientIp(req, trustedProxies = 0) {
+    // Nearest first: the connection, then each address a proxy says it was connected to
+    const chain = [req.socket.remoteAddress];
+    if (trustedProxies > 0 && req.headers['x-forwarded-for']) {
+        chain.push(...req.headers['x-forwarded-for'].split(',').map(address => address.trim()).filter(Boolean).reverse());
+    }
+    return normalizeIp(chain[Math.min(trustedProxies, chain.length - 1)]);
+}
+
+// Addresses and CIDR ranges ("10.0.0.0/8", "2001:db8::/32"), as a net.BlockList or null when empty
+function parseAddressList(entries, source) {
+    const list = new net.BlockList();
+    let count = 0;
+    for (const entry of entries) {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+        if (!family) {
+            log.warn(`Ignoring invalid address '${entry}' in ${source}`);
+            continue;
+        }
+        if (prefix === undefined) {
+            list.addAddress(address, family);
+        } else {
+            list.addSubnet(address, parseInt(prefix, 10), family);
+        }
+        count += 1;
+    }
+    return count > 0 ? list : null;
+}
+
+function splitList(value) {
+    return String(value || '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * An address list from a comma separated env value plus an optional file with one entry per line
+ * (`#` starts a comment). The file is re-read when it changes.
+ */
+function createAddressList({ value, file, name }) {
+    const fromEnv = splitList(value);
+    let fileMtime = null;
+    let list = parseAddressList(fromEnv, name);
+
+    function load() {
+        if (!file) {
+            return list;
+        }
+        let mtime = null;
+        try {
+            mtime = fs.statSync(file).mtimeMs;
+        } catch (error) {
+            // Missing file means no entries from it
+        }
+        if (mtime === fileMtime) {
+            return list;
+        }
+        try {
+            const lines = mtime === null ? [] : fs.readFileSync(file, 'utf8').split('\n').map(line => line.replace(/#.*/, '').trim());
+            list = parseAddressList([...fromEnv, ...splitList(lines.join(' '))], `${name} (${file})`);
+            fileMtime = mtime;
+        } catch (error) {
+            log.error(`Failed to read ${file}: ${error.message}`);
+        }
+        return list;
+    }
+
+    return {
+        isEmpty: () => load() === null,
+        includes(ip) {
+            const current = load();
+            return !!current && current.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+        },
+    };
+}
+
+// Token buckets per key: `capacity` requests at once, refilled over `windowMs`
+function createKeyedBuckets({ capacity, windowMs }) {
+    const buckets = new Map();
+    const refillPerMs = capacity / windowMs;
+
+    function get(key) {
+        const now = Date.now();
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: capacity, updatedAt: now };
+            buckets.set(key, bucket);
+        }
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    return {
+        // Seconds until `key` has a token again, 0 when it has one now
+        retryAfter(key) {
+            const bucket = get(key);
+            return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+        },
+        take(key) {
+            get(key).tokens -= 1;
+        },
+        prune() {
+            const now = Date.now();
+            for (const [key, bucket] of buckets) {
+                if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= capacity) {
+                    buckets.delete(key);
+                }
+            }
+        },
+    };
+}
+
+function sendTooManyRequests(req, res, retryAfterSeconds, message) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    if (req.originalUrl.startsWith('/api/')) {
+        return res.status(429).json({ error: message });
+    }
+    res.set('Tus-Resumable', '1.0.0');
+    return res.status(429).send(`${message}\n`);
+}
+
+/**
+ * Per-IP abuse protection. 0 disables a limit.
+ *
+ * - `creationsPerMinute` upload creations (POST /files) per address, as a token bucket so a folder of
+ *   small files can go up in one burst.
+ * - `maxConcurrentRequests` upload requests (POST and PATCH) an address can have running at once.
+ * - `maxFailedAuth` rejected credentials (401, and 403 from guarded routes) per address within
+ *   `failedAuthWindowMs`; after that the guarded routes answer 429 until the window has passed.
+ * - `denylist` addresses are refused everywhere (403), with an `allowlist` only those addresses may upload.
+ *
+ * Everything over a limit gets 429 with Retry-After. Addresses are read as getClientIp does with
+ * `trustedProxies`.
+ */
+function createRateLimits({
+    trustedProxies = 0,
+    creationsPerMinute = 0,
+    maxConcurrentRequests = 0,
+    maxFailedAuth = 0,
+    failedAuthWindowMs = 15 * 60 * 1000,
+    allowlist = {},
+    denylist = {},
+}) {
+    const creations = creationsPerMinute > 0 ? createKeyedBuckets({ capacity: creationsPerMinute, windowMs: 60 * 1000 }) : null;
+    const authFailures = maxFailedAuth > 0 ? createKeyedBuckets({ capacity: maxFailedAuth, windowMs: failedAuthWindowMs }) : null;
+    const activeRequests = new Map();
+    const allowed = createAddressList({ ...allowlist, name: 'IP_ALLOWLIST' });
+    const denied = createAddressList({ ...denylist, name: 'IP_DENYLIST' });
+
+    const pruneTimer = setInterval(() => {
+        if (creations) creations.prune();
+        if (authFailures) authFailures.prune();
+    }, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+
+    function clientIp(req) {
+        if (req.clientIp === undefined) {
+            req.clientIp = getClientIp(req, trustedProxies);
+        }
+        return req.clientIp;
+    }
+
+    // Every request: denied addresses get nothing
+    function ipFilter(req, res, next) {
+        const ip = clientIp(req);
+        if (denied.includes(ip)) {
+            log.info(`Refused ${req.method} ${req.originalUrl.split('?')[0]} from denied address ${ip}`, { ip });
+            return res.status(403).send('Forbidden\n');
+        }
+        next();
+    }
+
+    // Login and credential checks: stop counting guesses once an address has failed too often
+    function authGuard(req, res, next) {
+        if (!authFailures) {
+            return next();
+        }
+        const ip = clientIp(req);
+        const retryAfter = authFailures.retryAfter(ip);
+        if (retryAfter > 0) {
+            return sendTooManyRequests(req, res, retryAfter, 'Too many failed sign-in attempts, try again later');
+        }
+        res.on('finish', () => {
+            if (res.statusCode === 401 || res.statusCode === 403) {
+                authFailures.take(ip);
+                if (authFailures.retryAfter(ip) > 0) {
+                    log.warn(`${ip} failed authentication ${maxFailedAuth} times, blocked for ${authFailures.retryAfter(ip)} s`, { ip });
+                }
+            }
+        });
+        next();
+    }
+
+    // The tus endpoint: allowlist, creation rate and concurrent requests
+    function uploadLimits(req, res, next) {
+        const ip = clientIp(req);
+        if (!allowed.isEmpty() && !allowed.includes(ip)) {
+            log.info(`Refused upload request from ${ip}, not on the allowlist`, { ip });
+            res.set('Tus-Resumable', '1.0.0');
+            return res.status(403).send('Uploads are not allowed from your network\n');
+        }
+        if (req.method !== 'POST' && req.method !== 'PATCH') {
+            return next();
+        }
+
+        if (req.method === 'POST' && creations) {
+            const retryAfter = creations.retryAfter(ip);
+            if (retryAfter > 0) {
+                log.info(`${ip} is creating uploads too fast, retry after ${retryAfter} s`, { ip });
+                return sendTooManyRequests(req, res, retryAfter, 'Too many uploads started, slow down');
+            }
+            creations.take(ip);
+        }
+
+        if (maxConcurrentRequests > 0) {
+            const active = activeRequests.get(ip) || 0;
+            if (active >= maxConcurrentRequests) {
+                return sendTooManyRequests(req, res, CONCURRENCY_RETRY_AFTER_SECONDS, 'Too many uploads running at the same time');
+            }
+            activeRequests.set(ip, active + 1);
+            let released = false;
+            const release = () => {
+                if (released) return;
+                released = true;
+                const remaining = activeRequests.get(ip) - 1;
+                if (remaining > 0) {
+                    activeRequests.set(ip, remaining);
+                } else {
+                    activeRequests.delete(ip);
+                }
+            };
+            res.on('close', release);
+            res.on('finish', release);
+        }
+        next();
+    }
+
+    function describe() {
+        const limits = [
+            creationsPerMinute > 0 ? `${creationsPerMinute} uploads/min` : 'unlimited uploads/min',
+            maxConcurrentRequests > 0 ? `${maxConcurrentRequests} concurrent upload requests` : 'unlimited concurrent upload requests',
+            maxFailedAuth > 0 ? `${maxFailedAuth} failed sign-ins per ${Math.round(failedAuthWindowMs / 60000)} min` : 'unlimited failed sign-ins',
+        ];
+        const addresses = trustedProxies > 0 ? `X-Forwarded-For behind ${trustedProxies} ${trustedProxies === 1 ? 'proxy' : 'proxies'}` : 'connection';
+        return `${limits.join(', ')} per IP (from ${addresses})${denied.isEmpty() ? '' : ', denylist active'}${allowed.isEmpty() ? '' : ', upload allowlist active'}`;
+    }
+
+    return { ipFilter, authGuard, uploadLimits, describe };
+}
+
+module.exports = { createRateLimits, getClientIp };
@@ -0,0 +1,176 @@
+const net = require('net');
+const { createLogger, runDetached } = require('./logger');
+
+const log = createLogger('Scanner');
+
+// clamd reads INSTREAM data in chunks prefixed with their length; it closes the stream at 25MB by default
+// (StreamMaxLength), raise that in clamd.conf to scan larger files
+const STREAM_CHUNK_BYTES = 64 * 1024;
+
+const SCAN_STATUS = {
+    SCANNING: 'scanning',
+    CLEAN: 'clean',
+    INFECTED: 'infected',
+    ERROR: 'error',
+};
+
+/**
+ * Sends a stream to clamd with the INSTREAM command and resolves with its reply, e.g.
+ * "stream: OK" or "stream: Eicar-Test-Signature FOUND". `connection` is `{ path }` for a Unix socket or
+ * `{ host, port }` for TCP. Fails when clamd doesn't answer within `timeoutMs` of the last activity.
+ */
+function scanStream(readable, connection, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(connection);
+        let reply = '';
+        let settled = false;
+        const finish = (error) => {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            readable.destroy();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(reply.replace(/\0/g, '').trim());
+            }
+        };
+
+        socket.setTimeout(timeoutMs, () => finish(new Error(`clamd did not answer within ${timeoutMs / 1000} s`)));
+        // clamd answers a stream over StreamMaxLength and hangs up, writing the rest may fail after that
+        socket.on('error', error => finish(reply ? null : error));
+        socket.on('data', data => {
+            reply += data.toString('utf8');
+        });
+        socket.on('end', () => finish());
+        socket.on('close', () => finish(reply ? null : new Error('clamd closed the connection without a reply')));
+
+        socket.on('connect', async () => {
+            try {
+                socket.write('zINSTREAM\0');
+                for await (const data of readable) {
+                    for (let start = 0; start < data.length; start += STREAM_CHUNK_BYTES) {
+                        const chunk = data.subarray(start, start + STREAM_CHUNK_BYTES);
+                        const header = Buffer.alloc(4);
+                        header.writeUInt32BE(chunk.length);
+                        if (!socket.write(Buffer.concat([header, chunk]))) {
+                            await new Promise(resume => {
+                                socket.once('drain', resume);
+                                socket.once('close', resume);
+                            });
+                        }
+                        if (settled) return;
+                    }
+                }
+                // A zero-length chunk ends the stream
+                socket.write(Buffer.alloc(4));
+            } catch (error) {
+                finish(error);
+            }
+        });
+    });
+}
+
+// "stream: Eicar-Test-Signature FOUND" -> { status: 'infected', signature: 'Eicar-Test-Signature' }
+function parseReply(reply) {
+    const found = /^stream: (.+) FOUND$/.exec(reply);
+    if (found) {
+        return { status: SCAN_STATUS.INFECTED, signature: found[1] };
+    }
+    if (reply === 'stream: OK') {
+        return { status: SCAN_STATUS.CLEAN };
+    }
+    return { status: SCAN_STATUS.ERROR, error: reply.replace(/^stream: /, '').replace(/ ERROR$/, '') || 'Unexpected reply from clamd' };
+}
+
+/**
+ * Malware scanning of finished uploads through a ClamAV daemon (clamd), over TCP or a Unix socket.
+ *
+ * `scan(upload)` marks the upload as scanning in its record right away and queues the scan; at most
+ * `maxConcurrent` run at a time. The result ends up in the record as `scan: { status, signature, error,
+ * scannedAt }`, and `onResult(id, result)` hears about it. Uploads still marked as scanning when the server
+ * starts are scanned again.
+ * Without a connection the scanner is disabled and `scan` does nothing.
+ */
+function createScanner({ datastore, records, connection = null, timeoutMs = 60 * 1000, maxConcurrent = 2, onResult = () => {} }) {
+    const queue = [];
+    let running = 0;
+
+    function isEnabled() {
+        return connection !== null;
+    }
+
+    async function runScan(id) {
+        let result;
+        try {
+            const upload = await datastore.getUpload(id);
+            const reply = await scanStream(await datastore.createReadStream(upload), connection, timeoutMs);
+            result = parseReply(reply);
+        } catch (error) {
+            if (error.status_code === 404 || error.code === 'ENOENT') {
+                // Deleted while it waited
+                return;
+            }
+            result = { status: SCAN_STATUS.ERROR, error: error.message };
+        }
+        if (!records.get(id).scan) {
+            // Deleted while it was scanned, its record is gone
+            return;
+        }
+        await records.update(id, { scan: { ...result, scannedAt: new Date().toISOString() } });
+        if (result.status === SCAN_STATUS.INFECTED) {
+            log.warn(`${id} is infected: ${result.signature}`, { uploadId: id, signature: result.signature });
+        } else if (result.status === SCAN_STATUS.ERROR) {
+            log.error(`Failed to scan ${id}: ${result.error}`, { uploadId: id });
+        } else {
+            log.info(`${id} is clean`, { uploadId: id });
+        }
+        await onResult(id, result);
+    }
+
+    function next() {
+        while (running < maxConcurrent && queue.length > 0) {
+            const id = queue.shift();
+            running += 1;
+            runDetached(() => runScan(id))
+                .catch(error => log.error(`Failed to record the scan of ${id}`, { uploadId: id, error }))
+                .finally(() => {
+                    running -= 1;
+                    next();
+                });
+        }
+    }
+
+    // Queue a finished upload for scanning, downloads are held back until it is done
+    async function scan(upload) {
+        if (!isEnabled()) return null;
+        await records.update(upload.id, { scan: { status: SCAN_STATUS.SCANNING, queuedAt: new Date().toISOString() } });
+        if (!queue.includes(upload.id)) {
+            queue.push(upload.id);
+        }
+        next();
+        return SCAN_STATUS.SCANNING;
+    }
+
+    // Scans interrupted by a restart start over
+    function start() {
+        if (!isEnabled()) return;
+        const interrupted = records.findIds(record => record.scan && record.scan.status === SCAN_STATUS.SCANNING);
+        if (interrupted.length > 0) {
+            log.info(`Rescanning ${interrupted.length} uploads interrupted by a restart`);
+            interrupted.forEach(id => queue.push(id));
+            next();
+        }
+    }
+
+    function describe() {
+        if (!isEnabled()) {
+            return 'disabled';
+        }
+        return `clamd at ${connection.path || `${connection.host}:${connection.port}`}, ${maxConcurrent} at a time`;
+    }
+
+    return { scan, start, isEnabled, describe };
+}
+
+module.exports = { createScanner, SCAN_STATUS };
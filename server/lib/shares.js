@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('./auth');
+const { createDownloadTokens, findCompletedUpload, trySendUpload } = require('./download');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Shares');
+
+const MAX_EXPIRY_HOURS = 24 * 365;
+
+function generateSlug() {
+    // 128 bits, not guessable
+    return crypto.randomBytes(16).toString('base64url');
+}
+
+function parseOptionalPositive(value, { integer = false, max = Infinity } = {}) {
+    if (value === undefined || value === null || value === '') {
+        return { value: null };
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || number > max || (integer && !Number.isInteger(number))) {
+        return { error: true };
+    }
+    return { value: number };
+}
+
+// Why a share can no longer be used, or null while it is valid
+function getShareState(share) {
+    if (share.expiresAt && Date.parse(share.expiresAt) <= Date.now()) {
+        return 'expired';
+    }
+    if (share.maxDownloads !== null && share.downloadCount >= share.maxDownloads) {
+        return 'exhausted';
+    }
+    return null;
+}
+
+const STATE_MESSAGES = {
+    expired: 'This share link has expired.',
+    exhausted: 'This share link has reached its download limit.',
+};
+
+/**
+ * Share links for finished uploads: `/s/<slug>` with an optional expiry, download limit and password.
+ * Records are kept in a JSON store keyed by slug. Password-protected shares hand out a signed
+ * download key once the password is verified, so the actual download stays a plain GET that
+ * browsers can resume with Range requests. `getRestriction(upload)` returns `{ status, message }` for
+ * files that can't be shared or downloaded right now. `downloads` (see createDownloadTokens) decides
+ * which requests count against the download limit. With `previews` the share page shows the file the way
+ * the preview page does, loaded through the share link.
+ */
+function createShares({
+    store,
+    datastore,
+    auth,
+    records,
+    getRestriction = () => null,
+    onDownload = () => {},
+    downloads = createDownloadTokens({ sign: auth.sign }),
+    previews = null,
+}) {
+    function downloadKey(share) {
+        return auth.sign(`share:${share.slug}:${share.passwordHash}`);
+    }
+
+    // Where the share page gets the file and its thumbnail, with the key once the password was given
+    function getShareLinks(share) {
+        const key = share.passwordHash ? `?key=${encodeURIComponent(downloadKey(share))}` : '';
+        return { downloadUrl: `/s/${share.slug}/download${key}`, thumbnailUrl: `/s/${share.slug}/thumbnail${key}` };
+    }
+
+    function getPreview(share, upload) {
+        return previews ? previews.getPreviewLinks(upload, getShareLinks(share)) : { preview: null, contentUrl: null, thumbnailUrl: null };
+    }
+
+    function toPublicShare(share) {
+        return {
+            slug: share.slug,
+            uploadId: share.uploadId,
+            url: `/s/${share.slug}`,
+            createdAt: share.createdAt,
+            expiresAt: share.expiresAt,
+            maxDownloads: share.maxDownloads,
+            downloadCount: share.downloadCount,
+            passwordRequired: !!share.passwordHash,
+        };
+    }
+
+    async function loadManagedUpload(req, res) {
+        const { upload, error } = await findCompletedUpload(datastore, req.params.id);
+        if (error) {
+            res.status(error.status).json({ error: error.message });
+            return null;
+        }
+        if (!auth.canManageUpload(req.user, upload)) {
+            res.status(403).json({ error: 'You can only share your own uploads' });
+            return null;
+        }
+        return upload;
+    }
+
+    // POST /api/uploads/:id/shares { expiresInHours, maxDownloads, password }
+    async function create(req, res) {
+        const upload = await loadManagedUpload(req, res);
+        if (!upload) return;
+        const restriction = getRestriction(upload);
+        if (restriction) {
+            return res.status(restriction.status).json({ error: restriction.message });
+        }
+
+        const { expiresInHours, maxDownloads, password } = req.body || {};
+        const expiry = parseOptionalPositive(expiresInHours, { max: MAX_EXPIRY_HOURS });
+        const limit = parseOptionalPositive(maxDownloads, { integer: true });
+        if (expiry.error) {
+            return res.status(400).json({ error: `Expiry must be between 0 and ${MAX_EXPIRY_HOURS} hours` });
+        }
+        if (limit.error) {
+            return res.status(400).json({ error: 'Download limit must be a positive whole number' });
+        }
+
+        const share = {
+            slug: generateSlug(),
+            uploadId: upload.id,
+            createdBy: req.user ? req.user.username : null,
+            createdAt: new Date().toISOString(),
+            expiresAt: expiry.value ? new Date(Date.now() + expiry.value * 60 * 60 * 1000).toISOString() : null,
+            maxDownloads: limit.value,
+            downloadCount: 0,
+            passwordHash: password ? hashPassword(String(password)) : null,
+        };
+        await store.set(share.slug, share);
+        log.info(`Created share ${share.slug} for ${upload.id} (expires: ${share.expiresAt || 'never'}, max downloads: ${share.maxDownloads || 'unlimited'})`, { uploadId: upload.id, share: share.slug });
+        res.status(201).json(toPublicShare(share));
+    }
+
+    // GET /api/uploads/:id/shares
+    async function listForUpload(req, res) {
+        const upload = await loadManagedUpload(req, res);
+        if (!upload) return;
+        const shares = store.values().filter(share => share.uploadId === upload.id);
+        res.json(shares.map(share => ({ ...toPublicShare(share), state: getShareState(share) || 'active' })));
+    }
+
+    // DELETE /api/shares/:slug
+    async function revoke(req, res) {
+        const share = store.get(req.params.slug);
+        if (!share) {
+            return res.status(404).json({ error: 'Share not found' });
+        }
+        let upload = null;
+        try {
+            upload = await datastore.getUpload(share.uploadId);
+        } catch (error) {
+            // The file is already gone; the creator (or an admin) may still remove the record
+        }
+        const allowed = upload
+            ? auth.canManageUpload(req.user, upload)
+            : !auth.isEnabled() || (req.user && (req.user.admin || req.user.username === share.createdBy));
+        if (!allowed) {
+            return res.status(403).json({ error: 'You can only revoke your own shares' });
+        }
+        await store.delete(share.slug);
+        log.info(`Revoked share ${share.slug}`, { share: share.slug });
+        res.status(204).end();
+    }
+
+    // getShareState, except that whoever has a download of the share going can still see it
+    function getStateFor(req, share) {
+        const state = getShareState(share);
+        return state === 'exhausted' && downloads.isDownloading(req, `share:${share.slug}`) ? null : state;
+    }
+
+    // Resolves the share and its file for the public endpoints, or responds with why it can't be used
+    async function resolveShare(req, res) {
+        const share = store.get(req.params.slug);
+        if (!share) {
+            res.status(404).json({ error: 'This share link does not exist.', state: 'missing' });
+            return null;
+        }
+        const state = getStateFor(req, share);
+        if (state) {
+            res.status(410).json({ error: STATE_MESSAGES[state], state });
+            return null;
+        }
+        const { upload, error } = await findCompletedUpload(datastore, share.uploadId);
+        if (error) {
+            res.status(410).json({ error: 'The shared file is no longer available.', state: 'missing' });
+            return null;
+        }
+        const restriction = getRestriction(upload);
+        if (restriction) {
+            res.status(restriction.status).json({ error: restriction.message, state: 'unavailable' });
+            return null;
+        }
+        return { share, upload };
+    }
+
+    // GET /api/shares/:slug - what the share page shows before downloading
+    async function info(req, res) {
+        const resolved = await resolveShare(req, res);
+        if (!resolved) return;
+        const { share, upload } = resolved;
+        res.json({
+            filename: (upload.metadata && upload.metadata.filename) || upload.id,
+            filetype: (upload.metadata && upload.metadata.filetype) || null,
+            // Encrypted in the browser: the share page decrypts it with the key from the link fragment
+            encrypted: !!(upload.metadata && upload.metadata.encryption),
+            size: upload.size,
+            sha256: records.get(upload.id).sha256 || null,
+            expiresAt: share.expiresAt,
+            remainingDownloads: share.maxDownloads === null ? null : share.maxDownloads - share.downloadCount,
+            passwordRequired: !!share.passwordHash,
+            // Previews that load the file don't use up another download while this is set
+            downloading: downloads.isDownloading(req, `share:${share.slug}`),
+            // Password protected shares tell what to show once they are unlocked
+            ...(share.passwordHash ? { preview: null, contentUrl: null, thumbnailUrl: null } : getPreview(share, upload)),
+            downloadUrl: share.passwordHash ? null : getShareLinks(share).downloadUrl,
+        });
+    }
+
+    // POST /api/shares/:slug/unlock { password }
+    async function unlock(req, res) {
+        const resolved = await resolveShare(req, res);
+        if (!resolved) return;
+        const { share, upload } = resolved;
+        const password = (req.body && req.body.password) || '';
+        if (share.passwordHash && !verifyPassword(String(password), share.passwordHash)) {
+            log.warn(`Wrong password for share ${share.slug} from ${req.ip}`, { share: share.slug });
+            return res.status(403).json({ error: 'Incorrect password' });
+        }
+        res.json({ ...getPreview(share, upload), downloadUrl: getShareLinks(share).downloadUrl });
+    }
+
+    // GET /s/:slug/download
+    async function download(req, res) {
+        const share = store.get(req.params.slug);
+        const state = share ? getShareState(share) : 'missing';
+        // Whoever got the last download can still finish it, but not fetch the whole file again
+        const continuing = state === 'exhausted' && downloads.continuesDownload(req, `share:${share.slug}`);
+        if (state && !continuing) {
+            // Browsers land here directly, send them to the share page which explains what happened
+            return res.redirect(303, `/s/${encodeURIComponent(req.params.slug)}`);
+        }
+        if (share.passwordHash && req.query.key !== downloadKey(share)) {
+            return res.redirect(303, `/s/${share.slug}`);
+        }
+
+        const { upload, error } = await findCompletedUpload(datastore, share.uploadId);
+        if (error) {
+            return res.status(410).send('The shared file is no longer available');
+        }
+        if (getRestriction(upload)) {
+            return res.redirect(303, `/s/${share.slug}`);
+        }
+
+        // Resumed and ranged requests belong to the download they continue, and so do the requests of the
+        // previews on the share page. The share info and thumbnail get the token too, to let its holder in.
+        const paths = [`/s/${share.slug}/download`, `/s/${share.slug}/thumbnail`, `/api/shares/${share.slug}`];
+        if (downloads.startDownload(req, res, `share:${share.slug}`, paths)) {
+            share.downloadCount += 1;
+            await store.set(share.slug, share);
+            await onDownload(upload, share);
+            log.info(`Download ${share.downloadCount}${share.maxDownloads ? `/${share.maxDownloads}` : ''} of share ${share.slug} (${upload.id})`, { uploadId: upload.id, share: share.slug });
+        }
+        const inlineType = previews && req.query.inline !== undefined ? previews.getInlineType(upload) : null;
+        await trySendUpload(datastore, req, res, upload, { inlineType });
+    }
+
+    // GET /s/:slug/thumbnail - for the share page, doesn't count as a download
+    async function thumbnail(req, res) {
+        const share = store.get(req.params.slug);
+        if (!previews || !share || getStateFor(req, share) || (share.passwordHash && req.query.key !== downloadKey(share))) {
+            return res.status(404).send('No thumbnail for this link');
+        }
+        const { upload, error } = await findCompletedUpload(datastore, share.uploadId);
+        if (error || getRestriction(upload)) {
+            return res.status(404).send('No thumbnail for this link');
+        }
+        previews.sendThumbnail(req, res, upload);
+    }
+
+    // Drop the share records of an upload that was deleted
+    async function removeForUpload(uploadId) {
+        for (const share of store.values().filter(entry => entry.uploadId === uploadId)) {
+            await store.delete(share.slug);
+        }
+    }
+
+    // The upload got a new id, its share links stay the same
+    async function renameUpload(oldId, newId) {
+        for (const share of store.values().filter(entry => entry.uploadId === oldId)) {
+            await store.set(share.slug, { ...share, uploadId: newId });
+        }
+    }
+
+    return { create, listForUpload, revoke, info, unlock, download, thumbnail, removeForUpload, renameUpload };
+}
+
+module.exports = { createShares, getShareState, generateSlug, parseOptionalPositive };
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { FileStore } = require('@tus/file-store');
+const { S3Store } = require('@tus/s3-store');
+const { TUS_RESUMABLE } = require('@tus/server');
+const { withChecksums } = require('./checksum');
+const { withThrottling } = require('./throttle');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Storage');
+
+/*
+ * Storage backends. Both are tus DataStores with the checksum extension, upload throttling and the same few extra
+ * methods, which is all the download, admin, janitor and concatenation code relies on:
+ *
+ * - listUploadIds()                        ids of every stored upload, finished or not
+ * - statUpload(upload)                     { size, mtime } of the stored bytes; mtime is the last write
+ * - createReadStream(upload, { start, end }) the bytes of a finished upload, end inclusive
+ * - removeMetadata(id)                     drop the metadata of an upload whose data is gone
+ * - getLocalPath(upload)                   path of a finished upload on this machine, null when there is none
+ * - moveTo(upload, destination)            put a finished upload at a local path, downloads keep working
+ * - renameUpload(upload, newId)            give a finished upload another id, with the metadata of `upload`
+ * - getDiskUsage()                         { totalBytes, freeBytes } where that means something, else null
+ * - describe()                             where uploads are stored, for the startup log
+ */
+
+// Uploads as files in a local directory, metadata in <id>.json next to them
+class LocalFileStore extends withThrottling(withChecksums(FileStore)) {
+    async listUploadIds() {
+        return this.configstore.list();
+    }
+
+    async statUpload(upload) {
+        const stats = await fs.promises.stat(upload.storage.path);
+        return { size: stats.size, mtime: stats.mtime };
+    }
+
+    async createReadStream(upload, range = {}) {
+        return fs.createReadStream(upload.storage.path, range);
+    }
+
+    async removeMetadata(id) {
+        await this.configstore.delete(id);
+    }
+
+    getLocalPath(upload) {
+        return upload.storage.path;
+    }
+
+    // Moves the file and leaves a symlink in its place; removing the upload later only removes the link
+    async moveTo(upload, destination) {
+        await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+        try {
+            await fs.promises.rename(upload.storage.path, destination);
+        } catch (error) {
+            if (error.code !== 'EXDEV') throw error;
+            // Another file system
+            await fs.promises.copyFile(upload.storage.path, destination);
+            await fs.promises.unlink(upload.storage.path);
+        }
+        await fs.promises.symlink(path.resolve(destination), upload.storage.path);
+    }
+
+    // A moved upload is a symlink, which is renamed like the file itself
+    async renameUpload(upload, newId) {
+        const info = await this.configstore.get(upload.id);
+        await fs.promises.rename(upload.storage.path, path.join(this.directory, newId));
+        await this.configstore.set(newId, { ...info, id: newId, metadata: upload.metadata });
+        await this.configstore.delete(upload.id);
+    }
+
+    // Cuts off a write that failed its checksum, see withChecksums
+    async discardWrite(id, offset) {
+        try {
+            await fs.promises.truncate(path.join(this.directory, id), offset);
+        } catch (error) {
+            log.error(`Failed to truncate ${id} to ${offset} bytes`, { uploadId: id, error });
+        }
+    }
+
+    async getDiskUsage() {
+        if (!fs.promises.statfs) {
+            return null;
+        }
+        try {
+            const stats = await fs.promises.statfs(this.directory);
+            return {
+                totalBytes: stats.blocks * stats.bsize,
+                freeBytes: stats.bavail * stats.bsize,
+            };
+        } catch (error) {
+            log.warn(`Failed to read disk usage: ${error.message}`);
+            return null;
+        }
+    }
+
+    describe() {
+        return this.directory;
+    }
+}
+
+// The largest object S3 copies in one request
+const MAX_COPY_BYTES = 5 * 1024 * 1024 * 1024;
+
+function isNotFound(error) {
+    return ['NotFound', 'NoSuchKey', 'NoSuchUpload'].includes(error.Code || error.name);
+}
+
+// Uploads as S3 multipart uploads (objects once finished), metadata in <id>.info objects
+class S3ObjectStore extends withThrottling(withChecksums(S3Store)) {
+    constructor(options) {
+        super(options);
+        this.endpoint = options.s3ClientConfig.endpoint || null;
+    }
+
+    async listUploadIds() {
+        const keys = new Set();
+        let ContinuationToken;
+        do {
+            const page = await this.client.listObjectsV2({ Bucket: this.bucket, ContinuationToken });
+            (page.Contents || []).forEach(object => keys.add(object.Key));
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+
+        // Every upload has an <id>.info object. A finished upload whose own id ends in ".info" looks
+        // like one too, but then it has an info object of its own.
+        return [...keys]
+            .filter(key => key.endsWith('.info'))
+            .map(key => key.slice(0, -'.info'.length))
+            .filter(id => !keys.has(`${id}.info.info`));
+    }
+
+    async statUpload(upload) {
+        if (upload.offset === upload.size) {
+            const head = await this.client.headObject({ Bucket: this.bucket, Key: upload.id });
+            return { size: head.ContentLength, mtime: head.LastModified };
+        }
+
+        // Still a multipart upload: the newest part (or the buffered incomplete part) was the last write
+        const times = [upload.creation_date ? Date.parse(upload.creation_date) : 0];
+        const parts = await this.retrieveParts(upload.id);
+        parts.forEach(part => times.push(new Date(part.LastModified).getTime()));
+        try {
+            const head = await this.client.headObject({ Bucket: this.bucket, Key: this.partKey(upload.id, true) });
+            times.push(head.LastModified.getTime());
+        } catch (error) {
+            if (!isNotFound(error)) throw error;
+        }
+        return { size: upload.offset, mtime: new Date(Math.max(...times)) };
+    }
+
+    async createReadStream(upload, { start, end } = {}) {
+        const range = start !== undefined || end !== undefined ? `bytes=${start ?? 0}-${end ?? ''}` : undefined;
+        const object = await this.client.getObject({ Bucket: this.bucket, Key: upload.id, Range: range });
+        return object.Body;
+    }
+
+    async removeMetadata(id) {
+        await this.client.deleteObject({ Bucket: this.bucket, Key: this.infoKey(id) });
+        await this.clearCache(id);
+    }
+
+    getLocalPath() {
+        return null;
+    }
+
+    // Downloads get the object from the bucket, so this leaves it there and writes a copy
+    async moveTo(upload, destination) {
+        await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+        await pipeline(await this.createReadStream(upload), fs.createWriteStream(destination));
+    }
+
+    // S3 has no rename: copy the object, write its metadata under the new id, remove the old ones.
+    // A single copy is limited to 5GB, larger objects keep their id.
+    async renameUpload(upload, newId) {
+        if (upload.size > MAX_COPY_BYTES) {
+            throw new Error(`${upload.id} is too large to copy within the bucket`);
+        }
+        const { 'upload-id': multipartId } = await this.getMetadata(upload.id);
+        await this.client.copyObject({
+            Bucket: this.bucket,
+            CopySource: `${this.bucket}/${encodeURIComponent(upload.id)}`,
+            Key: newId,
+        });
+        await this.client.putObject({
+            Bucket: this.bucket,
+            Key: this.infoKey(newId),
+            Body: JSON.stringify({ ...upload, id: newId, storage: undefined }),
+            Tagging: this.useCompleteTag('true'),
+            Metadata: { 'upload-id': multipartId, 'tus-version': TUS_RESUMABLE },
+        });
+        await this.client.deleteObjects({
+            Bucket: this.bucket,
+            Delete: { Objects: [{ Key: upload.id }, { Key: this.infoKey(upload.id) }] },
+        });
+        await this.clearCache(upload.id);
+    }
+
+    async remove(id) {
+        try {
+            await super.remove(id);
+        } catch (error) {
+            if (!isNotFound(error)) throw error;
+            // A finished upload has no multipart upload left to abort, only its objects
+            await this.client.deleteObjects({
+                Bucket: this.bucket,
+                Delete: { Objects: [{ Key: id }, { Key: this.infoKey(id) }] },
+            });
+            await this.clearCache(id);
+        }
+        // Bytes buffered for the next part are not removed by S3Store
+        await this.client.deleteObject({ Bucket: this.bucket, Key: this.partKey(id, true) }).catch(() => {});
+    }
+
+    async getDiskUsage() {
+        return null;
+    }
+
+    describe() {
+        return `s3://${this.bucket}${this.endpoint ? ` at ${this.endpoint}` : ''}`;
+    }
+}
+
+const STORAGE_BACKENDS = ['file', 's3'];
+
+/**
+ * The DataStore for STORAGE_BACKEND: `file` (default) keeps uploads in `directory`, `s3` in an
+ * S3-compatible bucket (AWS, MinIO, ...).
+ */
+function createStore({ backend = 'file', directory, s3 = {} }) {
+    if (backend === 'file') {
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+            log.info(`Created upload directory: ${directory}`);
+        }
+        // No expirationPeriodInMilliseconds here: the FileStore would expire uploads by creation date,
+        // which kills slow multi-hour transfers. The janitor expires them by idle time instead.
+        return new LocalFileStore({ directory });
+    }
+
+    if (backend === 's3') {
+        if (!s3.bucket) {
+            throw new Error('STORAGE_BACKEND=s3 needs S3_BUCKET');
+        }
+        return new S3ObjectStore({
+            partSize: s3.partSize,
+            s3ClientConfig: {
+                bucket: s3.bucket,
+                region: s3.region || 'us-east-1',
+                endpoint: s3.endpoint || undefined,
+                // MinIO and most other S3-compatible servers don't do virtual-hosted buckets
+                forcePathStyle: !!s3.forcePathStyle,
+                credentials: s3.accessKeyId
+                    ? { accessKeyId: s3.accessKeyId, secretAccessKey: s3.secretAccessKey }
+                    : undefined, // the AWS SDK looks for credentials in the environment itself
+            },
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected one of ${STORAGE_BACKENDS.join(', ')}`);
+}
+
+module.exports = { createStore, STORAGE_BACKENDS };
@@ -0,0 +1,183 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Transform } = require('stream');
+
+// Bytes handed out at a time; small enough that waiting connections take turns often
+const SLICE_BYTES = 64 * 1024;
+
+// Header telling the client the rate its PATCH requests are currently limited to
+const RATE_LIMIT_HEADER = 'Upload-Rate-Limit';
+
+// Throttled connection of the PATCH request being handled, see withThrottling
+const requestConnection = new AsyncLocalStorage();
+
+// A rate for the startup log, e.g. "1.5 MB/s"
+function formatRate(bytesPerSecond) {
+    return bytesPerSecond >= 1024 * 1024
+        ? `${(bytesPerSecond / (1024 * 1024)).toFixed(1)} MB/s`
+        : `${Math.round(bytesPerSecond / 1024)} KB/s`;
+}
+
+/**
+ * Token bucket that hands out bytes at `bytesPerSecond` to waiters in the order they asked.
+ * Every connection waits for one slice at a time, so first come first served is also round robin:
+ * busy connections share the rate equally and whatever a slow one doesn't use goes to the others.
+ */
+function createTokenBucket(bytesPerSecond) {
+    // Allow a short burst so the rate holds even when timers fire late
+    const capacity = Math.max(SLICE_BYTES, bytesPerSecond / 4);
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let timer = null;
+    const waiters = [];
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - lastRefill) * bytesPerSecond) / 1000);
+        lastRefill = now;
+    }
+
+    function drain() {
+        refill();
+        while (waiters.length > 0 && tokens >= waiters[0].bytes) {
+            const waiter = waiters.shift();
+            tokens -= waiter.bytes;
+            waiter.resolve();
+        }
+        if (waiters.length > 0 && !timer) {
+            const waitMs = ((waiters[0].bytes - tokens) * 1000) / bytesPerSecond;
+            timer = setTimeout(() => {
+                timer = null;
+                drain();
+            }, Math.max(Math.ceil(waitMs), 5));
+        }
+    }
+
+    function take(bytes) {
+        return new Promise(resolve => {
+            waiters.push({ bytes, resolve });
+            drain();
+        });
+    }
+
+    return { take };
+}
+
+/**
+ * Bandwidth limits for uploads: `globalBytesPerSecond` for all PATCH requests together, shared fairly
+ * between them, and `connectionBytesPerSecond` for each one. 0 disables a limit.
+ *
+ * The middleware registers PATCH requests as connections; a store with withThrottling then reads their
+ * bodies at the allowed rate, which throttles the client through TCP backpressure. The rate a connection
+ * can currently expect is sent back in the Upload-Rate-Limit header (bytes per second) of PATCH, POST
+ * and HEAD responses.
+ */
+function createThrottle({ globalBytesPerSecond = 0, connectionBytesPerSecond = 0 }) {
+    const globalBucket = globalBytesPerSecond > 0 ? createTokenBucket(globalBytesPerSecond) : null;
+    let activeConnections = 0;
+
+    function isEnabled() {
+        return globalBytesPerSecond > 0 || connectionBytesPerSecond > 0;
+    }
+
+    // Fair share of one connection among `connections`
+    function getConnectionLimit(connections = activeConnections) {
+        const share = globalBytesPerSecond > 0 ? Math.floor(globalBytesPerSecond / Math.max(connections, 1)) : Infinity;
+        return Math.min(share, connectionBytesPerSecond > 0 ? connectionBytesPerSecond : Infinity);
+    }
+
+    function setLimitHeader(res, connections) {
+        if (!res.headersSent) {
+            res.setHeader(RATE_LIMIT_HEADER, String(getConnectionLimit(connections)));
+        }
+    }
+
+    function createConnection(res) {
+        const ownBucket = connectionBytesPerSecond > 0 ? createTokenBucket(connectionBytesPerSecond) : null;
+        return {
+            async take(bytes) {
+                if (ownBucket) await ownBucket.take(bytes);
+                if (globalBucket) await globalBucket.take(bytes);
+            },
+            // Before the response goes out, so the client sees the share it had at the end
+            reportLimit: () => setLimitHeader(res),
+        };
+    }
+
+    function middleware(req, res, next) {
+        if (!isEnabled()) {
+            return next();
+        }
+        if (req.method !== 'PATCH') {
+            // Creating or resuming an upload: the share the next PATCH can expect, so the client knows
+            // before it has sent a whole chunk
+            if (req.method === 'POST' || req.method === 'HEAD') {
+                setLimitHeader(res, activeConnections + 1);
+            }
+            return next();
+        }
+        activeConnections += 1;
+        let released = false;
+        const release = () => {
+            if (!released) {
+                released = true;
+                activeConnections -= 1;
+            }
+        };
+        res.on('close', release);
+        res.on('finish', release);
+        setLimitHeader(res);
+        requestConnection.run(createConnection(res), next);
+    }
+
+    function describe() {
+        if (!isEnabled()) {
+            return 'unlimited';
+        }
+        const limits = [];
+        if (globalBytesPerSecond > 0) limits.push(`${formatRate(globalBytesPerSecond)} in total, shared fairly`);
+        if (connectionBytesPerSecond > 0) limits.push(`${formatRate(connectionBytesPerSecond)} per connection`);
+        return limits.join(', ');
+    }
+
+    return { middleware, describe };
+}
+
+// Passes a request body through at the rate its connection is allowed
+function createThrottledStream(connection) {
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            (async () => {
+                for (let start = 0; start < chunk.length; start += SLICE_BYTES) {
+                    const slice = chunk.subarray(start, start + SLICE_BYTES);
+                    await connection.take(slice.length);
+                    if (this.destroyed) return;
+                    this.push(slice);
+                }
+            })().then(() => callback(), callback);
+        },
+        flush(callback) {
+            connection.reportLimit();
+            callback();
+        },
+    });
+}
+
+/**
+ * Reads the body of throttled PATCH requests (see createThrottle) at the allowed rate. Writes outside
+ * of such a request, like joining partial uploads, run at full speed.
+ */
+function withThrottling(Store) {
+    return class extends Store {
+        async write(readable, id, offset) {
+            const connection = requestConnection.getStore();
+            if (!connection) {
+                return super.write(readable, id, offset);
+            }
+            const throttled = createThrottledStream(connection);
+            readable.on('error', error => throttled.destroy(error));
+            return super.write(readable.pipe(throttled), id, offset);
+        }
+    };
+}
+
+module.exports = { createThrottle, withThrottling };
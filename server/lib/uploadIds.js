@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { isUploadComplete } = require('./download');
+const { createLogger } = require('./logger');
+
+const log = createLogger('UploadIds');
+
+// Lower case only, so ids stay distinct on case-insensitive file systems; 25 characters are 129 bits
+const ID_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const ID_LENGTH = 25;
+// The largest multiple of 36 below 256, bytes above it would favour the first characters
+const BYTE_LIMIT = 252;
+
+// Ids from before: a base36 timestamp and the sanitized filename, e.g. "m3k9x2a1-Quarterly_report.pdf"
+const LEGACY_ID_PATTERN = /^[0-9a-z]{8}-(.+)$/;
+
+/**
+ * A new upload id: random, so it says nothing about the file or when it was sent, and long enough
+ * that two uploads never get the same one.
+ */
+function generateUploadId() {
+    let id = '';
+    while (id.length < ID_LENGTH) {
+        for (const byte of crypto.randomBytes(ID_LENGTH * 2)) {
+            if (byte < BYTE_LIMIT && id.length < ID_LENGTH) {
+                id += ID_ALPHABET[byte % ID_ALPHABET.length];
+            }
+        }
+    }
+    return id;
+}
+
+function isLegacyUploadId(id) {
+    return LEGACY_ID_PATTERN.test(id);
+}
+
+/**
+ * Moves finished uploads with a legacy id to a random one, once at startup. `onRename(oldId, newId)`
+ * moves along whatever the server keeps about the upload; the old id is kept in `aliases`, so links
+ * handed out before keep working (`resolveAlias`). Unfinished and partial uploads keep their id,
+ * their clients still send bytes to it.
+ */
+function createIdMigration({ datastore, aliases, onRename = () => {} }) {
+    async function migrate(oldId) {
+        const upload = await datastore.getUpload(oldId);
+        if (!isUploadComplete(upload)) {
+            return false;
+        }
+        // Uploads without a filename were downloaded under their id, which held the name
+        const metadata = upload.metadata || {};
+        if (!metadata.filename) {
+            upload.metadata = { ...metadata, filename: LEGACY_ID_PATTERN.exec(oldId)[1] };
+        }
+        const newId = generateUploadId();
+        await datastore.renameUpload(upload, newId);
+        await onRename(oldId, newId);
+        await aliases.set(oldId, newId);
+        log.info(`Renamed ${oldId} to ${newId}`, { uploadId: newId, previousId: oldId });
+        return true;
+    }
+
+    async function run() {
+        const legacyIds = (await datastore.listUploadIds()).filter(isLegacyUploadId);
+        let renamed = 0;
+        for (const id of legacyIds) {
+            try {
+                renamed += (await migrate(id)) ? 1 : 0;
+            } catch (error) {
+                log.error(`Failed to give ${id} a new id`, { uploadId: id, error });
+            }
+        }
+        if (renamed > 0) {
+            log.info(`Gave ${renamed} uploads random ids, their old links redirect`);
+        }
+        return renamed;
+    }
+
+    function resolveAlias(id) {
+        return aliases.get(id) || null;
+    }
+
+    return { run, resolveAlias };
+}
+
+module.exports = { generateUploadId, isLegacyUploadId, createIdMigration };
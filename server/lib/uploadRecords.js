@@ -0,0 +1,42 @@
+/**
+ * Server-side bookkeeping per upload that doesn't belong in the tus metadata, e.g. download counts.
+ * Backed by a JSON store keyed by upload id.
+ */
+function createUploadRecords(store) {
+    function get(id) {
+        return { downloadCount: 0, lastDownloadAt: null, ...(store.get(id) || {}) };
+    }
+
+    function update(id, changes) {
+        const record = { ...get(id), ...changes };
+        return store.set(id, record).then(() => record);
+    }
+
+    function recordDownload(id) {
+        return update(id, {
+            downloadCount: get(id).downloadCount + 1,
+            lastDownloadAt: new Date().toISOString(),
+        });
+    }
+
+    function remove(id) {
+        return store.get(id) ? store.delete(id) : Promise.resolve();
+    }
+
+    // Ids of the uploads whose record matches
+    function findIds(predicate) {
+        return store.entries().filter(([, record]) => predicate(record)).map(([id]) => id);
+    }
+
+    // The upload got a new id, its bookkeeping moves along
+    async function rename(oldId, newId) {
+        const record = store.get(oldId);
+        if (!record) return;
+        await store.set(newId, record);
+        await store.delete(oldId);
+    }
+
+    return { get, update, recordDownload, remove, findIds, rename };
+}
+
+module.exports = { createUploadRecords };
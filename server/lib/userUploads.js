@@ -0,0 +1,70 @@
+const { isPartialUpload, isUploadComplete, isValidUploadId } = require('./download');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Uploads');
+
+// The history lists this many of the newest uploads
+const MAX_LISTED_UPLOADS = 100;
+
+/**
+ * The uploads of the signed-in user, for the recent uploads list of the web client: their finished
+ * uploads (not what reached them through file requests) and deleting one of them. Deletion goes
+ * through `removeUpload(upload)` like it does for admins.
+ */
+function createUserUploads({ datastore, records, auth, removeUpload }) {
+    // GET /api/uploads - newest first
+    async function list(req, res) {
+        if (!req.user) {
+            return res.status(400).json({ error: 'Sign in to see the uploads of your account' });
+        }
+        const uploads = [];
+        for (const id of await datastore.listUploadIds()) {
+            let upload;
+            try {
+                upload = await datastore.getUpload(id);
+            } catch (error) {
+                continue;
+            }
+            const metadata = upload.metadata || {};
+            if (metadata.uploader !== req.user.username || metadata.fileRequest || isPartialUpload(upload) || !isUploadComplete(upload)) {
+                continue;
+            }
+            const record = records.get(id);
+            uploads.push({
+                id,
+                filename: metadata.filename || id,
+                relativePath: metadata.relativePath || null,
+                size: upload.size,
+                createdAt: upload.creation_date || null,
+                downloadCount: record.downloadCount,
+                sha256: record.sha256 || null,
+            });
+        }
+        uploads.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+        res.json({ uploads: uploads.slice(0, MAX_LISTED_UPLOADS) });
+    }
+
+    // DELETE /api/uploads/:id - the uploader or an admin
+    async function remove(req, res) {
+        const id = req.params.id;
+        if (!isValidUploadId(id)) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        let upload;
+        try {
+            upload = await datastore.getUpload(id);
+        } catch (error) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        if (isPartialUpload(upload) || !auth.canManageUpload(req.user, upload)) {
+            return res.status(403).json({ error: 'You can only delete your own uploads' });
+        }
+        await removeUpload(upload);
+        log.info(`${req.user ? req.user.username : 'anonymous'} deleted ${id}`, { uploadId: id });
+        res.status(204).end();
+    }
+
+    return { list, remove };
+}
+
+module.exports = { createUserUploads };
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { isPartialUpload, isUploadComplete } = require('./download');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Webhooks');
+
+const EVENTS = ['upload.created', 'upload.finished', 'upload.downloaded', 'upload.deleted', 'upload.expired'];
+const TEST_EVENT = 'webhook.test';
+
+// Wait this long before each retry of a failed delivery, it is given up after the last one
+const RETRY_DELAYS_MS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// The delivery log keeps this many deliveries per webhook, older ones are dropped
+const DELIVERIES_KEPT = 50;
+// How much of a response body the delivery log keeps
+const RESPONSE_EXCERPT_CHARS = 500;
+const MAX_WEBHOOKS = 20;
+
+function generateId() {
+    return crypto.randomBytes(9).toString('base64url');
+}
+
+// HMAC-SHA256 of "<timestamp>.<body>", what receivers compare X-DropSite-Signature with
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function parseUrl(value) {
+    try {
+        const url = new URL(String(value || ''));
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// What receivers get to know about an upload
+function describeUpload(upload, record) {
+    const metadata = upload.metadata || {};
+    return {
+        id: upload.id,
+        filename: metadata.filename || upload.id,
+        relativePath: metadata.relativePath || null,
+        filetype: metadata.filetype || null,
+        size: upload.size ?? null,
+        offset: upload.offset,
+        complete: isUploadComplete(upload),
+        createdAt: upload.creation_date || null,
+        uploader: metadata.uploader || null,
+        fileRequest: metadata.fileRequest || null,
+        sha256: record.sha256 || null,
+        downloadPath: `/d/${encodeURIComponent(upload.id)}`,
+    };
+}
+
+/**
+ * Webhooks: admins register URLs that receive a signed JSON POST for upload lifecycle events.
+ *
+ * Every event becomes one delivery per subscribed webhook, kept in the `deliveries` store as the delivery
+ * log. A delivery succeeds with a 2xx answer; anything else is retried after `RETRY_DELAYS_MS` and then
+ * marked failed. Pending retries survive restarts, `start()` picks them up. The body is signed with the
+ * webhook's secret over `<timestamp>.<body>`, sent as `X-DropSite-Timestamp` and `X-DropSite-Signature`.
+ */
+function createWebhooks({ store, deliveries, records }) {
+    const timers = new Map();
+
+    function toPublicWebhook(webhook) {
+        const history = deliveries.values().filter(delivery => delivery.webhookId === webhook.id);
+        const last = history.sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+        return {
+            ...webhook,
+            lastDelivery: last && { status: last.status, event: last.event, at: last.createdAt },
+        };
+    }
+
+    function toPublicDelivery(delivery) {
+        return {
+            id: delivery.id,
+            event: delivery.event,
+            status: delivery.status,
+            createdAt: delivery.createdAt,
+            nextAttemptAt: delivery.nextAttemptAt,
+            attempts: delivery.attempts,
+            payload: JSON.parse(delivery.body),
+        };
+    }
+
+    // Drop the oldest deliveries of a webhook beyond what the log keeps
+    async function pruneLog(webhookId) {
+        const history = deliveries.values()
+            .filter(delivery => delivery.webhookId === webhookId && delivery.status !== 'pending')
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        for (const delivery of history.slice(DELIVERIES_KEPT)) {
+            await deliveries.delete(delivery.id);
+        }
+    }
+
+    async function attempt(deliveryId) {
+        timers.delete(deliveryId);
+        const delivery = deliveries.get(deliveryId);
+        const webhook = delivery && store.get(delivery.webhookId);
+        if (!delivery || !webhook || delivery.status !== 'pending') {
+            return delivery;
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        const result = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, response: null, durationMs: 0 };
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'DropSite-Webhooks',
+                    'X-DropSite-Event': delivery.event,
+                    'X-DropSite-Delivery': delivery.id,
+                    'X-DropSite-Timestamp': String(timestamp),
+                    'X-DropSite-Signature': sign(webhook.secret, timestamp, delivery.body),
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+            });
+            result.statusCode = response.status;
+            result.response = (await response.text().catch(() => '')).slice(0, RESPONSE_EXCERPT_CHARS) || null;
+        } catch (error) {
+            result.error = error.name === 'TimeoutError'
+                ? `No answer within ${DELIVERY_TIMEOUT_MS / 1000} s`
+                : (error.cause && error.cause.message) || error.message;
+        }
+        result.durationMs = Date.now() - startedAt;
+
+        const attempts = [...delivery.attempts, result];
+        const delivered = result.statusCode !== null && result.statusCode >= 200 && result.statusCode < 300;
+        const retryDelay = RETRY_DELAYS_MS[attempts.length - 1];
+        const updated = {
+            ...delivery,
+            attempts,
+            status: delivered ? 'delivered' : retryDelay === undefined ? 'failed' : 'pending',
+            nextAttemptAt: delivered || retryDelay === undefined ? null : new Date(Date.now() + retryDelay).toISOString(),
+        };
+        if (!deliveries.get(delivery.id)) {
+            // The webhook was removed meanwhile
+            return updated;
+        }
+        await deliveries.set(delivery.id, updated);
+
+        const outcome = result.statusCode !== null ? `HTTP ${result.statusCode}` : result.error;
+        if (delivered) {
+            log.info(`Delivered ${delivery.event} to ${webhook.url}`, { webhookId: webhook.id, deliveryId: delivery.id });
+        } else if (updated.status === 'pending') {
+            log.warn(`${delivery.event} to ${webhook.url} failed (${outcome}), retrying in ${retryDelay / 1000} s`, { webhookId: webhook.id, deliveryId: delivery.id });
+            schedule(updated);
+        } else {
+            log.error(`Gave up on ${delivery.event} to ${webhook.url} after ${attempts.length} attempts (${outcome})`, { webhookId: webhook.id, deliveryId: delivery.id });
+        }
+        if (updated.status !== 'pending') {
+            await pruneLog(webhook.id);
+        }
+        return updated;
+    }
+
+    function schedule(delivery) {
+        const delay = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+        const timer = setTimeout(() => {
+            attempt(delivery.id).catch(error => log.error(`Failed to deliver ${delivery.id}`, { deliveryId: delivery.id, error }));
+        }, delay);
+        timer.unref();
+        timers.set(delivery.id, timer);
+    }
+
+    async function enqueue(webhook, event, data) {
+        const now = new Date().toISOString();
+        const delivery = {
+            id: generateId(),
+            webhookId: webhook.id,
+            event,
+            body: JSON.stringify({ event, createdAt: now, data }),
+            status: 'pending',
+            attempts: [],
+            createdAt: now,
+            nextAttemptAt: now,
+        };
+        await deliveries.set(delivery.id, delivery);
+        return delivery;
+    }
+
+    // Send an event to every webhook that subscribed to it, in the background
+    function emit(event, data) {
+        const subscribed = store.values().filter(webhook => webhook.events.includes(event));
+        for (const webhook of subscribed) {
+            enqueue(webhook, event, data)
+                .then(delivery => attempt(delivery.id))
+                .catch(error => log.error(`Failed to deliver ${event} to ${webhook.url}`, { webhookId: webhook.id, error }));
+        }
+    }
+
+    // Upload events; parts of a parallel upload are not uploads of their own
+    function emitUpload(event, upload, details = {}) {
+        if (!upload || isPartialUpload(upload) || store.values().length === 0) {
+            return;
+        }
+        emit(event, { upload: describeUpload(upload, records.get(upload.id)), ...details });
+    }
+
+    // Deliveries interrupted by a restart are retried when they were due
+    function start() {
+        const pending = deliveries.values().filter(delivery => delivery.status === 'pending');
+        if (pending.length > 0) {
+            log.info(`Resuming ${pending.length} pending deliveries`);
+            pending.forEach(schedule);
+        }
+    }
+
+    function findWebhook(req, res) {
+        const webhook = store.get(req.params.id);
+        if (!webhook) {
+            res.status(404).json({ error: 'Webhook not found' });
+            return null;
+        }
+        return webhook;
+    }
+
+    // GET /api/admin/webhooks
+    function list(req, res) {
+        const webhooks = store.values().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        res.json({ webhooks: webhooks.map(toPublicWebhook), events: EVENTS });
+    }
+
+    // POST /api/admin/webhooks { url, events, description } - the secret is generated here
+    async function create(req, res) {
+        const body = req.body || {};
+        const url = parseUrl(body.url);
+        if (!url) {
+            return res.status(400).json({ error: 'Expected an http or https URL' });
+        }
+        const events = body.events === undefined || body.events === null ? EVENTS : body.events;
+        if (!Array.isArray(events) || events.length === 0 || events.some(event => !EVENTS.includes(event))) {
+            return res.status(400).json({ error: `Expected events out of ${EVENTS.join(', ')}` });
+        }
+        if (store.values().length >= MAX_WEBHOOKS) {
+            return res.status(409).json({ error: `At most ${MAX_WEBHOOKS} webhooks can be configured` });
+        }
+
+        const webhook = {
+            id: generateId(),
+            url,
+            description: body.description ? String(body.description).slice(0, 200) : null,
+            events: EVENTS.filter(event => events.includes(event)),
+            secret: crypto.randomBytes(32).toString('hex'),
+            createdAt: new Date().toISOString(),
+            createdBy: req.user ? req.user.username : null,
+        };
+        await store.set(webhook.id, webhook);
+        log.info(`${webhook.createdBy || 'anonymous'} added a webhook for ${url} (${webhook.events.join(', ')})`, { webhookId: webhook.id });
+        res.status(201).json(toPublicWebhook(webhook));
+    }
+
+    // DELETE /api/admin/webhooks/:id - its pending retries and delivery log go with it
+    async function remove(req, res) {
+        const webhook = findWebhook(req, res);
+        if (!webhook) return;
+        await store.delete(webhook.id);
+        for (const delivery of deliveries.values().filter(entry => entry.webhookId === webhook.id)) {
+            clearTimeout(timers.get(delivery.id));
+            timers.delete(delivery.id);
+            await deliveries.delete(delivery.id);
+        }
+        log.info(`${req.user ? req.user.username : 'anonymous'} removed the webhook for ${webhook.url}`, { webhookId: webhook.id });
+        res.status(204).end();
+    }
+
+    // GET /api/admin/webhooks/:id/deliveries - newest first
+    function listDeliveries(req, res) {
+        const webhook = findWebhook(req, res);
+        if (!webhook) return;
+        const history = deliveries.values()
+            .filter(delivery => delivery.webhookId === webhook.id)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        res.json({ deliveries: history.map(toPublicDelivery) });
+    }
+
+    // POST /api/admin/webhooks/:id/test - sends a test event right away and answers with the first attempt
+    async function test(req, res) {
+        const webhook = findWebhook(req, res);
+        if (!webhook) return;
+        const delivery = await enqueue(webhook, TEST_EVENT, {
+            webhook: { id: webhook.id, url: webhook.url },
+            sentBy: req.user ? req.user.username : null,
+        });
+        res.json(toPublicDelivery(await attempt(delivery.id)));
+    }
+
+    return { emit, emitUpload, start, list, create, remove, listDeliveries, test };
+}
+
+module.exports = { createWebhooks };
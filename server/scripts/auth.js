@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Manage the users and API tokens in the auth config file (AUTH_CONFIG, default ./auth.json).
+//
+//   node scripts/auth.js add-user <username> <password> [--admin]
+//   node scripts/auth.js remove-user <username>
+//   node scripts/auth.js set-quota <username> <bytes|default>
+//   node scripts/auth.js add-token <username> <token name>    (names are unique across all users)
+//   node scripts/auth.js remove-token <token name>
+//   node scripts/auth.js list
+//
+// The running server picks up changes automatically.
+require('dotenv').config();
+const { generateToken, hashPassword, hashToken, readConfig, writeConfig } = require('../lib/auth');
+
+const configPath = process.env.AUTH_CONFIG || './auth.json';
+const [command, ...args] = process.argv.slice(2);
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+const config = readConfig(configPath);
+
+switch (command) {
+    case 'add-user': {
+        const [username, password] = args;
+        if (!username || !password) fail('Usage: add-user <username> <password> [--admin]');
+        const admin = args.includes('--admin');
+        const existing = config.users.find(user => user.username === username);
+        if (existing) {
+            existing.passwordHash = hashPassword(password);
+            existing.admin = admin;
+        } else {
+            config.users.push({ username, passwordHash: hashPassword(password), admin });
+        }
+        writeConfig(configPath, config);
+        console.log(`${existing ? 'Updated' : 'Added'} user '${username}'${admin ? ' (admin)' : ''}`);
+        break;
+    }
+    case 'remove-user': {
+        const [username] = args;
+        if (!username) fail('Usage: remove-user <username>');
+        config.users = config.users.filter(user => user.username !== username);
+        config.tokens = config.tokens.filter(token => token.username !== username);
+        writeConfig(configPath, config);
+        console.log(`Removed user '${username}' and their tokens`);
+        break;
+    }
+    case 'set-quota': {
+        const [username, value] = args;
+        if (!username || !value) fail('Usage: set-quota <username> <bytes|default>');
+        const user = config.users.find(entry => entry.username === username);
+        if (!user) fail(`Unknown user '${username}'`);
+        if (value === 'default') {
+            delete user.quotaBytes;
+        } else {
+            const bytes = Number(value);
+            if (!Number.isInteger(bytes) || bytes < 0) fail('The quota must be a number of bytes (0 = unlimited) or "default"');
+            user.quotaBytes = bytes;
+        }
+        writeConfig(configPath, config);
+        console.log(`Quota of '${username}': ${user.quotaBytes === undefined ? 'USER_QUOTA (default)' : user.quotaBytes || 'unlimited'}`);
+        break;
+    }
+    case 'add-token': {
+        const [username, name] = args;
+        if (!username || !name) fail('Usage: add-token <username> <token name>');
+        if (!config.users.some(user => user.username === username)) fail(`Unknown user '${username}'`);
+        const taken = config.tokens.find(token => token.name === name);
+        if (taken) fail(`Token names are global and '${name}' is already used by '${taken.username}', pick another name`);
+        const token = generateToken();
+        config.tokens.push({ name, username, tokenHash: hashToken(token), createdAt: new Date().toISOString() });
+        writeConfig(configPath, config);
+        console.log(`Token '${name}' for '${username}' (shown only once):`);
+        console.log(token);
+        break;
+    }
+    case 'remove-token': {
+        const [name] = args;
+        if (!name) fail('Usage: remove-token <token name>');
+        config.tokens = config.tokens.filter(token => token.name !== name);
+        writeConfig(configPath, config);
+        console.log(`Removed token '${name}'`);
+        break;
+    }
+    case 'list': {
+        for (const user of config.users) {
+            const quota = user.quotaBytes === undefined ? '' : `, quota ${user.quotaBytes || 'unlimited'}`;
+            console.log(`${user.username}${user.admin ? ' (admin)' : ''}${quota}`);
+            for (const token of config.tokens.filter(entry => entry.username === user.username)) {
+                console.log(`  token: ${token.name} (created ${token.createdAt || 'unknown'})`);
+            }
+        }
+        break;
+    }
+    default:
+        fail('Commands: add-user, remove-user, set-quota, add-token, remove-token, list');
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// A stand-in for clamd for development and tests: speaks enough of the clamd protocol (PING, INSTREAM)
+// for the server's malware scanning and reports the EICAR test file as infected, everything else as clean.
+//
+//   node scripts/clamd-stub.js [port|socket path]     (default 3310)
+//
+// Point the server at it with CLAMAV_HOST=localhost CLAMAV_PORT=3310, or CLAMAV_SOCKET=<path>.
+// Set CLAMD_STUB_DELAY_MS to make scans take a while, and CLAMD_STUB_MAX_STREAM_BYTES to refuse longer
+// streams the way clamd does past its StreamMaxLength.
+const fs = require('fs');
+const net = require('net');
+
+// The EICAR test file has to start with this string
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// A net.Server answering like clamd; `maxStreamBytes` 0 accepts streams of any length
+function createClamdStub({ delayMs = 0, maxStreamBytes = 0 } = {}) {
+    function handle(socket) {
+        let buffer = Buffer.alloc(0);
+        let command = null;
+        let head = Buffer.alloc(0);
+        let received = 0;
+
+        socket.on('data', data => {
+            buffer = Buffer.concat([buffer, data]);
+            if (command === null) {
+                // Commands are "zCOMMAND\0" or "nCOMMAND\n"
+                const end = buffer.findIndex(byte => byte === 0 || byte === 10);
+                if (end === -1) return;
+                command = buffer.subarray(1, end).toString();
+                buffer = buffer.subarray(end + 1);
+                if (command === 'PING') {
+                    return socket.end('PONG\0');
+                }
+                if (command !== 'INSTREAM') {
+                    return socket.end(`${command}: Unknown command. ERROR\0`);
+                }
+            }
+            while (buffer.length >= 4 && !socket.writableEnded) {
+                const length = buffer.readUInt32BE(0);
+                if (length === 0) {
+                    const reply = head.toString('latin1').startsWith(EICAR) ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0';
+                    setTimeout(() => socket.end(reply), delayMs);
+                    buffer = Buffer.alloc(0);
+                    return;
+                }
+                if (maxStreamBytes > 0 && received + length > maxStreamBytes) {
+                    // What clamd answers before it hangs up on a stream over StreamMaxLength
+                    socket.end('INSTREAM size limit exceeded. ERROR\0');
+                    return;
+                }
+                if (buffer.length < 4 + length) return;
+                received += length;
+                if (head.length < EICAR.length) {
+                    head = Buffer.concat([head, buffer.subarray(4, 4 + length)]);
+                }
+                buffer = buffer.subarray(4 + length);
+            }
+        });
+        socket.on('error', () => {});
+    }
+
+    return net.createServer(handle);
+}
+
+if (require.main === module) {
+    const target = process.argv[2] || '3310';
+    const server = createClamdStub({
+        delayMs: parseInt(process.env.CLAMD_STUB_DELAY_MS, 10) || 0,
+        maxStreamBytes: parseInt(process.env.CLAMD_STUB_MAX_STREAM_BYTES, 10) || 0,
+    });
+    if (/^\d+$/.test(target)) {
+        server.listen(parseInt(target, 10), () => console.log(`clamd stub listening on port ${target}`));
+    } else {
+        if (fs.existsSync(target)) fs.unlinkSync(target);
+        server.listen(target, () => console.log(`clamd stub listening on ${target}`));
+    }
+}
+
+module.exports = { createClamdStub, EICAR };
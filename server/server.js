@@ -1,91 +1,630 @@
 require('dotenv').config();
 const express = require('express');
 const http = require('http');
-const { Server } = require('@tus/server');
-const { FileStore } = require('@tus/file-store');
+const { Server, EVENTS } = require('@tus/server');
 const fs = require('fs');
 const path = require('path');
+const { createDownloadHandler, createDownloadTokens, findCompletedUpload, isPartialUpload, isValidUploadId } = require('./lib/download');
+const { createAuth } = require('./lib/auth');
+const { createJsonStore } = require('./lib/jsonStore');
+const { createShares } = require('./lib/shares');
+const { createJanitor } = require('./lib/janitor');
+const { createUploadRecords } = require('./lib/uploadRecords');
+const { createAdmin } = require('./lib/admin');
+const { checksumMiddleware } = require('./lib/checksum');
+const { createStore } = require('./lib/storage');
+const { createConcatenation } = require('./lib/concatenation');
+const { createQuotas } = require('./lib/quotas');
+const { createThrottle } = require('./lib/throttle');
+const { createRateLimits, getClientIp } = require('./lib/rateLimits');
+const { createFileRequests, FILE_REQUEST_HEADER } = require('./lib/fileRequests');
+const { createFileTypePolicy } = require('./lib/fileTypes');
+const { createScanner, SCAN_STATUS } = require('./lib/scanner');
+const { createWebhooks } = require('./lib/webhooks');
+const { createPostProcessing } = require('./lib/postProcessing');
+const { createUserUploads } = require('./lib/userUploads');
+const { configureLogging, createLogger, requestLogging } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { generateUploadId, createIdMigration } = require('./lib/uploadIds');
+const { cleanFilename, cleanRelativePath } = require('./lib/filenames');
+const { createPreviews } = require('./lib/previews');
 
 const app = express();
 
 const port = process.env.PORT || 3000;
+// Where uploads are stored: `file` (UPLOAD_DIR) or `s3` (an S3-compatible bucket, see S3_*)
+const storageBackend = process.env.STORAGE_BACKEND || 'file';
 const uploadDir = process.env.UPLOAD_DIR || './uploads';
 const maxFileSize = parseInt(process.env.MAX_FILE_SIZE, 10) || 20 * 1024 * 1024 * 1024; // 20GB
+// Storage quotas in bytes, 0 = unlimited; the free space margin only applies to file storage
+const userQuota = parseInt(process.env.USER_QUOTA, 10) || 0;
+const globalQuota = parseInt(process.env.GLOBAL_QUOTA, 10) || 0;
+// Upload bandwidth in bytes per second, 0 = unlimited
+const maxUploadRate = parseInt(process.env.MAX_UPLOAD_RATE, 10) || 0;
+const maxUploadRatePerConnection = parseInt(process.env.MAX_UPLOAD_RATE_PER_CONNECTION, 10) || 0;
+const minFreeDiskSpace = parseInt(process.env.MIN_FREE_DISK_SPACE ?? String(1024 * 1024 * 1024), 10) || 0; // 1GB
+const dataDir = process.env.DATA_DIR || './data';
+// Cleanup policy, 0 disables a rule
+const incompleteUploadTtlHours = parseFloat(process.env.INCOMPLETE_UPLOAD_TTL_HOURS ?? '24');
+const uploadRetentionDays = parseFloat(process.env.UPLOAD_RETENTION_DAYS ?? '0');
+const cleanupIntervalMinutes = parseFloat(process.env.CLEANUP_INTERVAL_MINUTES ?? '60');
+// Behind a reverse proxy: take client addresses from the X-Forwarded-For it sets, counting TRUSTED_PROXY_HOPS
+// proxies from the right. Off by default, clients can send the header themselves.
+const respectForwardedHeaders = process.env.RESPECT_FORWARDED_HEADERS === 'true';
+const trustedProxies = respectForwardedHeaders ? parseInt(process.env.TRUSTED_PROXY_HOPS ?? '1', 10) || 0 : 0;
+// Per-IP abuse protection, 0 disables a limit
+const uploadsPerMinute = parseInt(process.env.RATE_LIMIT_UPLOADS_PER_MINUTE ?? '120', 10) || 0;
+const concurrentUploadRequests = parseInt(process.env.RATE_LIMIT_CONCURRENT_UPLOADS ?? '32', 10) || 0;
+const maxFailedAuth = parseInt(process.env.RATE_LIMIT_FAILED_AUTH ?? '10', 10) || 0;
+const failedAuthWindowMinutes = parseFloat(process.env.RATE_LIMIT_FAILED_AUTH_WINDOW_MINUTES ?? '15');
+// File type policy: comma separated extensions (exe, bat) and MIME types (image/*), empty allows everything
+const allowedFileExtensions = process.env.ALLOWED_FILE_EXTENSIONS || '';
+const deniedFileExtensions = process.env.DENIED_FILE_EXTENSIONS || '';
+const allowedFileTypes = process.env.ALLOWED_FILE_TYPES || '';
+const deniedFileTypes = process.env.DENIED_FILE_TYPES || '';
+// Quarantine finished files whose content doesn't match their extension
+const rejectMismatchedFileTypes = process.env.REJECT_MISMATCHED_FILE_TYPES !== 'false';
+// Malware scanning of finished uploads by clamd, over a Unix socket or TCP; disabled when neither is set
+const clamavSocket = process.env.CLAMAV_SOCKET || '';
+const clamavHost = process.env.CLAMAV_HOST || '';
+const clamavPort = parseInt(process.env.CLAMAV_PORT, 10) || 3310;
+const clamavTimeoutSeconds = parseFloat(process.env.CLAMAV_TIMEOUT_SECONDS) || 60;
+const clamavMaxConcurrentScans = parseInt(process.env.CLAMAV_MAX_CONCURRENT_SCANS, 10) || 2;
+// Post-upload processing of finished (and clean) uploads, each step is optional:
+// move into a tree like /srv/drops/{yyyy}/{mm}/{uploader}/{filename}, run a shell command, call a Node module
+const postUploadMoveTo = process.env.POST_UPLOAD_MOVE_TO || '';
+const postUploadCommand = process.env.POST_UPLOAD_COMMAND || '';
+const postUploadModule = process.env.POST_UPLOAD_MODULE || '';
+const postUploadConcurrency = parseInt(process.env.POST_UPLOAD_CONCURRENCY, 10) || 2;
+const postUploadMaxAttempts = parseInt(process.env.POST_UPLOAD_MAX_ATTEMPTS, 10) || 3;
+const postUploadTimeoutSeconds = parseFloat(process.env.POST_UPLOAD_TIMEOUT_SECONDS) || 300;
+// Log lines below this level are dropped (debug, info, warn, error); `json` lines or `text` for a terminal
+const logLevel = process.env.LOG_LEVEL || 'info';
+const logFormat = process.env.LOG_FORMAT || 'json';
+// Preview pages (/view/:id): thumbnail size in pixels (needs the optional sharp package), largest text file shown
+const previewThumbnailSize = parseInt(process.env.PREVIEW_THUMBNAIL_SIZE, 10) || 320;
+const previewMaxTextBytes = parseInt(process.env.PREVIEW_MAX_TEXT_BYTES, 10) || 1024 * 1024; // 1MB
+// Bearer token Prometheus has to send for /metrics, open to everybody when empty
+const metricsToken = process.env.METRICS_TOKEN || '';
+const authConfigPath = process.env.AUTH_CONFIG || './auth.json';
+const sessionTtlHours = parseFloat(process.env.SESSION_TTL_HOURS) || 24 * 7; // 1 week
 
-// Ensure upload directory exists
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-    console.log(`Created upload directory: ${uploadDir}`);
+configureLogging({ level: logLevel, format: logFormat });
+const log = createLogger('Server');
+const tusLog = createLogger('TUS');
+
+// Ensure data directory (share links and other server records) exists
+if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    log.info(`Created data directory: ${dataDir}`);
 }
 
+const rateLimits = createRateLimits({
+    trustedProxies,
+    creationsPerMinute: uploadsPerMinute,
+    maxConcurrentRequests: concurrentUploadRequests,
+    maxFailedAuth,
+    failedAuthWindowMs: failedAuthWindowMinutes * 60 * 1000,
+    allowlist: { value: process.env.IP_ALLOWLIST, file: process.env.IP_ALLOWLIST_FILE },
+    denylist: { value: process.env.IP_DENYLIST, file: process.env.IP_DENYLIST_FILE },
+});
+
+// A request id for every request, on every line it logs, and an access log line when it is done
+app.use(requestLogging({ getClientIp: req => getClientIp(req, trustedProxies) }));
+
+// Denied addresses get nothing at all
+app.use(rateLimits.ipFilter);
+
 // Serve static files from the React app build directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+const auth = createAuth({
+    configPath: authConfigPath,
+    sessionSecret: process.env.SESSION_SECRET,
+    sessionTtlMs: sessionTtlHours * 60 * 60 * 1000,
+});
+
+// Identify the user (API token or session cookie) on every request
+app.use(auth.middleware);
+app.use('/api', express.json());
+
+app.post('/api/login', rateLimits.authGuard, auth.login);
+app.post('/api/logout', auth.logout);
+app.get('/api/me', auth.me);
+
+const datastore = createStore({
+    backend: storageBackend,
+    directory: uploadDir,
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        partSize: (parseInt(process.env.S3_PART_SIZE_MB, 10) || 8) * 1024 * 1024,
+    },
+});
+
+// Download counts and other per-upload bookkeeping
+const uploadRecords = createUploadRecords(createJsonStore(path.join(dataDir, 'uploads.json')));
+
+const quotas = createQuotas({
+    datastore,
+    userQuotaBytes: userQuota,
+    globalQuotaBytes: globalQuota,
+    minFreeBytes: minFreeDiskSpace,
+    // Users in the auth config can have their own quotaBytes
+    getUserQuota: (username) => {
+        const user = auth.findUser(username);
+        return user ? user.quotaBytes : undefined;
+    },
+});
+
+const fileTypes = createFileTypePolicy({
+    datastore,
+    allowedExtensions: allowedFileExtensions,
+    deniedExtensions: deniedFileExtensions,
+    allowedTypes: allowedFileTypes,
+    deniedTypes: deniedFileTypes,
+    rejectMismatches: rejectMismatchedFileTypes,
+});
+
+const postProcessing = createPostProcessing({
+    datastore,
+    records: uploadRecords,
+    moveTo: postUploadMoveTo,
+    command: postUploadCommand,
+    modulePath: postUploadModule,
+    concurrency: postUploadConcurrency,
+    maxAttempts: postUploadMaxAttempts,
+    timeoutMs: postUploadTimeoutSeconds * 1000,
+});
+
+const scanner = createScanner({
+    datastore,
+    records: uploadRecords,
+    connection: clamavSocket ? { path: clamavSocket } : clamavHost ? { host: clamavHost, port: clamavPort } : null,
+    timeoutMs: clamavTimeoutSeconds * 1000,
+    maxConcurrent: clamavMaxConcurrentScans,
+    // Only clean files are processed
+    onResult: (id, result) => {
+        if (result.status === SCAN_STATUS.INFECTED) {
+            metrics.recordFailure('malware');
+        }
+        if (result.status !== SCAN_STATUS.CLEAN) {
+            return null;
+        }
+        previews.queueThumbnail(id);
+        return postProcessing.enqueue(id);
+    },
+});
+
+// A finished upload passed the file type checks: scan it, or process it right away when there is no scanner
+async function acceptFinishedUpload(upload) {
+    const scanStatus = await scanner.scan(upload);
+    if (!scanStatus) {
+        previews.queueThumbnail(upload.id);
+        await postProcessing.enqueue(upload.id);
+    }
+    return scanStatus;
+}
+
+// Prometheus metrics at /metrics: upload counts, bytes, latency, failures and storage usage
+const metrics = createMetrics({
+    datastore,
+    getUsage: quotas.getUsage,
+    token: metricsToken,
+});
+
+// Signed POSTs to URLs the admins registered, for uploads created, finished, downloaded, deleted and expired
+const webhooks = createWebhooks({
+    store: createJsonStore(path.join(dataDir, 'webhooks.json')),
+    deliveries: createJsonStore(path.join(dataDir, 'webhook-deliveries.json')),
+    records: uploadRecords,
+});
+
+// Why a finished upload can't be downloaded right now, or null
+function getRestriction(upload) {
+    const record = uploadRecords.get(upload.id);
+    if (record.quarantine) {
+        return { status: 403, message: `This file is quarantined: ${record.quarantine.reason}` };
+    }
+    const scan = record.scan;
+    if (scan && scan.status === SCAN_STATUS.SCANNING) {
+        return { status: 423, message: 'This file is being scanned for malware, try again in a moment' };
+    }
+    if (scan && scan.status === SCAN_STATUS.INFECTED) {
+        return { status: 403, message: `This file contains malware (${scan.signature})` };
+    }
+    if (scan && scan.status === SCAN_STATUS.ERROR) {
+        return { status: 503, message: 'This file could not be scanned for malware yet' };
+    }
+    return null;
+}
+
+// Admins can also fetch files that are quarantined or held back by the malware scan, to look at them
+function getDownloadRestriction(req, upload) {
+    return auth.isEnabled() && req.user && req.user.admin ? null : getRestriction(upload);
+}
+
+// Preview pages at /view/:id, for whoever may download the file; share pages show the same previews
+const previews = createPreviews({
+    datastore,
+    records: uploadRecords,
+    directory: path.join(dataDir, 'thumbnails'),
+    thumbnailSize: previewThumbnailSize,
+    maxTextBytes: previewMaxTextBytes,
+    canView: (req, upload) => auth.canManageUpload(req.user, upload),
+    getRestriction: getDownloadRestriction,
+});
+
+// Forget everything we keep about an upload besides the file itself
+async function forgetUpload(uploadId) {
+    quotas.invalidate();
+    await previews.removeThumbnail(uploadId);
+    await shares.removeForUpload(uploadId);
+    await fileRequests.removeUpload(uploadId);
+    await uploadRecords.remove(uploadId);
+}
+
+async function removeUpload(upload) {
+    await datastore.remove(upload.id);
+    webhooks.emitUpload('upload.deleted', upload);
+    await forgetUpload(upload.id);
+}
+
+const janitor = createJanitor({
+    datastore,
+    incompleteTtlMs: incompleteUploadTtlHours * 60 * 60 * 1000,
+    retentionMs: uploadRetentionDays * 24 * 60 * 60 * 1000,
+    intervalMs: cleanupIntervalMinutes * 60 * 1000,
+    onRemove: (upload, reason) => {
+        webhooks.emitUpload('upload.expired', upload, { reason });
+        return forgetUpload(upload.id);
+    },
+});
+
+// Upload ids are random: the name stays in the metadata, in full, and out of the links
+function namingFunction() {
+    return generateUploadId();
+}
+
+async function onUploadCreate(req, res, upload) {
+    if (!upload || typeof upload.id === 'undefined') {
+        tusLog.error('Critical Error: upload object or upload.id is undefined on creation', { upload });
+    } else {
+        const filename = (upload.metadata && upload.metadata.filename) || 'unknown';
+        const relativePath = (upload.metadata && upload.metadata.relativePath) || filename;
+        tusLog.info(`Upload creation initiated: ${relativePath}`, {
+            uploadId: upload.id,
+            filename,
+            relativePath,
+            size: upload.size ?? null,
+            user: req.user ? req.user.username : null,
+        });
+    }
+
+    // Record who uploaded the file; never trust an uploader value sent by the client
+    const metadata = { ...((upload && upload.metadata) || {}) };
+    // Names are kept in whatever script they were sent, minus what could mislead whoever reads them later
+    for (const [key, clean] of [['filename', cleanFilename], ['relativePath', cleanRelativePath]]) {
+        if (metadata[key]) {
+            metadata[key] = clean(metadata[key]);
+        }
+        if (!metadata[key]) {
+            delete metadata[key];
+        }
+    }
+    delete metadata.uploader;
+    delete metadata.fileRequest;
+    if (req.fileRequest) {
+        // Files sent through a file request belong to whoever asked for them
+        metadata.fileRequest = req.fileRequest.slug;
+        if (req.fileRequest.createdBy) {
+            metadata.uploader = req.fileRequest.createdBy;
+        }
+    } else if (req.user) {
+        metadata.uploader = req.user.username;
+    }
+    // Same for the partial upload marker, only the concatenation middleware decides that
+    delete metadata.uploadConcat;
+    if (req.uploadConcat === 'partial') {
+        metadata.uploadConcat = 'partial';
+    }
+
+    // Rejects with 415 when the name or declared type is not allowed
+    fileTypes.checkCreate({ ...upload, metadata });
+    // Rejects with 413 when the declared Upload-Length doesn't fit the quotas or the disk
+    await quotas.check(req, { ...upload, metadata });
+    // Size, type and file count limits of the file request
+    if (req.fileRequest) {
+        await fileRequests.acceptUpload(req, { ...upload, metadata });
+    }
+    webhooks.emitUpload('upload.created', { ...upload, metadata });
+    if (req.uploadConcat !== 'partial') {
+        metrics.uploadCreated();
+    }
+    return { res, metadata };
+}
+
+async function onUploadFinish(req, res, upload) {
+    if (upload && isPartialUpload(upload)) {
+        // Only a piece of a file, it is finished once the final upload joins the parts
+        return res;
+    }
+    if (!upload || typeof upload.id === 'undefined') {
+        tusLog.error('Critical Error: upload object or upload.id is undefined on finish');
+    } else {
+        const filename = (upload.metadata && upload.metadata.filename) || 'unknown';
+        tusLog.info(`Upload finished: ${filename}`, { uploadId: upload.id, filename, size: upload.size });
+    }
+    // Finished uploads don't expire as incomplete uploads
+    res.removeHeader('Upload-Expires');
+
+    // Record the full-file hash so recipients can verify what they download
+    try {
+        const sha256 = await datastore.getFileHash(upload);
+        await uploadRecords.update(upload.id, { sha256 });
+        res.setHeader('Upload-Sha256', sha256);
+        tusLog.debug(`SHA-256 of ${upload.id}: ${sha256}`, { uploadId: upload.id, sha256 });
+    } catch (error) {
+        tusLog.error(`Failed to hash ${upload.id}`, { uploadId: upload.id, error });
+    }
+
+    // The name passed on creation, now check what the file really is. Files that fail are kept for an
+    // admin to look at but can't be downloaded; the client is told why.
+    let quarantineReason = null;
+    try {
+        quarantineReason = await fileTypes.checkContent(upload);
+    } catch (error) {
+        tusLog.error(`Failed to check the file type of ${upload.id}`, { uploadId: upload.id, error });
+    }
+    if (quarantineReason) {
+        await uploadRecords.update(upload.id, { quarantine: { reason: quarantineReason, at: new Date().toISOString() } });
+        tusLog.warn(`Quarantined ${upload.id}: ${quarantineReason}`, { uploadId: upload.id });
+        throw { status_code: 415, body: `${quarantineReason}. The file was quarantined.\n` };
+    }
+
+    // Held back from downloads until clamd has looked at it, processed in the background after that
+    const scanStatus = await acceptFinishedUpload(upload);
+    if (scanStatus) {
+        res.setHeader('Upload-Scan-Status', scanStatus);
+    }
+
+    if (upload.metadata && upload.metadata.fileRequest) {
+        await fileRequests.recordFinished(upload);
+    }
+    webhooks.emitUpload('upload.finished', upload, { scanStatus });
+    metrics.uploadFinished();
+    return res;
+}
+
 const tusServer = new Server({
     path: '/files',
+    // Upload URLs follow the protocol and host the reverse proxy was asked for; a client sending these
+    // headers itself only changes the URLs it gets back
     respectForwardedHeaders: true,
-    datastore: new FileStore({
-        directory: uploadDir,
-    }),
+    datastore,
     maxSize: maxFileSize,
+    allowedHeaders: ['Upload-Checksum', FILE_REQUEST_HEADER],
     // According to TUS protocol, chunkSize is determined by the client on upload creation
 
-    namingFunction: (req) => {
-        const timestamp = Date.now(); // Get current timestamp in milliseconds
-        const encodedTimestamp = timestamp.toString(36); // Encode timestamp to base36
-        const metadata = req.headers['upload-metadata'];
-        let originalFilename = 'unknown_file'; // Default if no filename metadata
-
-        if (metadata) {
-            const filenameMatch = metadata.match(/filename (\S+)/);
-            if (filenameMatch && filenameMatch[1]) {
-                try {
-                    originalFilename = Buffer.from(filenameMatch[1], 'base64').toString('utf-8');
-                } catch (error) {
-                    console.error('[TUS NamingFunction] Error decoding base64 filename:', error);
-                    originalFilename = 'decoding_error_file';
-                }
+    namingFunction,
+    onIncomingRequest: async (req, res, uploadId) => {
+        // Every creation or write restarts the idle clock of the janitor, tell the client when it runs out
+        if (req.method === 'POST' || req.method === 'PATCH') {
+            const expires = janitor.getIncompleteExpiry();
+            if (expires) {
+                res.setHeader('Upload-Expires', expires.toUTCString());
             }
         }
+        // Remember what is terminated, the webhooks want to know more than the id
+        if (req.method === 'DELETE' && uploadId) {
+            req.terminatedUpload = await datastore.getUpload(uploadId).catch(() => null);
+        }
+    },
+    onUploadCreate,
+    onUploadFinish,
+});
 
-        // Sanitize the original filename
-        let saneFilename = originalFilename.replace(/[^a-zA-Z0-9._-]/g, '_').replace(/^_+|_+$/g, '');
+// Uploads terminated through tus no longer have anything to share or count
+tusServer.on(EVENTS.POST_TERMINATE, (req, res, id) => {
+    webhooks.emitUpload('upload.deleted', req.terminatedUpload);
+    forgetUpload(id).catch(error => tusLog.error(`Failed to clean up records of ${id}`, { uploadId: id, error }));
+});
 
-        if (!saneFilename) {
-            // If sanitization results in an empty string (e.g., filename was all special chars)
-            saneFilename = 'empty_filename_fallback';
-        }
+// Parallel uploads: partial uploads pass through to tus, final uploads are joined here
+const concatenation = createConcatenation({
+    datastore,
+    path: '/files',
+    maxSize: maxFileSize,
+    namingFunction,
+    onUploadCreate,
+    onUploadFinish,
+    canUsePartial: (req, upload) => (req.fileRequest
+        ? (upload.metadata || {}).fileRequest === req.fileRequest.slug
+        : auth.canManageUpload(req.user, upload)),
+});
+
+// "Request a file" links, anybody with the link can upload into the request
+const fileRequests = createFileRequests({
+    store: createJsonStore(path.join(dataDir, 'requests.json')),
+    datastore,
+    auth,
+});
+app.post('/api/requests', auth.requireAuth, fileRequests.create);
+app.get('/api/requests', auth.requireAuth, fileRequests.list);
+app.post('/api/requests/:slug/seen', auth.requireAuth, fileRequests.markSeen);
+app.delete('/api/requests/:slug', auth.requireAuth, fileRequests.revoke);
+app.get('/api/requests/:slug', fileRequests.info);
+
+// Uploads through a file request don't need an account, the request limits what they can do
+function requireAuthOrFileRequest(req, res, next) {
+    if (req.fileRequest) {
+        return next();
+    }
+    auth.requireAuth(req, res, next);
+}
+
+// Only the uploader and admins may look at, continue or terminate an upload; file requests check their own
+async function requireUploadAccess(req, res, next) {
+    if (req.method === 'POST' || req.method === 'OPTIONS' || req.fileRequest) {
+        return next();
+    }
+    const id = req.path.split('/').filter(Boolean).pop();
+    let upload = null;
+    try {
+        upload = isValidUploadId(id) ? await datastore.getUpload(id) : null;
+    } catch (error) {
+        // Let tus answer for uploads that don't exist
+    }
+    if (upload && !auth.canManageUpload(req.user, upload)) {
+        res.setHeader('Tus-Resumable', '1.0.0');
+        return res.status(403).send('You do not have access to this upload\n');
+    }
+    next();
+}
+
+// Finished files are served by /d/:id, with its access checks, quarantine and scan status, and download
+// counts; the GET tus answers on its own would hand them out without any of that
+function rejectTusDownloads(req, res, next) {
+    if (req.method !== 'GET') {
+        return next();
+    }
+    res.setHeader('Tus-Resumable', '1.0.0');
+    res.setHeader('Allow', 'OPTIONS, HEAD, POST, PATCH, DELETE');
+    return res.status(405).send('Download finished files from /d/<upload id>\n');
+}
+
+// Bandwidth limits for PATCH bodies
+const throttle = createThrottle({
+    globalBytesPerSecond: maxUploadRate,
+    connectionBytesPerSecond: maxUploadRatePerConnection,
+});
+
+// Middleware to handle TUS uploads, PATCH bodies are verified against their Upload-Checksum.
+// Metrics come first so requests refused by the limits count as failures too.
+app.all('/files/*', rejectTusDownloads, metrics.uploadMiddleware, rateLimits.uploadLimits, rateLimits.authGuard, fileRequests.uploadMiddleware, requireAuthOrFileRequest, requireUploadAccess, checksumMiddleware, throttle.middleware, concatenation.middleware, (req, res) => {
+    tusServer.handle(req, res);
+});
 
-        // Combine encoded timestamp and sanitized filename for uniqueness
-        const uniqueName = `${encodedTimestamp}-${saneFilename}`;
-        
-        console.log(`[TUS NamingFunction] Original: '${originalFilename}', Sanitized: '${saneFilename}', EncodedTS: '${encodedTimestamp}', Final ID: ${uniqueName}`);
-        return uniqueName;
+// Download finished uploads by id, with the original filename and Range support.
+// With auth enabled only the uploader and admins can use these; everybody else gets a share link.
+// Finished uploads with a legacy id get a random one at startup (see uploadIds), their old links redirect
+const idMigration = createIdMigration({
+    datastore,
+    aliases: createJsonStore(path.join(dataDir, 'upload-aliases.json')),
+    onRename: async (oldId, newId) => {
+        await uploadRecords.rename(oldId, newId);
+        await shares.renameUpload(oldId, newId);
+        await fileRequests.renameUpload(oldId, newId);
     },
-    onUploadCreate: async (req, res, upload) => {
-        if (!upload || typeof upload.id === 'undefined') {
-            console.error('[TUS onUploadCreate] Critical Error: upload object or upload.id is undefined.', { uploadDetails: upload });
-        } else {
-            const filename = (upload.metadata && upload.metadata.filename) || 'unknown';
-            console.log(`[TUS onUploadCreate] Upload creation initiated. ID: ${upload.id}, Filename: ${filename}`);
-        }
-        return res;
+});
+app.get('/d/:id', (req, res, next) => {
+    const id = idMigration.resolveAlias(req.params.id);
+    return id ? res.redirect(301, `/d/${encodeURIComponent(id)}`) : next();
+});
+// Which requests start a download, for counts and share limits: a signed cookie per download, see createDownloadTokens
+const downloadTokens = createDownloadTokens({ sign: auth.sign });
+
+app.get('/d/:id', auth.requireAuth, createDownloadHandler({
+    datastore,
+    // ?inline shows images, video, audio, PDFs and text in the browser, for the preview page
+    getInlineType: previews.getInlineType,
+    getRestriction: getDownloadRestriction,
+    canDownload: (req, upload) => auth.canManageUpload(req.user, upload),
+    onDownload: (upload) => {
+        webhooks.emitUpload('upload.downloaded', upload, { share: null });
+        metrics.recordDownload('direct');
+        return uploadRecords.recordDownload(upload.id);
     },
-    onUploadFinish: async (req, res, upload) => {
-        if (!upload || typeof upload.id === 'undefined') {
-            console.error('[TUS onUploadFinish] Critical Error: upload object or upload.id is undefined.');
-        } else {
-            const filename = (upload.metadata && upload.metadata.filename) || 'unknown';
-            console.log(`[TUS onUploadFinish] Upload finished. ID: ${upload.id}, Filename: ${filename}, Path: ${uploadDir}/${upload.id}`);
-        }
-        return res;
+    downloads: downloadTokens,
+}));
+
+app.get('/d/:id/thumbnail', auth.requireAuth, previews.thumbnail);
+app.get('/api/uploads/:id/preview', auth.requireAuth, previews.info);
+
+// Share links with expiry, download limits and optional passwords
+const shares = createShares({
+    store: createJsonStore(path.join(dataDir, 'shares.json')),
+    datastore,
+    auth,
+    records: uploadRecords,
+    getRestriction,
+    onDownload: (upload, share) => {
+        webhooks.emitUpload('upload.downloaded', upload, { share: share.slug });
+        metrics.recordDownload('share');
+        return uploadRecords.recordDownload(upload.id);
+    },
+    downloads: downloadTokens,
+    previews,
+});
+app.post('/api/uploads/:id/shares', auth.requireAuth, shares.create);
+app.get('/api/uploads/:id/shares', auth.requireAuth, shares.listForUpload);
+app.delete('/api/shares/:slug', auth.requireAuth, shares.revoke);
+app.get('/api/shares/:slug', shares.info);
+
+// Malware scan result of a finished upload, polled by the client while it says "scanning"
+app.get('/api/uploads/:id/scan', auth.requireAuth, async (req, res) => {
+    const { upload, error } = await findCompletedUpload(datastore, req.params.id);
+    if (error) {
+        return res.status(error.status).json({ error: error.message });
     }
+    if (!auth.canManageUpload(req.user, upload)) {
+        return res.status(403).json({ error: 'You do not have access to this file' });
+    }
+    res.json(uploadRecords.get(upload.id).scan || { status: null });
 });
+app.post('/api/shares/:slug/unlock', rateLimits.authGuard, shares.unlock);
+app.get('/s/:slug/download', shares.download);
+app.get('/s/:slug/thumbnail', shares.thumbnail);
 
-// Middleware to handle TUS uploads
-app.all('/files/*', (req, res) => {
-    tusServer.handle(req, res);
+// The signed-in user's own uploads, for the recent uploads list
+const userUploads = createUserUploads({
+    datastore,
+    records: uploadRecords,
+    auth,
+    removeUpload,
 });
+app.get('/api/uploads', auth.requireAuth, userUploads.list);
+app.delete('/api/uploads/:id', auth.requireAuth, userUploads.remove);
+
+// Cleanup status and manual runs
+app.get('/api/admin/cleanup', auth.requireAuth, auth.requireAdmin, (req, res) => {
+    res.json(janitor.getStatus());
+});
+app.post('/api/admin/cleanup', auth.requireAuth, auth.requireAdmin, async (req, res) => {
+    try {
+        res.json(await janitor.run());
+    } catch (error) {
+        log.error('Manual cleanup failed', error);
+        res.status(500).json({ error: 'Cleanup failed' });
+    }
+});
+
+// Admin dashboard API
+const admin = createAdmin({
+    datastore,
+    records: uploadRecords,
+    removeUpload,
+    acceptUpload: acceptFinishedUpload,
+    scanUpload: scanner.isEnabled() ? scanner.scan : null,
+    processUpload: postProcessing.isEnabled() ? postProcessing.enqueue : null,
+});
+app.get('/api/admin/uploads', auth.requireAuth, auth.requireAdmin, admin.list);
+app.post('/api/admin/uploads/delete', auth.requireAuth, auth.requireAdmin, admin.bulkDelete);
+app.post('/api/admin/uploads/:id/release', auth.requireAuth, auth.requireAdmin, admin.release);
+app.post('/api/admin/uploads/:id/rescan', auth.requireAuth, auth.requireAdmin, admin.rescan);
+app.post('/api/admin/uploads/:id/process', auth.requireAuth, auth.requireAdmin, admin.reprocess);
+app.get('/api/admin/webhooks', auth.requireAuth, auth.requireAdmin, webhooks.list);
+app.post('/api/admin/webhooks', auth.requireAuth, auth.requireAdmin, webhooks.create);
+app.delete('/api/admin/webhooks/:id', auth.requireAuth, auth.requireAdmin, webhooks.remove);
+app.get('/api/admin/webhooks/:id/deliveries', auth.requireAuth, auth.requireAdmin, webhooks.listDeliveries);
+app.post('/api/admin/webhooks/:id/test', auth.requireAuth, auth.requireAdmin, webhooks.test);
+
+// For Prometheus, protected by METRICS_TOKEN rather than a user account
+app.get('/metrics', metrics.handler);
 
 // The "catchall" handler: for any request that doesn't
 // match one above (e.g., API routes, static files), send back React's index.html file.
@@ -94,7 +633,7 @@ app.get('*', (req, res) => {
   const indexPath = path.join(__dirname, 'public', 'index.html');
   res.sendFile(indexPath, (err) => {
     if (err) {
-        console.error("Error sending index.html:", err);
+        log.error('Error sending index.html', err);
         // Send a more user-friendly message or specific status code if index.html is not found
         res.status(404).send("Application resource not found");
     }
@@ -103,9 +642,27 @@ app.get('*', (req, res) => {
 
 const server = http.createServer(app);
 
-server.listen(port, () => {
-    console.log(`DropSite server listening on port ${port}`);
-    console.log(`Uploads will be stored in: ${uploadDir}`);
-    console.log(`Max file size: ${maxFileSize / (1024 * 1024 * 1024)} GB`);
-    console.log(`TUS endpoint: /files`);
-});
\ No newline at end of file
+// Uploads with a legacy id get a random one before the first request can ask for them
+idMigration.run()
+    .catch(error => log.error('Failed to give legacy uploads new ids', error))
+    .then(() => server.listen(port, () => {
+        janitor.start();
+        scanner.start();
+        postProcessing.start();
+        webhooks.start();
+        log.info(`DropSite server listening on port ${port}`);
+        log.info(`Uploads will be stored in: ${datastore.describe()}`);
+        log.info(`Max file size: ${maxFileSize / (1024 * 1024 * 1024)} GB`);
+        log.info(`Quotas: ${quotas.describe()}`);
+        log.info(`Upload bandwidth: ${throttle.describe()}`);
+        log.info(`Rate limits: ${rateLimits.describe()}`);
+        log.info(`File types: ${fileTypes.describe()}`);
+        log.info(`Malware scanning: ${scanner.describe()}`);
+        log.info(`Post-upload processing: ${postProcessing.describe()}`);
+        log.info(`Previews: ${previews.describe()}`);
+        log.info(`TUS endpoint: /files`);
+        log.info(`Download endpoint: /d/:id`);
+        log.info(`Metrics endpoint: /metrics${metricsToken ? ' (token required)' : ''}`);
+        log.info(`Cleanup: incomplete uploads after ${incompleteUploadTtlHours || 'never (disabled)'} h idle, finished uploads after ${uploadRetentionDays || 'never (disabled)'} days`);
+        log.info(`Authentication: ${auth.isEnabled() ? `enabled (${authConfigPath})` : 'disabled, no users configured'}`);
+    }));
@@ -0,0 +1,142 @@
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { after, before, describe, it } = require('node:test');
+const { configureLogging } = require('../lib/logger');
+const { createJsonStore } = require('../lib/jsonStore');
+const { createScanner, SCAN_STATUS } = require('../lib/scanner');
+const { createUploadRecords } = require('../lib/uploadRecords');
+const { createClamdStub, EICAR } = require('../scripts/clamd-stub');
+
+configureLogging({ level: 'error', format: 'text' });
+
+// Uploads kept in memory, as much of a datastore as the scanner uses
+function createMemoryDatastore(files) {
+    return {
+        async getUpload(id) {
+            if (!files[id]) {
+                throw { status_code: 404 };
+            }
+            return { id, size: files[id].length, offset: files[id].length, metadata: {} };
+        },
+        async createReadStream(upload) {
+            return Readable.from([files[upload.id]]);
+        },
+    };
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+describe('malware scanning against the clamd stub', () => {
+    const files = {
+        clean: Buffer.from('Just a text file\n'),
+        eicar: Buffer.from(EICAR),
+        large: Buffer.alloc(1024 * 1024, 'a'),
+    };
+    const datastore = createMemoryDatastore(files);
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dropsite-scanner-'));
+    const stubs = [];
+    let records;
+
+    before(() => {
+        records = createUploadRecords(createJsonStore(path.join(directory, 'uploads.json')));
+    });
+
+    after(async () => {
+        await Promise.all(stubs.map(stub => new Promise(resolve => stub.close(resolve))));
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // A scanner for `connection` that resolves `result` with the first outcome it reports
+    function createTestScanner(connection, options = {}) {
+        let report;
+        const result = new Promise(resolve => {
+            report = resolve;
+        });
+        const scanner = createScanner({
+            datastore,
+            records,
+            connection,
+            timeoutMs: 2000,
+            onResult: (id, outcome) => report({ id, outcome }),
+            ...options,
+        });
+        return { scanner, result };
+    }
+
+    async function startStub(options) {
+        const stub = createClamdStub(options);
+        stubs.push(stub);
+        return { host: '127.0.0.1', port: await listen(stub) };
+    }
+
+    it('holds a file back while it is scanned and marks it clean', async () => {
+        const { scanner, result } = createTestScanner(await startStub());
+        const status = await scanner.scan(await datastore.getUpload('clean'));
+        assert.equal(status, SCAN_STATUS.SCANNING);
+        assert.equal(records.get('clean').scan.status, SCAN_STATUS.SCANNING);
+
+        const { id, outcome } = await result;
+        assert.equal(id, 'clean');
+        assert.deepEqual(outcome, { status: SCAN_STATUS.CLEAN });
+        assert.equal(records.get('clean').scan.status, SCAN_STATUS.CLEAN);
+        assert.ok(records.get('clean').scan.scannedAt);
+    });
+
+    it('reports the EICAR test file as infected, with its signature', async () => {
+        const { scanner, result } = createTestScanner(await startStub());
+        await scanner.scan(await datastore.getUpload('eicar'));
+
+        const { outcome } = await result;
+        assert.deepEqual(outcome, { status: SCAN_STATUS.INFECTED, signature: 'Eicar-Test-Signature' });
+        assert.equal(records.get('eicar').scan.status, SCAN_STATUS.INFECTED);
+        assert.equal(records.get('eicar').scan.signature, 'Eicar-Test-Signature');
+    });
+
+    it('records an error when clamd is unreachable', async () => {
+        // A port that was just free, nothing listens on it any more
+        const closed = createClamdStub();
+        const port = await listen(closed);
+        await new Promise(resolve => closed.close(resolve));
+
+        const { scanner, result } = createTestScanner({ host: '127.0.0.1', port });
+        await scanner.scan(await datastore.getUpload('clean'));
+
+        const { outcome } = await result;
+        assert.equal(outcome.status, SCAN_STATUS.ERROR);
+        assert.match(outcome.error, /ECONNREFUSED/);
+        assert.equal(records.get('clean').scan.status, SCAN_STATUS.ERROR);
+    });
+
+    it('records an error when clamd does not answer in time', async () => {
+        const { scanner, result } = createTestScanner(await startStub({ delayMs: 500 }), { timeoutMs: 100 });
+        await scanner.scan(await datastore.getUpload('clean'));
+
+        const { outcome } = await result;
+        assert.equal(outcome.status, SCAN_STATUS.ERROR);
+        assert.match(outcome.error, /did not answer/);
+    });
+
+    it('records an error when the stream is over the size clamd accepts', async () => {
+        const { scanner, result } = createTestScanner(await startStub({ maxStreamBytes: 64 * 1024 }));
+        await scanner.scan(await datastore.getUpload('large'));
+
+        const { outcome } = await result;
+        assert.deepEqual(outcome, { status: SCAN_STATUS.ERROR, error: 'INSTREAM size limit exceeded.' });
+        assert.equal(records.get('large').scan.status, SCAN_STATUS.ERROR);
+    });
+
+    it('rescans uploads still marked as scanning when it starts', async () => {
+        await records.update('clean', { scan: { status: SCAN_STATUS.SCANNING } });
+        const { scanner, result } = createTestScanner(await startStub());
+        scanner.start();
+
+        const { id, outcome } = await result;
+        assert.equal(id, 'clean');
+        assert.equal(outcome.status, SCAN_STATUS.CLEAN);
+    });
+});
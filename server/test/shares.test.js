@@ -0,0 +1,176 @@
+const assert = require('assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { configureLogging } = require('../lib/logger');
+const { createJsonStore } = require('../lib/jsonStore');
+const { createShares } = require('../lib/shares');
+const { createUploadRecords } = require('../lib/uploadRecords');
+
+configureLogging({ level: 'error', format: 'text' });
+
+const CONTENT = Buffer.from('The shared file, a few bytes long\n');
+const MTIME = new Date('2026-01-01T00:00:00Z');
+
+// One finished upload kept in memory, as much of a datastore as share downloads use
+const datastore = {
+    async getUpload(id) {
+        if (id !== 'shared') {
+            throw { status_code: 404 };
+        }
+        return { id, size: CONTENT.length, offset: CONTENT.length, metadata: { filename: 'shared.txt', filetype: 'text/plain' } };
+    },
+    async statUpload() {
+        return { size: CONTENT.length, mtime: MTIME };
+    },
+    async createReadStream(upload, { start = 0, end = CONTENT.length - 1 } = {}) {
+        return Readable.from([CONTENT.subarray(start, end + 1)]);
+    },
+};
+
+const secret = crypto.randomBytes(32);
+const auth = {
+    sign: value => crypto.createHmac('sha256', secret).update(value).digest('base64url'),
+};
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+describe('share download limits', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dropsite-shares-'));
+    const store = createJsonStore(path.join(directory, 'shares.json'));
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const shares = createShares({
+            store,
+            datastore,
+            auth,
+            records: createUploadRecords(createJsonStore(path.join(directory, 'uploads.json'))),
+        });
+        const app = express();
+        app.get('/api/shares/:slug', shares.info);
+        app.get('/s/:slug/download', shares.download);
+        server = http.createServer(app);
+        baseUrl = `http://127.0.0.1:${await listen(server)}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        await store.set('limited', {
+            slug: 'limited',
+            uploadId: 'shared',
+            createdBy: null,
+            createdAt: new Date().toISOString(),
+            expiresAt: null,
+            maxDownloads: 1,
+            downloadCount: 0,
+            passwordHash: null,
+        });
+    });
+
+    function download({ cookie, headers = {}, query = '' } = {}) {
+        return fetch(`${baseUrl}/s/limited/download${query}`, {
+            redirect: 'manual',
+            headers: { ...headers, ...(cookie ? { cookie } : {}) },
+        });
+    }
+
+    // The download token as a browser would send it back to the download link
+    function tokenCookie(response) {
+        const cookie = response.headers.getSetCookie().find(entry => entry.includes('Path=/s/limited/download'));
+        assert.ok(cookie, 'a download token is set');
+        return cookie.split(';')[0];
+    }
+
+    it('counts a download and refuses new ones once the limit is reached', async () => {
+        const first = await download();
+        assert.equal(first.status, 200);
+        assert.deepEqual(Buffer.from(await first.arrayBuffer()), CONTENT);
+        assert.equal(store.get('limited').downloadCount, 1);
+
+        const second = await download();
+        assert.equal(second.status, 303);
+        assert.equal(second.headers.get('location'), '/s/limited');
+        assert.equal(store.get('limited').downloadCount, 1);
+
+        const info = await fetch(`${baseUrl}/api/shares/limited`);
+        assert.equal(info.status, 410);
+        assert.equal((await info.json()).state, 'exhausted');
+    });
+
+    it('refuses to send the whole file again to the client that got the last download', async () => {
+        const cookie = tokenCookie(await download());
+
+        const again = await download({ cookie });
+        assert.equal(again.status, 303);
+        assert.equal(store.get('limited').downloadCount, 1);
+    });
+
+    it('lets the client that got the last download resume it', async () => {
+        const first = await download();
+        const cookie = tokenCookie(first);
+        const etag = first.headers.get('etag');
+
+        const resumed = await download({ cookie, headers: { range: 'bytes=10-', 'if-range': etag } });
+        assert.equal(resumed.status, 206);
+        assert.equal(resumed.headers.get('content-range'), `bytes 10-${CONTENT.length - 1}/${CONTENT.length}`);
+        assert.deepEqual(Buffer.from(await resumed.arrayBuffer()), CONTENT.subarray(10));
+        assert.equal(store.get('limited').downloadCount, 1);
+    });
+
+    it('does not let a Range header alone continue a download', async () => {
+        await download();
+
+        const ranged = await download({ headers: { range: 'bytes=1-' } });
+        assert.equal(ranged.status, 303);
+    });
+
+    it('does not accept a token for another link', async () => {
+        await store.set('other', { ...store.get('limited'), slug: 'other', downloadCount: 0 });
+        const otherCookie = (await fetch(`${baseUrl}/s/other/download`)).headers.getSetCookie()[0].split(';')[0];
+        await download();
+
+        const ranged = await download({ cookie: otherCookie, headers: { range: 'bytes=1-' } });
+        assert.equal(ranged.status, 303);
+    });
+
+    it('counts a preview and the download after it once', async () => {
+        const preview = await download({ query: '?inline' });
+        assert.equal(preview.status, 200);
+        const cookie = tokenCookie(preview);
+
+        const full = await download({ cookie });
+        assert.equal(full.status, 200);
+        assert.equal(store.get('limited').downloadCount, 1);
+
+        // The download used up what the preview started
+        const again = await download({ cookie: tokenCookie(full) });
+        assert.equal(again.status, 303);
+    });
+
+    it('still shows the share page to whoever used up the limit with a preview', async () => {
+        const preview = await download({ query: '?inline' });
+        const cookie = preview.headers.getSetCookie().find(entry => entry.includes('Path=/api/shares/limited')).split(';')[0];
+
+        const info = await fetch(`${baseUrl}/api/shares/limited`, { headers: { cookie } });
+        assert.equal(info.status, 200);
+        const share = await info.json();
+        assert.equal(share.remainingDownloads, 0);
+        assert.equal(share.downloading, true);
+
+        const stranger = await fetch(`${baseUrl}/api/shares/limited`);
+        assert.equal(stranger.status, 410);
+    });
+});